@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "BitacoraEntry" ADD COLUMN     "authorId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "BitacoraEntry_authorId_idx" ON "BitacoraEntry"("authorId");
+
+-- AddForeignKey
+ALTER TABLE "BitacoraEntry" ADD CONSTRAINT "BitacoraEntry_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
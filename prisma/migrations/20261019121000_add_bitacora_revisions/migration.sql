@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "BitacoraEntryRevision" (
+    "id" TEXT NOT NULL,
+    "entryId" TEXT NOT NULL,
+    "editedById" TEXT,
+    "text" TEXT NOT NULL,
+    "insights" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BitacoraEntryRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BitacoraEntryRevision_entryId_idx" ON "BitacoraEntryRevision"("entryId");
+
+-- CreateIndex
+CREATE INDEX "BitacoraEntryRevision_entryId_createdAt_idx" ON "BitacoraEntryRevision"("entryId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "BitacoraEntryRevision_editedById_idx" ON "BitacoraEntryRevision"("editedById");
+
+-- AddForeignKey
+ALTER TABLE "BitacoraEntryRevision" ADD CONSTRAINT "BitacoraEntryRevision_entryId_fkey" FOREIGN KEY ("entryId") REFERENCES "BitacoraEntry"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BitacoraEntryRevision" ADD CONSTRAINT "BitacoraEntryRevision_editedById_fkey" FOREIGN KEY ("editedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "BitacoraCategory" AS ENUM ('OBSERVATION', 'INCIDENT', 'WEATHER', 'APPLICATION', 'HARVEST');
+
+-- AlterTable
+ALTER TABLE "BitacoraEntry" ADD COLUMN     "category" "BitacoraCategory" NOT NULL DEFAULT 'OBSERVATION',
+ADD COLUMN     "componentId" TEXT,
+ADD COLUMN     "processId" TEXT,
+ADD COLUMN     "processStepId" TEXT,
+ADD COLUMN     "taskId" TEXT,
+ADD COLUMN     "zoneId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "BitacoraEntry_farmId_category_idx" ON "BitacoraEntry"("farmId", "category");
+
+-- CreateIndex
+CREATE INDEX "BitacoraEntry_zoneId_date_idx" ON "BitacoraEntry"("zoneId", "date");
+
+-- CreateIndex
+CREATE INDEX "BitacoraEntry_zoneId_componentId_idx" ON "BitacoraEntry"("zoneId", "componentId");
+
+-- CreateIndex
+CREATE INDEX "BitacoraEntry_taskId_idx" ON "BitacoraEntry"("taskId");
+
+-- CreateIndex
+CREATE INDEX "BitacoraEntry_processId_date_idx" ON "BitacoraEntry"("processId", "date");
+
+-- CreateIndex
+CREATE INDEX "BitacoraEntry_processStepId_idx" ON "BitacoraEntry"("processStepId");
+
+-- AddForeignKey
+ALTER TABLE "BitacoraEntry" ADD CONSTRAINT "BitacoraEntry_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "MapZone"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BitacoraEntry" ADD CONSTRAINT "BitacoraEntry_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "Task"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BitacoraEntry" ADD CONSTRAINT "BitacoraEntry_processId_fkey" FOREIGN KEY ("processId") REFERENCES "ZoneProcess"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BitacoraEntry" ADD CONSTRAINT "BitacoraEntry_processStepId_fkey" FOREIGN KEY ("processStepId") REFERENCES "ZoneProcessStep"("id") ON DELETE SET NULL ON UPDATE CASCADE;
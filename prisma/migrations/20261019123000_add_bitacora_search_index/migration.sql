@@ -0,0 +1,14 @@
+-- Búsqueda de texto completo en la bitácora, sin distinguir tildes.
+-- El índice usa una expresión, así que no aparece en schema.prisma.
+
+-- CreateExtension
+CREATE EXTENSION IF NOT EXISTS "unaccent";
+
+-- CreateTextSearchConfiguration
+CREATE TEXT SEARCH CONFIGURATION "spanish_unaccent" ( COPY = pg_catalog.spanish );
+
+ALTER TEXT SEARCH CONFIGURATION "spanish_unaccent"
+    ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem;
+
+-- CreateIndex
+CREATE INDEX "BitacoraEntry_text_search_idx" ON "BitacoraEntry" USING GIN (to_tsvector('spanish_unaccent'::regconfig, "text"));
@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "BitacoraAttachmentKind" AS ENUM ('PHOTO', 'DOCUMENT', 'AUDIO');
+
+-- CreateTable
+CREATE TABLE "BitacoraAttachment" (
+    "id" TEXT NOT NULL,
+    "farmId" TEXT NOT NULL,
+    "entryId" TEXT NOT NULL,
+    "kind" "BitacoraAttachmentKind" NOT NULL,
+    "url" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "originalName" TEXT,
+    "mimeType" TEXT,
+    "sizeBytes" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BitacoraAttachment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BitacoraAttachment_farmId_idx" ON "BitacoraAttachment"("farmId");
+
+-- CreateIndex
+CREATE INDEX "BitacoraAttachment_entryId_idx" ON "BitacoraAttachment"("entryId");
+
+-- CreateIndex
+CREATE INDEX "BitacoraAttachment_entryId_createdAt_idx" ON "BitacoraAttachment"("entryId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "BitacoraAttachment" ADD CONSTRAINT "BitacoraAttachment_farmId_fkey" FOREIGN KEY ("farmId") REFERENCES "Farm"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BitacoraAttachment" ADD CONSTRAINT "BitacoraAttachment_entryId_fkey" FOREIGN KEY ("entryId") REFERENCES "BitacoraEntry"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "ComponentPhoto" ADD COLUMN     "height" INTEGER,
+ADD COLUMN     "keepsLocation" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "mediumFilename" TEXT,
+ADD COLUMN     "mediumUrl" TEXT,
+ADD COLUMN     "thumbFilename" TEXT,
+ADD COLUMN     "thumbUrl" TEXT,
+ADD COLUMN     "width" INTEGER;
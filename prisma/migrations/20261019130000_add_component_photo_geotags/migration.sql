@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ComponentPhoto" ADD COLUMN     "altitude" DOUBLE PRECISION,
+ADD COLUMN     "insideZone" BOOLEAN,
+ADD COLUMN     "latitude" DOUBLE PRECISION,
+ADD COLUMN     "longitude" DOUBLE PRECISION,
+ADD COLUMN     "takenAt" TIMESTAMP(3);
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "MapLine" ADD COLUMN     "lengthM" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "MapZone" ADD COLUMN     "areaM2" DOUBLE PRECISION,
+ADD COLUMN     "centroidLat" DOUBLE PRECISION,
+ADD COLUMN     "centroidLng" DOUBLE PRECISION,
+ADD COLUMN     "perimeterM" DOUBLE PRECISION;
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "MapVersion" (
+    "id" TEXT NOT NULL,
+    "farmId" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "action" TEXT NOT NULL,
+    "createdById" TEXT,
+    "snapshot" JSONB NOT NULL,
+    "summary" JSONB,
+    "restoredFromId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MapVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MapVersion_farmId_createdAt_idx" ON "MapVersion"("farmId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "MapVersion_createdById_idx" ON "MapVersion"("createdById");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MapVersion_farmId_number_key" ON "MapVersion"("farmId", "number");
+
+-- AddForeignKey
+ALTER TABLE "MapVersion" ADD CONSTRAINT "MapVersion_farmId_fkey" FOREIGN KEY ("farmId") REFERENCES "Farm"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MapVersion" ADD CONSTRAINT "MapVersion_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
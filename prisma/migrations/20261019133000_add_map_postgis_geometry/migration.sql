@@ -0,0 +1,76 @@
+-- Geometría PostGIS de puntos, líneas y zonas para filtrar en la base.
+-- "geom" se calcula con un trigger a partir de "data" (Feature GeoJSON), así
+-- que cualquier escritura de Prisma la mantiene al día sin tocarla.
+-- Las filas viejas sin migrar quedan con "geom" NULL hasta que se corra
+-- src/scripts/backfillMapGeometry.js.
+
+-- CreateExtension
+CREATE EXTENSION IF NOT EXISTS "postgis";
+
+-- AlterTable
+ALTER TABLE "MapPoint" ADD COLUMN "geom" geometry(Geometry, 4326);
+
+-- AlterTable
+ALTER TABLE "MapLine" ADD COLUMN "geom" geometry(Geometry, 4326);
+
+-- AlterTable
+ALTER TABLE "MapZone" ADD COLUMN "geom" geometry(Geometry, 4326);
+
+-- CreateFunction
+-- NULL si "data" no es un Feature con geometría legible. La altitud de los
+-- GPS se descarta: la columna es 2D.
+CREATE OR REPLACE FUNCTION "map_feature_geom"("data" jsonb) RETURNS geometry
+LANGUAGE plpgsql IMMUTABLE AS $$
+DECLARE
+  g geometry;
+BEGIN
+  IF "data" IS NULL OR jsonb_typeof("data"->'geometry') IS DISTINCT FROM 'object' THEN
+    RETURN NULL;
+  END IF;
+
+  g := ST_SetSRID(ST_Force2D(ST_GeomFromGeoJSON(("data"->'geometry')::text)), 4326);
+
+  IF NOT ST_IsValid(g) THEN
+    g := ST_MakeValid(g);
+  END IF;
+
+  RETURN g;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$;
+
+-- CreateFunction
+CREATE OR REPLACE FUNCTION "map_feature_sync_geom"() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  NEW."geom" := "map_feature_geom"(NEW."data");
+  RETURN NEW;
+END;
+$$;
+
+-- CreateTrigger
+CREATE TRIGGER "MapPoint_geom_sync" BEFORE INSERT OR UPDATE OF "data" ON "MapPoint"
+FOR EACH ROW EXECUTE FUNCTION "map_feature_sync_geom"();
+
+-- CreateTrigger
+CREATE TRIGGER "MapLine_geom_sync" BEFORE INSERT OR UPDATE OF "data" ON "MapLine"
+FOR EACH ROW EXECUTE FUNCTION "map_feature_sync_geom"();
+
+-- CreateTrigger
+CREATE TRIGGER "MapZone_geom_sync" BEFORE INSERT OR UPDATE OF "data" ON "MapZone"
+FOR EACH ROW EXECUTE FUNCTION "map_feature_sync_geom"();
+
+-- Backfill
+UPDATE "MapPoint" SET "geom" = "map_feature_geom"("data");
+UPDATE "MapLine" SET "geom" = "map_feature_geom"("data");
+UPDATE "MapZone" SET "geom" = "map_feature_geom"("data");
+
+-- CreateIndex
+CREATE INDEX "MapPoint_geom_idx" ON "MapPoint" USING GIST ("geom");
+
+-- CreateIndex
+CREATE INDEX "MapLine_geom_idx" ON "MapLine" USING GIST ("geom");
+
+-- CreateIndex
+CREATE INDEX "MapZone_geom_idx" ON "MapZone" USING GIST ("geom");
@@ -0,0 +1,12 @@
+-- CreateEnum
+CREATE TYPE "MapTopologyMode" AS ENUM ('OFF', 'WARN', 'BLOCK');
+
+-- AlterTable
+ALTER TABLE "Farm" ADD COLUMN     "boundaryZoneId" TEXT,
+ADD COLUMN     "mapTopologyMode" "MapTopologyMode" NOT NULL DEFAULT 'WARN';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Farm_boundaryZoneId_key" ON "Farm"("boundaryZoneId");
+
+-- AddForeignKey
+ALTER TABLE "Farm" ADD CONSTRAINT "Farm_boundaryZoneId_fkey" FOREIGN KEY ("boundaryZoneId") REFERENCES "MapZone"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- Los datos de MapZone.components se pasan a esta tabla con
+-- src/scripts/migrateZoneComponents.js (npm run zones:migrate-components).
+
+-- CreateEnum
+CREATE TYPE "ZoneComponentType" AS ENUM ('CROP', 'ANIMAL_GROUP', 'INFRASTRUCTURE', 'EQUIPMENT', 'OTHER');
+
+-- CreateTable
+CREATE TABLE "ZoneComponent" (
+    "id" TEXT NOT NULL,
+    "farmId" TEXT NOT NULL,
+    "zoneId" TEXT NOT NULL,
+    "type" "ZoneComponentType" NOT NULL,
+    "name" TEXT NOT NULL,
+    "quantity" DOUBLE PRECISION,
+    "unit" TEXT,
+    "variety" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ZoneComponent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ZoneComponent_zoneId_idx" ON "ZoneComponent"("zoneId");
+
+-- CreateIndex
+CREATE INDEX "ZoneComponent_farmId_type_idx" ON "ZoneComponent"("farmId", "type");
+
+-- AddForeignKey
+ALTER TABLE "ZoneComponent" ADD CONSTRAINT "ZoneComponent_farmId_fkey" FOREIGN KEY ("farmId") REFERENCES "Farm"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ZoneComponent" ADD CONSTRAINT "ZoneComponent_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "MapZone"("id") ON DELETE CASCADE ON UPDATE CASCADE;
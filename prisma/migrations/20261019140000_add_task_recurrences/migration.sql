@@ -0,0 +1,54 @@
+-- CreateEnum
+CREATE TYPE "TaskRecurrenceFrequency" AS ENUM ('DAILY', 'WEEKLY', 'EVERY_N_DAYS', 'MONTHLY');
+
+-- AlterTable
+ALTER TABLE "Task" ADD COLUMN     "occurrenceDate" TIMESTAMP(3),
+ADD COLUMN     "recurrenceId" TEXT;
+
+-- CreateTable
+CREATE TABLE "TaskRecurrence" (
+    "id" TEXT NOT NULL,
+    "farmId" TEXT NOT NULL,
+    "frequency" "TaskRecurrenceFrequency" NOT NULL,
+    "interval" INTEGER NOT NULL DEFAULT 1,
+    "weekdays" INTEGER[],
+    "monthDay" INTEGER,
+    "startsOn" TIMESTAMP(3) NOT NULL,
+    "endsOn" TIMESTAMP(3),
+    "title" TEXT NOT NULL,
+    "zone" TEXT,
+    "zoneId" TEXT,
+    "zoneType" TEXT,
+    "type" TEXT NOT NULL,
+    "priority" TEXT NOT NULL,
+    "owner" TEXT,
+    "durationDays" INTEGER NOT NULL DEFAULT 0,
+    "zoneProcessId" TEXT,
+    "nextOccurrenceOn" TIMESTAMP(3),
+    "lastOccurrenceOn" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TaskRecurrence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TaskRecurrence_farmId_idx" ON "TaskRecurrence"("farmId");
+
+-- CreateIndex
+CREATE INDEX "TaskRecurrence_nextOccurrenceOn_idx" ON "TaskRecurrence"("nextOccurrenceOn");
+
+-- CreateIndex
+CREATE INDEX "TaskRecurrence_zoneProcessId_idx" ON "TaskRecurrence"("zoneProcessId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Task_recurrenceId_occurrenceDate_key" ON "Task"("recurrenceId", "occurrenceDate");
+
+-- AddForeignKey
+ALTER TABLE "Task" ADD CONSTRAINT "Task_recurrenceId_fkey" FOREIGN KEY ("recurrenceId") REFERENCES "TaskRecurrence"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TaskRecurrence" ADD CONSTRAINT "TaskRecurrence_farmId_fkey" FOREIGN KEY ("farmId") REFERENCES "Farm"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TaskRecurrence" ADD CONSTRAINT "TaskRecurrence_zoneProcessId_fkey" FOREIGN KEY ("zoneProcessId") REFERENCES "ZoneProcess"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Task" ADD COLUMN     "assigneeId" TEXT;
+
+-- AlterTable
+ALTER TABLE "TaskRecurrence" ADD COLUMN     "assigneeId" TEXT;
+
+-- AlterTable
+ALTER TABLE "ZoneProcessStep" ADD COLUMN     "assigneeId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Task_assigneeId_idx" ON "Task"("assigneeId");
+
+-- CreateIndex
+CREATE INDEX "ZoneProcessStep_assigneeId_idx" ON "ZoneProcessStep"("assigneeId");
+
+-- AddForeignKey
+ALTER TABLE "Task" ADD CONSTRAINT "Task_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "FarmMember"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TaskRecurrence" ADD CONSTRAINT "TaskRecurrence_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "FarmMember"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ZoneProcessStep" ADD CONSTRAINT "ZoneProcessStep_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "FarmMember"("id") ON DELETE SET NULL ON UPDATE CASCADE;
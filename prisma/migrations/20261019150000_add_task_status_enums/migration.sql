@@ -0,0 +1,68 @@
+-- CreateEnum
+CREATE TYPE "TaskStatus" AS ENUM ('PENDING', 'IN_PROGRESS', 'DONE', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "TaskPriority" AS ENUM ('LOW', 'MEDIUM', 'HIGH');
+
+-- AlterTable
+ALTER TABLE "Task" ADD COLUMN     "completedAt" TIMESTAMP(3),
+ADD COLUMN     "completedById" TEXT;
+
+-- Normaliza el texto libre de status/priority (sin tildes, minúsculas y
+-- espacios como "_") a los valores del enum; mismos alias que
+-- src/services/taskStatus.js. Lo que no se reconoce queda PENDING / MEDIUM.
+UPDATE "Task" AS t
+SET "status" = CASE
+    WHEN n."k" IN ('en_progreso', 'en_proceso', 'en_curso', 'in_progress') THEN 'IN_PROGRESS'
+    WHEN n."k" IN ('completada', 'completado', 'terminada', 'terminado', 'hecha', 'hecho', 'done', 'completed') THEN 'DONE'
+    WHEN n."k" IN ('cancelada', 'cancelado', 'cancelled', 'canceled') THEN 'CANCELLED'
+    ELSE 'PENDING'
+  END
+FROM (
+  SELECT "id", regexp_replace(translate(lower(trim(coalesce("status", ''))), 'áéíóúü', 'aeiouu'), '[\s-]+', '_', 'g') AS "k"
+  FROM "Task"
+) AS n
+WHERE n."id" = t."id";
+
+UPDATE "Task" AS t
+SET "priority" = CASE
+    WHEN n."k" IN ('baja', 'low') THEN 'LOW'
+    WHEN n."k" IN ('alta', 'high', 'urgente') THEN 'HIGH'
+    ELSE 'MEDIUM'
+  END
+FROM (
+  SELECT "id", regexp_replace(translate(lower(trim(coalesce("priority", ''))), 'áéíóúü', 'aeiouu'), '[\s-]+', '_', 'g') AS "k"
+  FROM "Task"
+) AS n
+WHERE n."id" = t."id";
+
+UPDATE "TaskRecurrence" AS r
+SET "priority" = CASE
+    WHEN n."k" IN ('baja', 'low') THEN 'LOW'
+    WHEN n."k" IN ('alta', 'high', 'urgente') THEN 'HIGH'
+    ELSE 'MEDIUM'
+  END
+FROM (
+  SELECT "id", regexp_replace(translate(lower(trim(coalesce("priority", ''))), 'áéíóúü', 'aeiouu'), '[\s-]+', '_', 'g') AS "k"
+  FROM "TaskRecurrence"
+) AS n
+WHERE n."id" = r."id";
+
+-- Las tareas ya completadas no guardaban cuándo: se usa su última edición.
+UPDATE "Task" SET "completedAt" = "updatedAt" WHERE "status" = 'DONE';
+
+-- AlterTable
+ALTER TABLE "Task" ALTER COLUMN "status" TYPE "TaskStatus" USING "status"::"TaskStatus",
+ALTER COLUMN "status" SET DEFAULT 'PENDING',
+ALTER COLUMN "priority" TYPE "TaskPriority" USING "priority"::"TaskPriority",
+ALTER COLUMN "priority" SET DEFAULT 'MEDIUM';
+
+-- AlterTable
+ALTER TABLE "TaskRecurrence" ALTER COLUMN "priority" TYPE "TaskPriority" USING "priority"::"TaskPriority",
+ALTER COLUMN "priority" SET DEFAULT 'MEDIUM';
+
+-- CreateIndex
+CREATE INDEX "Task_farmId_status_idx" ON "Task"("farmId", "status");
+
+-- AddForeignKey
+ALTER TABLE "Task" ADD CONSTRAINT "Task_completedById_fkey" FOREIGN KEY ("completedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
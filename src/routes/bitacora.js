@@ -1,21 +1,240 @@
 // src/routes/bitacora.js
 import express from "express";
+import {
+  requireAuth,
+  looksLikeId,
+  isNonEmptyString,
+  parseDateAnyToUTC,
+  parseISODateOnlyToUTC,
+} from "./farms.base.js";
+import { assertFarmMember } from "../services/farmAccess.js";
+import {
+  BITACORA_CATEGORIES,
+  BITACORA_LINK_SELECT,
+  normalizeBitacoraCategory,
+  resolveBitacoraLinks,
+  searchBitacoraEntries,
+} from "../services/bitacoraService.js";
+import {
+  createSingleFileUpload,
+  removeStoredFile,
+  saveUploadedFile,
+  withSignedUrl,
+} from "../services/uploadStorage.js";
+import {
+  TASK_DRAFT_TITLE_MAX,
+  analyzeBitacoraText,
+  defaultInsightsMode,
+  keepCreatedTasks,
+  normalizeInsightsMode,
+} from "../services/bitacoraInsights.js";
+import { normalizeTaskPriority } from "../services/taskStatus.js";
+
+const BITACORA_UPLOADS_SUBDIR = "bitacora";
+const MAX_ATTACHMENTS_PER_ENTRY = 5;
+const MAX_ATTACHMENT_SIZE_BYTES = 10 * 1024 * 1024; // 10 MB
+const ALLOWED_ATTACHMENT_TYPES = {
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/jpg": [".jpg", ".jpeg"],
+  "image/png": [".png"],
+  "image/webp": [".webp"],
+  "application/pdf": [".pdf"],
+  "audio/mpeg": [".mp3"],
+  "audio/mp4": [".m4a", ".mp4"],
+  "audio/x-m4a": [".m4a"],
+  "audio/aac": [".aac"],
+  "audio/ogg": [".ogg", ".oga"],
+  "audio/webm": [".webm"],
+  "audio/wav": [".wav"],
+  "audio/x-wav": [".wav"],
+};
+
+const multerSingleAttachment = createSingleFileUpload({
+  fieldName: "file",
+  filenamePrefix: "bitacora",
+  allowedTypes: ALLOWED_ATTACHMENT_TYPES,
+  maxFileSizeBytes: MAX_ATTACHMENT_SIZE_BYTES,
+  invalidTypeMessage:
+    "Solo se permiten imágenes (JPG, PNG, WEBP), PDF o notas de voz.",
+  tooLargeMessage: "El archivo supera el límite permitido de 10 MB.",
+});
+
+function attachmentKindFromMime(mimeType) {
+  if (String(mimeType).startsWith("image/")) return "PHOTO";
+  if (String(mimeType).startsWith("audio/")) return "AUDIO";
+  return "DOCUMENT";
+}
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+const LINK_KEYS = [
+  "zoneId",
+  "componentId",
+  "taskId",
+  "processId",
+  "processStepId",
+];
+
+const ENTRY_INCLUDE = {
+  author: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+    },
+  },
+  ...BITACORA_LINK_SELECT,
+  attachments: {
+    orderBy: { createdAt: "asc" },
+  },
+};
+
+const REVISION_INCLUDE = {
+  editedBy: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+    },
+  },
+};
+
+function signAttachment(attachment) {
+  return withSignedUrl(BITACORA_UPLOADS_SUBDIR, attachment);
+}
+
+// Los adjuntos salen con enlace firmado; solo se llama tras validar acceso.
+async function withSignedAttachments(entry) {
+  if (!Array.isArray(entry?.attachments)) return entry;
+
+  return {
+    ...entry,
+    attachments: await Promise.all(entry.attachments.map(signAttachment)),
+  };
+}
+
+function clampInt(value, fallback, min, max) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+}
+
+// `to` con solo fecha (YYYY-MM-DD) incluye el día completo.
+function parseRangeEnd(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || "").trim());
+
+  if (m) {
+    const dt = new Date(
+      Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 23, 59, 59, 999)
+    );
+    return Number.isNaN(dt.getTime()) ? null : dt;
+  }
+
+  return parseDateAnyToUTC(value);
+}
+
+function toDateOnly(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function insightsModeFrom(value) {
+  return normalizeInsightsMode(value) || defaultInsightsMode();
+}
+
+// ADMIN y CONSULTANT pueden leer y agregar notas.
+// Solo el autor de la nota o un ADMIN pueden editarla o eliminarla.
+function canManageEntry(access, entry, userId) {
+  if (access?.role === "ADMIN") return true;
+  return Boolean(entry?.authorId) && entry.authorId === userId;
+}
 
 export default function bitacoraRouter(prisma) {
   const router = express.Router();
 
-  router.get("/farms/:farmId/bitacora", async (req, res) => {
+  // GET /api/farms/:farmId/bitacora
+  // Query: q, from, to (sobre `date`), category, zoneId, componentId, taskId,
+  // processId, processStepId, authorId, page, pageSize.
+  router.get("/farms/:farmId/bitacora", requireAuth, async (req, res) => {
     try {
       const { farmId } = req.params;
+      const query = req.query || {};
 
-      const entries = await prisma.bitacoraEntry.findMany({
-        where: { farmId },
-        orderBy: {
-          createdAt: "desc",
-        },
-      });
+      if (!looksLikeId(farmId)) {
+        return res.status(400).json({ error: "farmId inválido." });
+      }
+
+      const access = await assertFarmMember(prisma, farmId, req.user.id);
+
+      if (!access) {
+        return res.status(403).json({ error: "Sin acceso a esa finca." });
+      }
 
-      return res.json(entries);
+      const from = query.from ? parseDateAnyToUTC(query.from) : null;
+      if (query.from && !from) {
+        return res
+          .status(400)
+          .json({ error: "from debe ser una fecha válida." });
+      }
+
+      const to = query.to ? parseRangeEnd(query.to) : null;
+      if (query.to && !to) {
+        return res.status(400).json({ error: "to debe ser una fecha válida." });
+      }
+
+      if (from && to && from.getTime() > to.getTime()) {
+        return res
+          .status(400)
+          .json({ error: "from no puede ser posterior a to." });
+      }
+
+      const category = query.category
+        ? normalizeBitacoraCategory(query.category)
+        : null;
+
+      if (query.category && !category) {
+        return res.status(400).json({
+          error: `category inválida. Usa: ${BITACORA_CATEGORIES.join(", ")}.`,
+        });
+      }
+
+      const page = clampInt(query.page, 1, 1, 100000);
+      const pageSize = clampInt(
+        query.pageSize,
+        DEFAULT_PAGE_SIZE,
+        1,
+        MAX_PAGE_SIZE
+      );
+
+      const filters = {
+        q: isNonEmptyString(query.q) ? query.q.trim().slice(0, 200) : "",
+        from,
+        to,
+        category,
+      };
+
+      for (const key of [...LINK_KEYS, "authorId"]) {
+        if (isNonEmptyString(query[key])) filters[key] = query[key].trim();
+      }
+
+      const { entries, total } = await searchBitacoraEntries(
+        prisma,
+        farmId,
+        filters,
+        {
+          skip: (page - 1) * pageSize,
+          take: pageSize,
+          include: ENTRY_INCLUDE,
+        }
+      );
+
+      return res.json({
+        entries: await Promise.all(entries.map(withSignedAttachments)),
+        total,
+        page,
+        pageSize,
+        hasMore: page * pageSize < total,
+      });
     } catch (e) {
       return res.status(500).json({
         error: "Error obteniendo bitácora.",
@@ -24,10 +243,14 @@ export default function bitacoraRouter(prisma) {
     }
   });
 
-  router.post("/farms/:farmId/bitacora", async (req, res) => {
+  router.post("/farms/:farmId/bitacora", requireAuth, async (req, res) => {
     try {
       const { farmId } = req.params;
-      const { text, insights } = req.body || {};
+      const { text, category, insightsMode } = req.body || {};
+
+      if (!looksLikeId(farmId)) {
+        return res.status(400).json({ error: "farmId inválido." });
+      }
 
       const cleanText = String(text || "").trim();
 
@@ -37,15 +260,59 @@ export default function bitacoraRouter(prisma) {
         });
       }
 
+      const finalCategory = category
+        ? normalizeBitacoraCategory(category)
+        : "OBSERVATION";
+
+      if (!finalCategory) {
+        return res.status(400).json({
+          error: `category inválida. Usa: ${BITACORA_CATEGORIES.join(", ")}.`,
+        });
+      }
+
+      const entryDate = req.body?.date
+        ? parseDateAnyToUTC(req.body.date)
+        : null;
+
+      if (req.body?.date && !entryDate) {
+        return res
+          .status(400)
+          .json({ error: "date debe ser una fecha válida." });
+      }
+
+      const access = await assertFarmMember(prisma, farmId, req.user.id);
+
+      if (!access) {
+        return res.status(403).json({ error: "Sin acceso a esa finca." });
+      }
+
+      const linked = await resolveBitacoraLinks(prisma, farmId, req.body);
+
+      if (!linked.ok) {
+        return res.status(linked.status).json({ error: linked.error });
+      }
+
+      // Los insights se calculan en el servidor; se ignora lo que mande el
+      // cliente.
+      const insights = await analyzeBitacoraText(prisma, farmId, cleanText, {
+        mode: insightsModeFrom(insightsMode),
+        baseDate: entryDate || new Date(),
+      });
+
       const entry = await prisma.bitacoraEntry.create({
         data: {
           farmId,
+          authorId: req.user.id,
           text: cleanText,
-          insights: insights || null,
+          insights,
+          category: finalCategory,
+          ...(entryDate ? { date: entryDate } : {}),
+          ...linked.links,
         },
+        include: ENTRY_INCLUDE,
       });
 
-      return res.status(201).json(entry);
+      return res.status(201).json(await withSignedAttachments(entry));
     } catch (e) {
       return res.status(500).json({
         error: "Error creando entrada de bitácora.",
@@ -54,78 +321,764 @@ export default function bitacoraRouter(prisma) {
     }
   });
 
-  router.patch("/farms/:farmId/bitacora/:entryId", async (req, res) => {
-    try {
-      const { farmId, entryId } = req.params;
-      const cleanText = String(req.body?.text || "").trim();
+  router.patch(
+    "/farms/:farmId/bitacora/:entryId",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { farmId, entryId } = req.params;
+        const body = req.body || {};
 
-      if (!cleanText) {
-        return res.status(400).json({
-          error: "Texto requerido.",
+        if (!looksLikeId(farmId) || !looksLikeId(entryId)) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        const data = {};
+
+        if (body.text !== undefined) {
+          const cleanText = String(body.text || "").trim();
+
+          if (!cleanText) {
+            return res.status(400).json({
+              error: "Texto requerido.",
+            });
+          }
+
+          data.text = cleanText;
+        }
+
+        if (body.category !== undefined) {
+          const finalCategory = normalizeBitacoraCategory(body.category);
+
+          if (!finalCategory) {
+            return res.status(400).json({
+              error: `category inválida. Usa: ${BITACORA_CATEGORIES.join(", ")}.`,
+            });
+          }
+
+          data.category = finalCategory;
+        }
+
+        if (body.date !== undefined) {
+          const entryDate = parseDateAnyToUTC(body.date);
+
+          if (!entryDate) {
+            return res.status(400).json({
+              error: "date debe ser una fecha válida.",
+            });
+          }
+
+          data.date = entryDate;
+        }
+
+        const touchesLinks = LINK_KEYS.some((key) => body[key] !== undefined);
+
+        if (Object.keys(data).length === 0 && !touchesLinks) {
+          return res
+            .status(400)
+            .json({ error: "No hay cambios para guardar." });
+        }
+
+        const access = await assertFarmMember(prisma, farmId, req.user.id);
+
+        if (!access) {
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+        }
+
+        const existingEntry = await prisma.bitacoraEntry.findFirst({
+          where: {
+            id: entryId,
+            farmId,
+          },
+        });
+
+        if (!existingEntry) {
+          return res.status(404).json({
+            error: "Nota no encontrada.",
+          });
+        }
+
+        if (!canManageEntry(access, existingEntry, req.user.id)) {
+          return res.status(403).json({
+            error: "Solo el autor o un administrador puede editar esta nota.",
+          });
+        }
+
+        if (touchesLinks) {
+          const sentLinks = Object.fromEntries(
+            LINK_KEYS.filter((key) => body[key] !== undefined).map((key) => [
+              key,
+              body[key],
+            ])
+          );
+
+          const linked = await resolveBitacoraLinks(
+            prisma,
+            farmId,
+            sentLinks,
+            existingEntry
+          );
+
+          if (!linked.ok) {
+            return res.status(linked.status).json({ error: linked.error });
+          }
+
+          Object.assign(data, linked.links);
+        }
+
+        const textChanged =
+          data.text !== undefined && data.text !== existingEntry.text;
+
+        const dateChanged =
+          data.date !== undefined &&
+          data.date.getTime() !== existingEntry.date.getTime();
+
+        // Las fechas relativas ("mañana") dependen de la fecha de la nota.
+        if (textChanged || dateChanged) {
+          const insights = await analyzeBitacoraText(
+            prisma,
+            farmId,
+            data.text ?? existingEntry.text,
+            {
+              mode: insightsModeFrom(
+                body.insightsMode ?? existingEntry.insights?.mode
+              ),
+              baseDate: data.date ?? existingEntry.date,
+            }
+          );
+
+          data.insights = keepCreatedTasks(insights, existingEntry.insights);
+        }
+
+        // Guardamos la versión anterior antes de sobrescribir el texto.
+        const updatedEntry = await prisma.$transaction(async (tx) => {
+          if (textChanged) {
+            await tx.bitacoraEntryRevision.create({
+              data: {
+                entryId,
+                editedById: req.user.id,
+                text: existingEntry.text,
+                insights: existingEntry.insights ?? null,
+              },
+            });
+          }
+
+          return tx.bitacoraEntry.update({
+            where: { id: entryId },
+            data,
+            include: ENTRY_INCLUDE,
+          });
+        });
+
+        return res.json(await withSignedAttachments(updatedEntry));
+      } catch (e) {
+        return res.status(500).json({
+          error: "Error actualizando entrada de bitácora.",
+          details: String(e?.message || e),
         });
       }
+    }
+  );
 
-      const existingEntry = await prisma.bitacoraEntry.findFirst({
-        where: {
-          id: entryId,
+  // GET /api/farms/:farmId/bitacora/:entryId/revisions
+  // ADMIN y CONSULTANT pueden ver el historial.
+  router.get(
+    "/farms/:farmId/bitacora/:entryId/revisions",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { farmId, entryId } = req.params;
+
+        if (!looksLikeId(farmId) || !looksLikeId(entryId)) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        const access = await assertFarmMember(prisma, farmId, req.user.id);
+
+        if (!access) {
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+        }
+
+        const entry = await prisma.bitacoraEntry.findFirst({
+          where: {
+            id: entryId,
+            farmId,
+          },
+          include: ENTRY_INCLUDE,
+        });
+
+        if (!entry) {
+          return res.status(404).json({
+            error: "Nota no encontrada.",
+          });
+        }
+
+        const revisions = await prisma.bitacoraEntryRevision.findMany({
+          where: { entryId },
+          include: REVISION_INCLUDE,
+          orderBy: {
+            createdAt: "desc",
+          },
+        });
+
+        return res.json({
+          entry: await withSignedAttachments(entry),
+          revisions,
+        });
+      } catch (e) {
+        return res.status(500).json({
+          error: "Error obteniendo historial de la nota.",
+          details: String(e?.message || e),
+        });
+      }
+    }
+  );
+
+  // POST /api/farms/:farmId/bitacora/:entryId/revisions/:revisionId/restore
+  // Solo ADMIN puede restaurar una versión anterior.
+  router.post(
+    "/farms/:farmId/bitacora/:entryId/revisions/:revisionId/restore",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { farmId, entryId, revisionId } = req.params;
+
+        if (
+          !looksLikeId(farmId) ||
+          !looksLikeId(entryId) ||
+          !looksLikeId(revisionId)
+        ) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        const access = await assertFarmMember(prisma, farmId, req.user.id);
+
+        if (!access) {
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+        }
+
+        if (access.role !== "ADMIN") {
+          return res.status(403).json({
+            error: "Solo un administrador puede restaurar versiones.",
+          });
+        }
+
+        const existingEntry = await prisma.bitacoraEntry.findFirst({
+          where: {
+            id: entryId,
+            farmId,
+          },
+        });
+
+        if (!existingEntry) {
+          return res.status(404).json({
+            error: "Nota no encontrada.",
+          });
+        }
+
+        const revision = await prisma.bitacoraEntryRevision.findFirst({
+          where: {
+            id: revisionId,
+            entryId,
+          },
+        });
+
+        if (!revision) {
+          return res.status(404).json({
+            error: "Versión no encontrada.",
+          });
+        }
+
+        // La versión actual también queda en el historial, así la
+        // restauración se puede deshacer.
+        const restoredEntry = await prisma.$transaction(async (tx) => {
+          await tx.bitacoraEntryRevision.create({
+            data: {
+              entryId,
+              editedById: req.user.id,
+              text: existingEntry.text,
+              insights: existingEntry.insights ?? null,
+            },
+          });
+
+          return tx.bitacoraEntry.update({
+            where: { id: entryId },
+            data: {
+              text: revision.text,
+              // La versión vieja no sabe qué acciones ya se volvieron tareas.
+              insights: keepCreatedTasks(
+                revision.insights ?? null,
+                existingEntry.insights
+              ),
+            },
+            include: ENTRY_INCLUDE,
+          });
+        });
+
+        return res.json(await withSignedAttachments(restoredEntry));
+      } catch (e) {
+        return res.status(500).json({
+          error: "Error restaurando versión de la nota.",
+          details: String(e?.message || e),
+        });
+      }
+    }
+  );
+
+  // POST /api/farms/:farmId/bitacora/:entryId/insights
+  // Vuelve a analizar la nota. Body opcional: { mode: "rules" | "llm" }.
+  router.post(
+    "/farms/:farmId/bitacora/:entryId/insights",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { farmId, entryId } = req.params;
+        const { mode } = req.body || {};
+
+        if (!looksLikeId(farmId) || !looksLikeId(entryId)) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        if (mode !== undefined && !normalizeInsightsMode(mode)) {
+          return res
+            .status(400)
+            .json({ error: 'mode inválido. Usa: "rules" o "llm".' });
+        }
+
+        const access = await assertFarmMember(prisma, farmId, req.user.id);
+
+        if (!access) {
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+        }
+
+        const existingEntry = await prisma.bitacoraEntry.findFirst({
+          where: {
+            id: entryId,
+            farmId,
+          },
+        });
+
+        if (!existingEntry) {
+          return res.status(404).json({
+            error: "Nota no encontrada.",
+          });
+        }
+
+        if (!canManageEntry(access, existingEntry, req.user.id)) {
+          return res.status(403).json({
+            error: "Solo el autor o un administrador puede analizar esta nota.",
+          });
+        }
+
+        const insights = await analyzeBitacoraText(
+          prisma,
           farmId,
-        },
-      });
+          existingEntry.text,
+          {
+            mode: insightsModeFrom(mode),
+            baseDate: existingEntry.date,
+          }
+        );
 
-      if (!existingEntry) {
-        return res.status(404).json({
-          error: "Nota no encontrada.",
+        const entry = await prisma.bitacoraEntry.update({
+          where: { id: entryId },
+          data: {
+            insights: keepCreatedTasks(insights, existingEntry.insights),
+          },
+          include: ENTRY_INCLUDE,
+        });
+
+        return res.json(await withSignedAttachments(entry));
+      } catch (e) {
+        return res.status(500).json({
+          error: "Error analizando la nota.",
+          details: String(e?.message || e),
         });
       }
+    }
+  );
 
-      const updatedEntry = await prisma.bitacoraEntry.update({
-        where: { id: entryId },
-        data: {
-          text: cleanText,
-        },
-      });
+  // POST /api/farms/:farmId/bitacora/:entryId/task-drafts
+  // Crea tareas PENDING a partir de las acciones detectadas en la nota.
+  // Body opcional: { indexes: [0, 2] } (posiciones en insights.actions);
+  // sin indexes se crean todas las que aún no tienen tarea.
+  // Solo ADMIN, igual que la creación de tareas.
+  router.post(
+    "/farms/:farmId/bitacora/:entryId/task-drafts",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { farmId, entryId } = req.params;
+        const { indexes } = req.body || {};
 
-      return res.json(updatedEntry);
-    } catch (e) {
-      return res.status(500).json({
-        error: "Error actualizando entrada de bitácora.",
-        details: String(e?.message || e),
-      });
+        if (!looksLikeId(farmId) || !looksLikeId(entryId)) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        if (
+          indexes !== undefined &&
+          (!Array.isArray(indexes) ||
+            !indexes.every((i) => Number.isInteger(i) && i >= 0))
+        ) {
+          return res.status(400).json({
+            error: "indexes debe ser una lista de posiciones (enteros).",
+          });
+        }
+
+        const access = await assertFarmMember(prisma, farmId, req.user.id);
+
+        if (!access) {
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+        }
+
+        if (access.role !== "ADMIN") {
+          return res.status(403).json({
+            error: "Solo un administrador puede crear tareas.",
+          });
+        }
+
+        const existingEntry = await prisma.bitacoraEntry.findFirst({
+          where: {
+            id: entryId,
+            farmId,
+          },
+        });
+
+        if (!existingEntry) {
+          return res.status(404).json({
+            error: "Nota no encontrada.",
+          });
+        }
+
+        const insights = existingEntry.insights || {};
+        const actions = Array.isArray(insights.actions) ? insights.actions : [];
+
+        const selected = indexes
+          ? [...new Set(indexes)]
+          : actions.map((_, i) => i);
+
+        if (selected.some((i) => i >= actions.length)) {
+          return res
+            .status(400)
+            .json({ error: "Alguna acción indicada no existe en la nota." });
+        }
+
+        const pending = selected.filter(
+          (i) => actions[i]?.taskDraft && !actions[i].createdTaskId
+        );
+
+        if (pending.length === 0) {
+          return res
+            .status(409)
+            .json({ error: "No hay acciones pendientes para convertir." });
+        }
+
+        const fallbackDate = toDateOnly(existingEntry.date);
+
+        const drafts = [];
+
+        for (const i of pending) {
+          const draft = actions[i].taskDraft;
+          const title = String(draft.title || "")
+            .trim()
+            .slice(0, TASK_DRAFT_TITLE_MAX);
+
+          if (!title) {
+            return res
+              .status(400)
+              .json({ error: `La acción ${i} no tiene título.` });
+          }
+
+          const startDate =
+            parseISODateOnlyToUTC(draft.start) ||
+            parseISODateOnlyToUTC(fallbackDate);
+          let dueDate = parseISODateOnlyToUTC(draft.due) || startDate;
+
+          if (dueDate.getTime() < startDate.getTime()) dueDate = startDate;
+
+          // La zona del borrador pudo eliminarse después del análisis.
+          const zoneId = isNonEmptyString(draft.zoneId)
+            ? await prisma.mapZone
+                .findFirst({
+                  where: { id: draft.zoneId, farmId },
+                  select: { id: true },
+                })
+                .then((zone) => zone?.id || null)
+            : null;
+
+          drafts.push({
+            index: i,
+            data: {
+              farmId,
+              title,
+              zone: isNonEmptyString(draft.zone)
+                ? draft.zone.trim().slice(0, 120)
+                : null,
+              zoneId,
+              type: isNonEmptyString(draft.type)
+                ? draft.type.trim().slice(0, 60)
+                : "Mantenimiento",
+              // Borradores viejos traen la prioridad en español.
+              priority: normalizeTaskPriority(draft.priority) || "MEDIUM",
+              start: startDate,
+              due: dueDate,
+              status: "PENDING",
+              owner: isNonEmptyString(draft.owner)
+                ? draft.owner.trim().slice(0, 80)
+                : null,
+            },
+          });
+        }
+
+        const { tasks, entry } = await prisma.$transaction(async (tx) => {
+          const created = [];
+
+          for (const draft of drafts) {
+            const task = await tx.task.create({ data: draft.data });
+            created.push({ index: draft.index, task });
+          }
+
+          // Marcamos las acciones convertidas para no duplicar tareas.
+          const nextActions = actions.map((action, i) => {
+            const match = created.find((row) => row.index === i);
+            return match ? { ...action, createdTaskId: match.task.id } : action;
+          });
+
+          const updated = await tx.bitacoraEntry.update({
+            where: { id: entryId },
+            data: {
+              insights: { ...insights, actions: nextActions },
+              ...(existingEntry.taskId ? {} : { taskId: created[0].task.id }),
+            },
+            include: ENTRY_INCLUDE,
+          });
+
+          return { tasks: created.map((row) => row.task), entry: updated };
+        });
+
+        return res
+          .status(201)
+          .json({ tasks, entry: await withSignedAttachments(entry) });
+      } catch (e) {
+        return res.status(500).json({
+          error: "Error creando tareas desde la nota.",
+          details: String(e?.message || e),
+        });
+      }
     }
-  });
+  );
 
-  router.delete("/farms/:farmId/bitacora/:entryId", async (req, res) => {
-    try {
-      const { farmId, entryId } = req.params;
+  router.delete(
+    "/farms/:farmId/bitacora/:entryId",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { farmId, entryId } = req.params;
+
+        if (!looksLikeId(farmId) || !looksLikeId(entryId)) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        const access = await assertFarmMember(prisma, farmId, req.user.id);
+
+        if (!access) {
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+        }
+
+        const existingEntry = await prisma.bitacoraEntry.findFirst({
+          where: {
+            id: entryId,
+            farmId,
+          },
+        });
+
+        if (!existingEntry) {
+          return res.status(404).json({
+            error: "Nota no encontrada.",
+          });
+        }
+
+        if (!canManageEntry(access, existingEntry, req.user.id)) {
+          return res.status(403).json({
+            error: "Solo el autor o un administrador puede eliminar esta nota.",
+          });
+        }
+
+        const attachments = await prisma.bitacoraAttachment.findMany({
+          where: { entryId },
+          select: { filename: true },
+        });
+
+        await prisma.bitacoraEntry.delete({
+          where: { id: entryId },
+        });
+
+        for (const attachment of attachments) {
+          await removeStoredFile(BITACORA_UPLOADS_SUBDIR, attachment.filename);
+        }
 
-      const existingEntry = await prisma.bitacoraEntry.findFirst({
-        where: {
+        return res.json({
+          ok: true,
           id: entryId,
-          farmId,
-        },
-      });
+        });
+      } catch (e) {
+        return res.status(500).json({
+          error: "Error eliminando entrada de bitácora.",
+          details: String(e?.message || e),
+        });
+      }
+    }
+  );
+
+  // POST /api/farms/:farmId/bitacora/:entryId/attachments
+  // Campo multipart "file". Solo el autor o un ADMIN pueden adjuntar.
+  router.post(
+    "/farms/:farmId/bitacora/:entryId/attachments",
+    requireAuth,
+    multerSingleAttachment,
+    async (req, res) => {
+      let storedFilename = null;
 
-      if (!existingEntry) {
-        return res.status(404).json({
-          error: "Nota no encontrada.",
+      try {
+        const { farmId, entryId } = req.params;
+
+        if (!looksLikeId(farmId) || !looksLikeId(entryId)) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        if (!req.file) {
+          return res.status(400).json({ error: "Selecciona un archivo." });
+        }
+
+        const access = await assertFarmMember(prisma, farmId, req.user.id);
+
+        if (!access) {
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+        }
+
+        const existingEntry = await prisma.bitacoraEntry.findFirst({
+          where: {
+            id: entryId,
+            farmId,
+          },
+          select: { id: true, authorId: true },
+        });
+
+        if (!existingEntry) {
+          return res.status(404).json({
+            error: "Nota no encontrada.",
+          });
+        }
+
+        if (!canManageEntry(access, existingEntry, req.user.id)) {
+          return res.status(403).json({
+            error: "Solo el autor o un administrador puede adjuntar archivos.",
+          });
+        }
+
+        const currentCount = await prisma.bitacoraAttachment.count({
+          where: { entryId },
+        });
+
+        if (currentCount >= MAX_ATTACHMENTS_PER_ENTRY) {
+          return res.status(409).json({
+            error: `Esta nota ya tiene el máximo de ${MAX_ATTACHMENTS_PER_ENTRY} adjuntos.`,
+          });
+        }
+
+        const filename = req.file.filename;
+        const url = await saveUploadedFile(BITACORA_UPLOADS_SUBDIR, req.file);
+        storedFilename = filename;
+
+        const attachment = await prisma.bitacoraAttachment.create({
+          data: {
+            farmId,
+            entryId,
+            kind: attachmentKindFromMime(req.file.mimetype),
+            filename,
+            url,
+            originalName: req.file.originalname
+              ? String(req.file.originalname).slice(0, 255)
+              : null,
+            mimeType: req.file.mimetype,
+            sizeBytes: req.file.size,
+          },
+        });
+
+        storedFilename = null;
+
+        return res
+          .status(201)
+          .json({ attachment: await signAttachment(attachment) });
+      } catch (e) {
+        await removeStoredFile(BITACORA_UPLOADS_SUBDIR, storedFilename);
+        return res.status(500).json({
+          error: "Error guardando adjunto de bitácora.",
+          details: String(e?.message || e),
         });
       }
+    }
+  );
 
-      await prisma.bitacoraEntry.delete({
-        where: { id: entryId },
-      });
+  // DELETE /api/farms/:farmId/bitacora/:entryId/attachments/:attachmentId
+  // Solo el autor o un ADMIN pueden eliminar adjuntos.
+  router.delete(
+    "/farms/:farmId/bitacora/:entryId/attachments/:attachmentId",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { farmId, entryId, attachmentId } = req.params;
 
-      return res.json({
-        ok: true,
-        id: entryId,
-      });
-    } catch (e) {
-      return res.status(500).json({
-        error: "Error eliminando entrada de bitácora.",
-        details: String(e?.message || e),
-      });
+        if (
+          !looksLikeId(farmId) ||
+          !looksLikeId(entryId) ||
+          !looksLikeId(attachmentId)
+        ) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        const access = await assertFarmMember(prisma, farmId, req.user.id);
+
+        if (!access) {
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+        }
+
+        const attachment = await prisma.bitacoraAttachment.findFirst({
+          where: {
+            id: attachmentId,
+            entryId,
+            farmId,
+          },
+          include: {
+            entry: { select: { authorId: true } },
+          },
+        });
+
+        if (!attachment) {
+          return res.status(404).json({ error: "Adjunto no encontrado." });
+        }
+
+        if (!canManageEntry(access, attachment.entry, req.user.id)) {
+          return res.status(403).json({
+            error: "Solo el autor o un administrador puede eliminar adjuntos.",
+          });
+        }
+
+        await prisma.bitacoraAttachment.delete({
+          where: { id: attachment.id },
+        });
+
+        await removeStoredFile(BITACORA_UPLOADS_SUBDIR, attachment.filename);
+
+        return res.json({ ok: true, deletedId: attachment.id });
+      } catch (e) {
+        return res.status(500).json({
+          error: "Error eliminando adjunto de bitácora.",
+          details: String(e?.message || e),
+        });
+      }
     }
-  });
+  );
 
   return router;
 }
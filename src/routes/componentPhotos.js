@@ -1,129 +1,180 @@
 // src/routes/componentPhotos.js
 
 import express from "express";
-import multer from "multer";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 import { requireAuth } from "./farms.base.js";
 import {
   assertFarmAdmin,
+  assertFarmMember,
   assertZoneMember,
 } from "../services/farmAccess.js";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import {
+  createSingleFileUpload,
+  removeStoredFile,
+  saveStoredFile,
+  signStoredFile,
+  withSignedUrl,
+} from "../services/uploadStorage.js";
+import { extractPhotoExif } from "../services/photoExif.js";
+import { isPointInZone } from "../services/mapGeometry.js";
+import { findZoneAt } from "../services/mapLocate.js";
+import { findZoneComponent } from "../services/zoneComponents.js";
+import {
+  IMAGE_VARIANTS,
+  processPhotoUpload,
+  variantFilename,
+} from "../services/imageVariants.js";
 
 const MAX_PHOTOS_PER_COMPONENT = 5;
 const MAX_FILE_SIZE_BYTES = 6 * 1024 * 1024; // 6 MB
-const ALLOWED_MIME_TYPES = new Set([
-  "image/jpeg",
-  "image/jpg",
-  "image/png",
-  "image/webp",
-]);
-
-const uploadsRoot = path.resolve(__dirname, "../../uploads");
-const componentUploadsDir = path.join(uploadsRoot, "components");
-
-function ensureUploadDirs() {
-  fs.mkdirSync(componentUploadsDir, { recursive: true });
+const ALLOWED_MIME_TYPES = {
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/jpg": [".jpg", ".jpeg"],
+  "image/png": [".png"],
+  "image/webp": [".webp"],
+};
+
+const COMPONENT_UPLOADS_SUBDIR = "components";
+
+function photoFilenames(photo) {
+  return [
+    photo.filename,
+    ...Object.keys(IMAGE_VARIANTS).map((name) => photo[`${name}Filename`]),
+  ].filter(Boolean);
 }
 
-function safeUnlink(filePath) {
-  if (!filePath) return;
+// Firma el original y cada versión; las fotos anteriores a las versiones
+// WebP usan el original en su lugar.
+async function signPhoto(photo) {
+  const signed = await withSignedUrl(COMPONENT_UPLOADS_SUBDIR, photo);
 
-  try {
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-  } catch (err) {
-    console.warn("COMPONENT_PHOTO_UNLINK_WARN:", err?.message || err);
+  for (const name of Object.keys(IMAGE_VARIANTS)) {
+    const variantName = photo[`${name}Filename`];
+
+    signed[`${name}Url`] = variantName
+      ? await signStoredFile(COMPONENT_UPLOADS_SUBDIR, variantName)
+      : signed.url;
   }
-}
 
-function getPublicUrl(filename) {
-  return `/uploads/components/${filename}`;
+  return signed;
 }
 
-function getStoredFilePath(filename) {
-  return path.join(componentUploadsDir, filename);
-}
+const multerSinglePhoto = createSingleFileUpload({
+  fieldName: "photo",
+  filenamePrefix: "component",
+  allowedTypes: ALLOWED_MIME_TYPES,
+  maxFileSizeBytes: MAX_FILE_SIZE_BYTES,
+  invalidTypeMessage: "Solo se permiten imágenes JPG, PNG o WEBP.",
+  tooLargeMessage: "La imagen supera el límite permitido de 6 MB.",
+});
 
-function findComponentInZone(zone, componentId) {
-  const components = Array.isArray(zone?.components) ? zone.components : [];
-  return components.find((component) => component?.id === componentId) || null;
-}
+export default function componentPhotosRouter(prisma) {
+  const router = express.Router();
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    ensureUploadDirs();
-    cb(null, componentUploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const extFromName = path.extname(file.originalname || "").toLowerCase();
-    const extFromMime =
-      file.mimetype === "image/png"
-        ? ".png"
-        : file.mimetype === "image/webp"
-        ? ".webp"
-        : ".jpg";
-
-    const ext = [".jpg", ".jpeg", ".png", ".webp"].includes(extFromName)
-      ? extFromName
-      : extFromMime;
-
-    const safeName = `component-${Date.now()}-${Math.random()
-      .toString(36)
-      .slice(2, 10)}${ext}`;
-
-    cb(null, safeName);
-  },
-});
+  router.get("/health", (req, res) => {
+    res.json({ ok: true, module: "component-photos" });
+  });
 
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: MAX_FILE_SIZE_BYTES,
-    files: 1,
-  },
-  fileFilter: (req, file, cb) => {
-    if (!ALLOWED_MIME_TYPES.has(file.mimetype)) {
-      cb(new Error("Solo se permiten imágenes JPG, PNG o WEBP."));
-      return;
-    }
+  // GET /api/component-photos/photo/:photoId
+  // Renueva el enlace firmado de una foto. ADMIN y CONSULTANT.
+  router.get("/photo/:photoId", requireAuth, async (req, res) => {
+    try {
+      const { photoId } = req.params;
 
-    cb(null, true);
-  },
-});
+      const photo = await prisma.componentPhoto.findUnique({
+        where: { id: photoId },
+      });
 
-function multerSinglePhoto(req, res, next) {
-  upload.single("photo")(req, res, (err) => {
-    if (!err) return next();
+      if (!photo) {
+        return res.status(404).json({ error: "Foto no encontrada." });
+      }
 
-    if (err instanceof multer.MulterError) {
-      if (err.code === "LIMIT_FILE_SIZE") {
-        return res.status(413).json({
-          error: "La imagen supera el límite permitido de 6 MB.",
-        });
+      const access = await assertZoneMember(prisma, photo.zoneId, req.user.id);
+
+      if (!access) {
+        return res.status(404).json({ error: "Foto no encontrada." });
       }
 
-      return res.status(400).json({
-        error: err.message || "No se pudo procesar la imagen.",
-      });
+      return res.json({ photo: await signPhoto(photo) });
+    } catch (err) {
+      console.error("COMPONENT_PHOTO_GET_ERROR:", err);
+      return res.status(500).json({ error: "No se pudo cargar la foto." });
     }
-
-    return res.status(400).json({
-      error: err?.message || "Archivo inválido.",
-    });
   });
-}
 
-export default function componentPhotosRouter(prisma) {
-  const router = express.Router();
+  // GET /api/component-photos/farm/:farmId/geojson
+  // Fotos con ubicación GPS como FeatureCollection de puntos para el mapa.
+  // Query opcional: zoneId, componentId. ADMIN y CONSULTANT.
+  router.get("/farm/:farmId/geojson", requireAuth, async (req, res) => {
+    try {
+      const { farmId } = req.params;
+      const { zoneId, componentId } = req.query || {};
 
-  router.get("/health", (req, res) => {
-    res.json({ ok: true, module: "component-photos" });
+      const access = await assertFarmMember(prisma, farmId, req.user.id);
+
+      if (!access) {
+        return res.status(403).json({ error: "Sin acceso a esa finca." });
+      }
+
+      const where = {
+        farmId,
+        ...(zoneId ? { zoneId: String(zoneId) } : {}),
+        ...(componentId ? { componentId: String(componentId) } : {}),
+      };
+
+      const [photos, withoutLocation] = await Promise.all([
+        prisma.componentPhoto.findMany({
+          where: {
+            ...where,
+            latitude: { not: null },
+            longitude: { not: null },
+          },
+          orderBy: [{ takenAt: "desc" }, { createdAt: "desc" }],
+        }),
+        prisma.componentPhoto.count({
+          where: { ...where, OR: [{ latitude: null }, { longitude: null }] },
+        }),
+      ]);
+
+      const features = await Promise.all(
+        photos.map(async (photo) => {
+          const signed = await signPhoto(photo);
+
+          return {
+            type: "Feature",
+            id: photo.id,
+            geometry: {
+              type: "Point",
+              coordinates:
+                photo.altitude !== null
+                  ? [photo.longitude, photo.latitude, photo.altitude]
+                  : [photo.longitude, photo.latitude],
+            },
+            properties: {
+              id: photo.id,
+              zoneId: photo.zoneId,
+              componentId: photo.componentId,
+              takenAt: photo.takenAt,
+              insideZone: photo.insideZone,
+              note: photo.note,
+              url: signed.url,
+              thumbUrl: signed.thumbUrl,
+              mediumUrl: signed.mediumUrl,
+              urlExpiresAt: signed.urlExpiresAt,
+              createdAt: photo.createdAt,
+            },
+          };
+        })
+      );
+
+      return res.json({
+        type: "FeatureCollection",
+        features,
+        withoutLocation,
+      });
+    } catch (err) {
+      console.error("COMPONENT_PHOTOS_GEOJSON_ERROR:", err);
+      return res.status(500).json({ error: "No se pudieron cargar las fotos." });
+    }
   });
 
   // GET /api/component-photos/:zoneId/:componentId
@@ -142,15 +193,7 @@ export default function componentPhotosRouter(prisma) {
         return res.status(404).json({ error: "Zona no encontrada." });
       }
 
-      const zone = await prisma.mapZone.findUnique({
-        where: { id: zoneId },
-        select: {
-          id: true,
-          components: true,
-        },
-      });
-
-      const component = findComponentInZone(zone, componentId);
+      const component = await findZoneComponent(prisma, zoneId, componentId);
       if (!component) {
         return res.status(404).json({ error: "Componente no encontrado en esta zona." });
       }
@@ -160,7 +203,7 @@ export default function componentPhotosRouter(prisma) {
         orderBy: { createdAt: "desc" },
       });
 
-      return res.json({ photos });
+      return res.json({ photos: await Promise.all(photos.map(signPhoto)) });
     } catch (err) {
       console.error("COMPONENT_PHOTOS_LIST_ERROR:", err);
       return res.status(500).json({ error: "No se pudieron cargar las fotos." });
@@ -174,14 +217,16 @@ export default function componentPhotosRouter(prisma) {
     requireAuth,
     multerSinglePhoto,
     async (req, res) => {
-      let uploadedFilePath = req.file?.path || null;
+      const storedFilenames = [];
 
       try {
         const { zoneId, componentId } = req.params;
         const note = String(req.body?.note || "").trim();
+        const keepLocation = ["true", "1", "on"].includes(
+          String(req.body?.keepLocation || "").toLowerCase()
+        );
 
         if (!zoneId || !componentId) {
-          safeUnlink(uploadedFilePath);
           return res.status(400).json({ error: "Faltan zoneId o componentId." });
         }
 
@@ -192,12 +237,10 @@ export default function componentPhotosRouter(prisma) {
         const access = await assertZoneMember(prisma, zoneId, req.user.id);
 
         if (!access) {
-          safeUnlink(uploadedFilePath);
           return res.status(404).json({ error: "Zona no encontrada." });
         }
 
         if (access.role !== "ADMIN") {
-          safeUnlink(uploadedFilePath);
           return res.status(403).json({
             error: "Solo un administrador puede subir fotos.",
           });
@@ -208,13 +251,12 @@ export default function componentPhotosRouter(prisma) {
           select: {
             id: true,
             farmId: true,
-            components: true,
+            data: true,
           },
         });
 
-        const component = findComponentInZone(zone, componentId);
+        const component = await findZoneComponent(prisma, zoneId, componentId);
         if (!component) {
-          safeUnlink(uploadedFilePath);
           return res.status(404).json({
             error: "Componente no encontrado en esta zona.",
           });
@@ -225,14 +267,63 @@ export default function componentPhotosRouter(prisma) {
         });
 
         if (currentCount >= MAX_PHOTOS_PER_COMPONENT) {
-          safeUnlink(uploadedFilePath);
           return res.status(409).json({
             error: `Este componente ya tiene el máximo de ${MAX_PHOTOS_PER_COMPONENT} fotos.`,
           });
         }
 
+        // El EXIF se lee antes de procesar: el original limpio ya no lo trae.
+        const exif = await extractPhotoExif(req.file.buffer);
+        const insideZone =
+          exif.latitude !== null
+            ? isPointInZone([exif.longitude, exif.latitude], zone.data)
+            : null;
+        // Si la foto se tomó fuera de la zona, sugerimos en cuál cayó.
+        const locatedZone =
+          insideZone === false
+            ? await findZoneAt(prisma, zone.farmId, [
+                exif.longitude,
+                exif.latitude,
+              ])
+            : null;
+
+        let processed;
+        try {
+          processed = await processPhotoUpload(req.file.buffer, {
+            keepLocation,
+          });
+        } catch (err) {
+          if (err?.code === "INVALID_IMAGE") {
+            return res.status(400).json({ error: err.message });
+          }
+          throw err;
+        }
+
         const filename = req.file.filename;
-        const url = getPublicUrl(filename);
+        const { original, variants } = processed;
+
+        const url = await saveStoredFile(
+          COMPONENT_UPLOADS_SUBDIR,
+          filename,
+          original.buffer,
+          req.file.mimetype
+        );
+        storedFilenames.push(filename);
+
+        const variantData = {};
+
+        for (const [name, variant] of Object.entries(variants)) {
+          const variantName = variantFilename(filename, name);
+
+          variantData[`${name}Url`] = await saveStoredFile(
+            COMPONENT_UPLOADS_SUBDIR,
+            variantName,
+            variant.buffer,
+            "image/webp"
+          );
+          variantData[`${name}Filename`] = variantName;
+          storedFilenames.push(variantName);
+        }
 
         const photo = await prisma.componentPhoto.create({
           data: {
@@ -242,16 +333,26 @@ export default function componentPhotosRouter(prisma) {
             filename,
             url,
             mimeType: req.file.mimetype,
-            sizeBytes: req.file.size,
+            sizeBytes: original.buffer.length,
+            width: original.width || null,
+            height: original.height || null,
+            keepsLocation: keepLocation,
+            ...exif,
+            insideZone,
+            ...variantData,
             note: note || null,
           },
         });
 
-        uploadedFilePath = null;
+        storedFilenames.length = 0;
 
-        return res.status(201).json({ photo });
+        return res
+          .status(201)
+          .json({ photo: await signPhoto(photo), locatedZone });
       } catch (err) {
-        safeUnlink(uploadedFilePath);
+        for (const name of storedFilenames) {
+          await removeStoredFile(COMPONENT_UPLOADS_SUBDIR, name);
+        }
         console.error("COMPONENT_PHOTO_UPLOAD_ERROR:", err);
         return res.status(500).json({ error: "No se pudo guardar la foto." });
       }
@@ -292,7 +393,9 @@ export default function componentPhotosRouter(prisma) {
         where: { id: photo.id },
       });
 
-      safeUnlink(getStoredFilePath(photo.filename));
+      for (const name of photoFilenames(photo)) {
+        await removeStoredFile(COMPONENT_UPLOADS_SUBDIR, name);
+      }
 
       return res.json({ ok: true, deletedId: photo.id });
     } catch (err) {
@@ -5,6 +5,7 @@ import crypto from "crypto";
 import { requireAuth } from "./farms.base.js";
 import { assertFarmAdmin } from "../services/farmAccess.js";
 import { sendEmail } from "../services/emailService.js";
+import { releaseMemberAssignments } from "../services/taskAssignees.js";
 
 function normalizeEmail(value) {
   return String(value || "").trim().toLowerCase();
@@ -660,10 +661,14 @@ export default function farmInvitationsRouter(prisma) {
           });
         }
 
-        await prisma.farmMember.delete({
-          where: {
-            id: membership.id,
-          },
+        // Lo asignado al miembro queda con su nombre como responsable libre.
+        await prisma.$transaction(async (tx) => {
+          await releaseMemberAssignments(tx, membership.id);
+          await tx.farmMember.delete({
+            where: {
+              id: membership.id,
+            },
+          });
         });
 
         return res.json({
@@ -711,10 +716,13 @@ export default function farmInvitationsRouter(prisma) {
         });
       }
 
-      await prisma.farmMember.delete({
-        where: {
-          id: membership.id,
-        },
+      await prisma.$transaction(async (tx) => {
+        await releaseMemberAssignments(tx, membership.id);
+        await tx.farmMember.delete({
+          where: {
+            id: membership.id,
+          },
+        });
       });
 
       return res.json({
@@ -2,6 +2,22 @@
 import express from "express";
 import jwt from "jsonwebtoken";
 import { assertFarmMember as sharedAssertFarmMember, assertFarmAdmin as sharedAssertFarmAdmin } from "../services/farmAccess.js";
+import {
+  MAP_ROW_SELECT,
+  loadMapReference,
+  mapRowForResponse,
+  validateMapPayload,
+} from "../services/mapGeometry.js";
+import { upsertMapFeature } from "../services/mapPatch.js";
+import { lockMapHistory, recordMapVersion } from "../services/mapVersions.js";
+import { findMapFeatureIds, parseBBox } from "../services/mapSpatial.js";
+import {
+  MAP_TOPOLOGY_MODES,
+  checkMapTopology,
+  mapTopologyError,
+  mapTopologyResult,
+} from "../services/mapTopology.js";
+import { readZoneComponentList } from "../services/zoneComponents.js";
 
 /* =========================
    AUTH
@@ -26,6 +42,25 @@ export function requireAuth(req, res, next) {
   }
 }
 
+// Como requireAuth, pero sin token válido sigue como anónimo (sin req.user).
+// Para endpoints públicos que dan algo extra a los usuarios con sesión.
+export function optionalAuth(req, res, next) {
+  try {
+    const auth = req.headers.authorization || "";
+    const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
+    const secret = process.env.JWT_SECRET;
+
+    if (token && secret) {
+      const payload = jwt.verify(token, secret);
+      if (payload?.sub) req.user = { id: payload.sub };
+    }
+  } catch {
+    // Token vencido o inválido: se atiende como anónimo.
+  }
+
+  next();
+}
+
 /* =========================
    HELPERS
 ========================= */
@@ -267,6 +302,8 @@ export function registerBaseRoutes(ctx) {
               name: true,
               view: true,
               preferredCenter: true,
+              boundaryZoneId: true,
+              mapTopologyMode: true,
               createdAt: true,
               updatedAt: true,
             },
@@ -313,6 +350,8 @@ export function registerBaseRoutes(ctx) {
             name: true,
             view: true,
             preferredCenter: true,
+            boundaryZoneId: true,
+            mapTopologyMode: true,
             createdAt: true,
             updatedAt: true,
           },
@@ -347,7 +386,7 @@ export function registerBaseRoutes(ctx) {
     try {
       const farmId = req.params.id;
       const userId = req.user.id;
-      const { name, view } = req.body || {};
+      const { name, view, boundaryZoneId, mapTopologyMode } = req.body || {};
 
       if (!looksLikeId(farmId)) {
         return res.status(400).json({ error: "farmId inválido." });
@@ -360,6 +399,22 @@ export function registerBaseRoutes(ctx) {
 
       const data = {};
 
+      // Lindero: una zona de esta finca, o null para quitarlo.
+      if (boundaryZoneId !== undefined) {
+        if (boundaryZoneId !== null) {
+          const zone = looksLikeId(boundaryZoneId) ? await assertZoneOwner(boundaryZoneId, farmId) : null;
+          if (!zone) return res.status(400).json({ error: "boundaryZoneId no es una zona de esta finca." });
+        }
+        data.boundaryZoneId = boundaryZoneId;
+      }
+
+      if (mapTopologyMode !== undefined) {
+        if (!MAP_TOPOLOGY_MODES.includes(mapTopologyMode)) {
+          return res.status(400).json({ error: `mapTopologyMode debe ser ${MAP_TOPOLOGY_MODES.join(", ")}.` });
+        }
+        data.mapTopologyMode = mapTopologyMode;
+      }
+
       if (name !== undefined) {
         data.name = cleanName(name, existingFarm.name || "Mi finca");
       }
@@ -381,6 +436,8 @@ export function registerBaseRoutes(ctx) {
           name: true,
           view: true,
           preferredCenter: true,
+          boundaryZoneId: true,
+          mapTopologyMode: true,
           createdAt: true,
           updatedAt: true,
         },
@@ -398,7 +455,7 @@ export function registerBaseRoutes(ctx) {
     }
   });
 
-  // GET /api/farms/:id/map
+  // GET /api/farms/:id/map?bbox=
   router.get("/farms/:id/map", requireAuth, async (req, res) => {
     try {
       const farmId = req.params.id;
@@ -407,47 +464,41 @@ export function registerBaseRoutes(ctx) {
       if (!looksLikeId(farmId))
         return res.status(400).json({ error: "farmId inválido." });
 
+      // ?bbox=minLng,minLat,maxLng,maxLat: solo lo que cae en la vista.
+      const bbox = req.query.bbox !== undefined ? parseBBox(req.query.bbox) : null;
+      if (req.query.bbox !== undefined && !bbox)
+        return res.status(400).json({ error: "bbox inválido. Usa minLng,minLat,maxLng,maxLat." });
+
       const farm = await assertFarmMember(farmId, userId);
       if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
 
+      const whereFor = async (kind) =>
+        bbox ? { farmId, id: { in: await findMapFeatureIds(prisma, farmId, kind, { bbox }) } } : { farmId };
+
       const [points, lines, zones] = await Promise.all([
         prisma.mapPoint.findMany({
-          where: { farmId },
+          where: await whereFor("point"),
           orderBy: { createdAt: "asc" },
-          select: {
-            id: true,
-            name: true,
-            data: true,
-            createdAt: true,
-            updatedAt: true,
-          },
+          select: MAP_ROW_SELECT.point,
         }),
         prisma.mapLine.findMany({
-          where: { farmId },
+          where: await whereFor("line"),
           orderBy: { createdAt: "asc" },
-          select: {
-            id: true,
-            name: true,
-            data: true,
-            createdAt: true,
-            updatedAt: true,
-          },
+          select: MAP_ROW_SELECT.line,
         }),
         prisma.mapZone.findMany({
-          where: { farmId },
+          where: await whereFor("zone"),
           orderBy: { createdAt: "asc" },
-          select: {
-            id: true,
-            name: true,
-            data: true,
-            components: true,
-            createdAt: true,
-            updatedAt: true,
-          },
+          select: MAP_ROW_SELECT.zone,
         }),
       ]);
 
-      return res.json({ farm, points, lines, zones });
+      return res.json({
+        farm,
+        points: points.map((p) => mapRowForResponse("point", p)),
+        lines: lines.map((l) => mapRowForResponse("line", l)),
+        zones: zones.map((z) => mapRowForResponse("zone", z)),
+      });
     } catch (err) {
       console.error("GET_MAP_ERROR:", err);
       return res.status(500).json({ error: "Error interno cargando mapa." });
@@ -455,6 +506,7 @@ export function registerBaseRoutes(ctx) {
   });
 
   // PUT /api/farms/:id/map
+  // Reemplaza el mapa completo; para cambios puntuales usar PATCH (farms.map.js).
   router.put("/farms/:id/map", requireAuth, async (req, res) => {
     try {
       const farmId = req.params.id;
@@ -466,13 +518,51 @@ export function registerBaseRoutes(ctx) {
       const farm = await assertFarmAdmin(farmId, userId);
       if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
 
-      const { view, points, lines, zones } = req.body || {};
+      const { view } = req.body || {};
+
+      // Cada punto/línea/zona se guarda como Feature GeoJSON válido.
+      const geometry = validateMapPayload(req.body, {
+        reference: await loadMapReference(prisma, farmId),
+      });
+      if (!geometry.ok) {
+        return res.status(422).json({
+          error: "Hay geometrías inválidas en el mapa.",
+          errors: geometry.errors,
+        });
+      }
+
+      const safePoints = geometry.points;
+      const safeLines = geometry.lines;
+      const safeZones = geometry.zones;
+
+      // Componentes por zona: sin la clave no se tocan los que ya tiene.
+      const componentErrors = [];
+      const zoneComponents = safeZones.map((z, index) => {
+        if (z?.components === undefined) return undefined;
+        const list = readZoneComponentList(z.components);
+        if (!list.ok) {
+          componentErrors.push({
+            kind: "zone",
+            index,
+            id: z?.id ?? null,
+            name: z?.name ?? null,
+            errors: list.errors.flatMap((e) => e.errors),
+          });
+        }
+        return list.items;
+      });
 
-      const safePoints = Array.isArray(points) ? points : [];
-      const safeLines = Array.isArray(lines) ? lines : [];
-      const safeZones = Array.isArray(zones) ? zones : [];
+      if (componentErrors.length > 0) {
+        return res.status(422).json({
+          error: "Hay componentes inválidos en el mapa.",
+          errors: componentErrors,
+        });
+      }
 
       const result = await prisma.$transaction(async (tx) => {
+        const previousVersion = await lockMapHistory(tx, farmId);
+        const topologyBefore = await checkMapTopology(tx, farm);
+
         // 1) view (opcional)
         if (view) {
           const preferredCenter =
@@ -508,25 +598,11 @@ export function registerBaseRoutes(ctx) {
 
         // Upsert seguro (updateMany por id+farmId)
         for (const p of safePoints) {
-          const id = safeClientId(p?.id);
-          const data = p?.data ?? p;
-          const name = cleanName(p?.name, "Punto");
-
-          if (id) {
-            const up = await tx.mapPoint.updateMany({
-              where: { id, farmId },
-              data: { name, data },
-            });
-            if (up.count === 0) {
-              await tx.mapPoint.create({
-                data: { id, farmId, name, data },
-              });
-            }
-          } else {
-            await tx.mapPoint.create({
-              data: { farmId, name, data },
-            });
-          }
+          await upsertMapFeature(tx, farmId, "point", {
+            id: safeClientId(p?.id),
+            name: cleanName(p?.name, "Punto"),
+            data: p.data,
+          });
         }
 
         // ----- LINES -----
@@ -543,25 +619,12 @@ export function registerBaseRoutes(ctx) {
         }
 
         for (const l of safeLines) {
-          const id = safeClientId(l?.id);
-          const data = l?.data ?? l;
-          const name = cleanName(l?.name, "Línea");
-
-          if (id) {
-            const up = await tx.mapLine.updateMany({
-              where: { id, farmId },
-              data: { name, data },
-            });
-            if (up.count === 0) {
-              await tx.mapLine.create({
-                data: { id, farmId, name, data },
-              });
-            }
-          } else {
-            await tx.mapLine.create({
-              data: { farmId, name, data },
-            });
-          }
+          await upsertMapFeature(tx, farmId, "line", {
+            id: safeClientId(l?.id),
+            name: cleanName(l?.name, "Línea"),
+            data: l.data,
+            metrics: l.metrics,
+          });
         }
 
         // ----- ZONES -----
@@ -577,29 +640,26 @@ export function registerBaseRoutes(ctx) {
           });
         }
 
-        for (const z of safeZones) {
-          const id = safeClientId(z?.id);
-          const data = z?.data ?? z;
-          const name = cleanName(z?.name, "Zona");
-          const components = z?.components ?? null;
-
-          if (id) {
-            const up = await tx.mapZone.updateMany({
-              where: { id, farmId },
-              data: { name, data, components },
-            });
-            if (up.count === 0) {
-              await tx.mapZone.create({
-                data: { id, farmId, name, data, components },
-              });
-            }
-          } else {
-            await tx.mapZone.create({
-              data: { farmId, name, data, components },
-            });
-          }
+        for (const [index, z] of safeZones.entries()) {
+          await upsertMapFeature(tx, farmId, "zone", {
+            id: safeClientId(z?.id),
+            name: cleanName(z?.name, "Zona"),
+            data: z.data,
+            metrics: z.metrics,
+            components: zoneComponents[index],
+          });
         }
 
+        // 3) topología: en modo BLOCK los problemas nuevos deshacen el guardado
+        const topology = mapTopologyResult(farm, topologyBefore, await checkMapTopology(tx, farm));
+        if (topology.errors.length > 0) throw mapTopologyError(topology);
+
+        // 4) historial (solo si algo cambió)
+        const version = await recordMapVersion(tx, farmId, previousVersion, {
+          userId,
+          action: "save",
+        });
+
         return {
           ok: true,
           saved: {
@@ -607,51 +667,22 @@ export function registerBaseRoutes(ctx) {
             lines: safeLines.length,
             zones: safeZones.length,
           },
+          repairs: geometry.repairs,
+          topology: { mode: topology.mode, warnings: topology.warnings },
+          version: version ? { id: version.id, number: version.number } : null,
         };
       });
 
       return res.json(result);
     } catch (err) {
+      if (err?.code === "MAP_TOPOLOGY") {
+        return res.status(422).json({
+          error: "El mapa tiene problemas de topología. No se guardó nada.",
+          topology: err.topology,
+        });
+      }
       console.error("PUT_MAP_ERROR:", err);
       return res.status(500).json({ error: "Error interno guardando mapa." });
     }
   });
-
-  // PUT /api/farms/:farmId/zones/:zoneId/components
-  router.put(
-    "/farms/:farmId/zones/:zoneId/components",
-    requireAuth,
-    async (req, res) => {
-      try {
-        const { farmId, zoneId } = req.params;
-        const userId = req.user.id;
-        const { components } = req.body || {};
-
-        if (!looksLikeId(farmId) || !looksLikeId(zoneId)) {
-          return res.status(400).json({ error: "IDs inválidos." });
-        }
-
-        if (components === undefined) {
-          return res.status(400).json({ error: "components es requerido." });
-        }
-
-        const farm = await assertFarmAdmin(farmId, userId);
-        if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
-
-        const zone = await assertZoneOwner(zoneId, farmId);
-        if (!zone) return res.status(404).json({ error: "Zona no encontrada." });
-
-        const updatedZone = await prisma.mapZone.update({
-          where: { id: zoneId },
-          data: { components },
-          select: { id: true, name: true, components: true, updatedAt: true },
-        });
-
-        return res.json({ ok: true, zone: updatedZone });
-      } catch (err) {
-        console.error("UPDATE_COMPONENTS_ERROR:", err);
-        return res.status(500).json({ error: "Error guardando componentes." });
-      }
-    }
-  );
-}
\ No newline at end of file
+}
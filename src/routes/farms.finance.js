@@ -1,4 +1,6 @@
 // src/routes/farms.finance.js
+import { CLOSED_TASK_STATUSES } from "../services/taskStatus.js";
+
 export function registerFinanceRoutes(ctx) {
   const {
     prisma,
@@ -486,7 +488,7 @@ export function registerFinanceRoutes(ctx) {
         }),
         prisma.mapZone.findMany({
           where: { farmId },
-          select: { name: true, components: true },
+          select: { name: true, components: { select: { type: true } } },
         }),
         prisma.task.findMany({
           where: { farmId },
@@ -690,7 +692,7 @@ export function registerFinanceRoutes(ctx) {
         if (keys.length === 0) return false;
 
         return tasks.some((t) => {
-          if (!t || t.status === "Completada") return false;
+          if (!t || CLOSED_TASK_STATUSES.includes(t.status)) return false;
           const hay = normalizeText(`${t.title || ""} ${t.zone || ""}`);
           return keys.some((k) => hay.includes(k));
         });
@@ -717,10 +719,10 @@ export function registerFinanceRoutes(ctx) {
             title: "Registrar movimientos iniciales del mes",
             zone: "",
             type: "Mantenimiento",
-            priority: "Alta",
+            priority: "HIGH",
             start: today,
             due: today,
-            status: "Pendiente",
+            status: "PENDING",
             owner: "",
           },
         });
@@ -736,10 +738,10 @@ export function registerFinanceRoutes(ctx) {
             title: "Completar facturas faltantes en gastos",
             zone: "",
             type: "Mantenimiento",
-            priority: "Media",
+            priority: "MEDIUM",
             start: today,
             due: today,
-            status: "Pendiente",
+            status: "PENDING",
             owner: "",
           },
         });
@@ -758,10 +760,10 @@ export function registerFinanceRoutes(ctx) {
             title: "Auditar categorías de movimientos",
             zone: "",
             type: "Mantenimiento",
-            priority: "Media",
+            priority: "MEDIUM",
             start: today,
             due: today,
-            status: "Pendiente",
+            status: "PENDING",
             owner: "",
           },
         });
@@ -777,10 +779,10 @@ export function registerFinanceRoutes(ctx) {
             title: "Revisar duplicados en movimientos",
             zone: "",
             type: "Mantenimiento",
-            priority: "Media",
+            priority: "MEDIUM",
             start: today,
             due: today,
-            status: "Pendiente",
+            status: "PENDING",
             owner: "",
           },
         });
@@ -796,10 +798,10 @@ export function registerFinanceRoutes(ctx) {
             title: "Revisión de costos para mejorar margen",
             zone: "",
             type: "Mantenimiento",
-            priority: "Alta",
+            priority: "HIGH",
             start: today,
             due: today,
-            status: "Pendiente",
+            status: "PENDING",
             owner: "",
           },
         });
@@ -816,10 +818,10 @@ export function registerFinanceRoutes(ctx) {
             title: "Optimizar rutas y consumo de combustible",
             zone: "",
             type: "Mantenimiento",
-            priority: "Media",
+            priority: "MEDIUM",
             start: today,
             due: today,
-            status: "Pendiente",
+            status: "PENDING",
             owner: "",
           },
         });
@@ -836,10 +838,10 @@ export function registerFinanceRoutes(ctx) {
             title: "Revisar eficiencia de alimentación",
             zone: "",
             type: "Alimentación",
-            priority: "Media",
+            priority: "MEDIUM",
             start: today,
             due: today,
-            status: "Pendiente",
+            status: "PENDING",
             owner: "",
           },
         });
@@ -856,10 +858,10 @@ export function registerFinanceRoutes(ctx) {
             title: "Optimizar plan de fertilización por zona",
             zone: "",
             type: "Mantenimiento",
-            priority: "Media",
+            priority: "MEDIUM",
             start: today,
             due: today,
-            status: "Pendiente",
+            status: "PENDING",
             owner: "",
           },
         });
@@ -876,10 +878,10 @@ export function registerFinanceRoutes(ctx) {
             title: "Mejorar detalle de registro de ventas",
             zone: "",
             type: "Mantenimiento",
-            priority: "Media",
+            priority: "MEDIUM",
             start: today,
             due: today,
-            status: "Pendiente",
+            status: "PENDING",
             owner: "",
           },
         });
@@ -890,9 +892,8 @@ export function registerFinanceRoutes(ctx) {
         const zoneName = isNonEmptyString(z?.name) ? z.name.trim() : "";
         if (!zoneName) continue;
 
-        const comp = z.components && typeof z.components === "object" ? z.components : {};
-        const hasAnimals = !!(comp.animales || comp.animal || comp.animals || comp.ganado);
-        const hasCrops = !!(comp.cultivos || comp.cultivo || comp.crops || comp.plantas);
+        const hasAnimals = z.components.some((c) => c.type === "ANIMAL_GROUP");
+        const hasCrops = z.components.some((c) => c.type === "CROP");
 
         if (hasAnimals && topHas("sanidad") && !hasActiveTaskLike("sanidad")) {
           pushSug({
@@ -904,10 +905,10 @@ export function registerFinanceRoutes(ctx) {
               title: `Chequeo sanitario - ${zoneName}`,
               zone: zoneName,
               type: "Mantenimiento",
-              priority: "Media",
+              priority: "MEDIUM",
               start: today,
               due: today,
-              status: "Pendiente",
+              status: "PENDING",
               owner: "",
             },
           });
@@ -923,10 +924,10 @@ export function registerFinanceRoutes(ctx) {
               title: `Revisión nutricional - ${zoneName}`,
               zone: zoneName,
               type: "Mantenimiento",
-              priority: "Media",
+              priority: "MEDIUM",
               start: today,
               due: today,
-              status: "Pendiente",
+              status: "PENDING",
               owner: "",
             },
           });
@@ -1,9 +1,13 @@
 // src/routes/farms.js
 
 import { createFarmsContext, registerBaseRoutes } from "./farms.base.js";
+import { registerMapRoutes } from "./farms.map.js";
 import { registerTaskRoutes } from "./farms.tasks.js";
+import { registerTaskRecurrenceRoutes } from "./farms.taskRecurrences.js";
+import { registerTaskDependencyRoutes } from "./farms.taskDependencies.js";
 import { registerFinanceRoutes } from "./farms.finance.js";
 import { registerZonesReportRoutes } from "./farms.zonesReport.js";
+import { registerZoneComponentRoutes } from "./farms.zoneComponents.js";
 
 import processesRouter from "./processes.js";
 import componentPhotosRouter from "./componentPhotos.js";
@@ -13,9 +17,13 @@ export default function farmsRouter(prisma) {
   const ctx = createFarmsContext(prisma);
 
   registerBaseRoutes(ctx);
+  registerMapRoutes(ctx);
   registerTaskRoutes(ctx);
+  registerTaskRecurrenceRoutes(ctx);
+  registerTaskDependencyRoutes(ctx);
   registerFinanceRoutes(ctx);
   registerZonesReportRoutes(ctx);
+  registerZoneComponentRoutes(ctx);
 
   // Procesos
   ctx.router.use("/processes", processesRouter(prisma));
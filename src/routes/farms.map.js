@@ -0,0 +1,625 @@
+// src/routes/farms.map.js
+import {
+  MAP_EXPORT_FORMATS,
+  MAP_EXPORT_WRITERS,
+  buildMapExportFeatures,
+  exportFilename,
+} from "../services/mapExport.js";
+import { MAP_MODELS, MAP_ROW_SELECT, loadMapReference, mapRowForResponse } from "../services/mapGeometry.js";
+import {
+  DEFAULT_LOCATE_LIMIT,
+  DEFAULT_LOCATE_RADIUS_M,
+  locateInFarm,
+  parseLocation,
+} from "../services/mapLocate.js";
+import {
+  buildMapImportPreview,
+  parseMapImportFile,
+  parseMapImportSelection,
+} from "../services/mapImport.js";
+import {
+  findMapFeatureIds,
+  findZoneOverlaps,
+  parseBBox,
+  readSpatialGeometry,
+} from "../services/mapSpatial.js";
+import { checkMapTopology, mapTopologyError, mapTopologyResult } from "../services/mapTopology.js";
+import {
+  applyMapPatch,
+  describeMapConflicts,
+  parseMapPatch,
+  upsertMapFeature,
+} from "../services/mapPatch.js";
+import {
+  MAP_VERSION_LIST_SELECT,
+  diffMapSnapshots,
+  lockMapHistory,
+  readMapSnapshot,
+  recordMapVersion,
+  restoreMapSnapshot,
+} from "../services/mapVersions.js";
+import { createSingleFileUpload } from "../services/uploadStorage.js";
+
+const DEFAULT_VERSIONS_LIMIT = 50;
+const MAX_VERSIONS_LIMIT = 200;
+
+const MAX_LOCATE_LIMIT = 50;
+
+const MAX_IMPORT_FILE_SIZE_BYTES = 15 * 1024 * 1024; // 15 MB
+// Los navegadores mandan KMZ y .zip con MIME muy distintos; el formato real
+// se detecta por contenido en parseMapImportFile.
+const IMPORT_MIME_TYPES = {
+  "application/vnd.google-earth.kml+xml": [".kml"],
+  "application/vnd.google-earth.kmz": [".kmz"],
+  "application/geo+json": [".geojson", ".json"],
+  "application/json": [".json", ".geojson"],
+  "application/xml": [".kml"],
+  "text/xml": [".kml"],
+  "text/plain": [".geojson", ".json", ".kml"],
+  "application/zip": [".zip", ".kmz"],
+  "application/x-zip-compressed": [".zip", ".kmz"],
+  "application/octet-stream": [".zip", ".kmz", ".kml", ".geojson", ".json"],
+};
+
+const MAP_KINDS = Object.keys(MAP_MODELS);
+
+const multerMapImport = createSingleFileUpload({
+  fieldName: "file",
+  filenamePrefix: "map-import",
+  allowedTypes: IMPORT_MIME_TYPES,
+  maxFileSizeBytes: MAX_IMPORT_FILE_SIZE_BYTES,
+  invalidTypeMessage: "Solo se permiten archivos KML, KMZ, GeoJSON o Shapefile (.zip).",
+  tooLargeMessage: "El archivo supera el límite permitido de 15 MB.",
+});
+
+export function registerMapRoutes(ctx) {
+  const { prisma, router, requireAuth, looksLikeId, assertFarmMember, assertFarmAdmin } = ctx;
+
+  // PATCH /api/farms/:id/map
+  // Body: { ops: [{ op, kind, id?, updatedAt?, name?, data?, components? }], view? }
+  // A diferencia del PUT, solo toca los features listados.
+  router.patch("/farms/:id/map", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+      const userId = req.user.id;
+
+      if (!looksLikeId(farmId)) return res.status(400).json({ error: "farmId inválido." });
+
+      const farm = await assertFarmAdmin(farmId, userId);
+      if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const patch = parseMapPatch(req.body, { reference: await loadMapReference(prisma, farmId) });
+      if (!patch.ok) {
+        return res.status(422).json({
+          error: "Hay operaciones inválidas en el cambio del mapa.",
+          errors: patch.errors,
+        });
+      }
+
+      const { view } = req.body || {};
+
+      let outcome;
+      try {
+        outcome = await prisma.$transaction(async (tx) => {
+          const previousVersion = await lockMapHistory(tx, farmId);
+          const topologyBefore = await checkMapTopology(tx, farm);
+
+          if (view) {
+            const preferredCenter = Array.isArray(view.center) ? view.center : null;
+
+            await tx.farm.update({
+              where: { id: farmId },
+              data: { view, ...(preferredCenter ? { preferredCenter } : {}) },
+            });
+          }
+
+          const applied = await applyMapPatch(tx, farmId, patch.ops);
+
+          const topology = mapTopologyResult(farm, topologyBefore, await checkMapTopology(tx, farm));
+          if (topology.errors.length > 0) throw mapTopologyError(topology);
+
+          const version = await recordMapVersion(tx, farmId, previousVersion, {
+            userId,
+            action: "patch",
+          });
+
+          return { applied, topology, version };
+        });
+      } catch (err) {
+        if (err?.code === "MAP_TOPOLOGY") {
+          return res.status(422).json({
+            error: "El mapa tiene problemas de topología. No se guardó nada.",
+            topology: err.topology,
+          });
+        }
+        if (err?.code !== "MAP_CONFLICT") throw err;
+
+        return res.status(409).json({
+          error: "El mapa cambió desde que lo cargaste. No se guardó nada.",
+          conflicts: await describeMapConflicts(prisma, farmId, err.conflicts),
+        });
+      }
+
+      const results = outcome.applied;
+      const count = (op) => results.filter((r) => r.op === op).length;
+
+      return res.json({
+        ok: true,
+        applied: {
+          created: count("create"),
+          updated: count("update"),
+          deleted: count("delete"),
+        },
+        results,
+        repairs: patch.repairs,
+        topology: { mode: outcome.topology.mode, warnings: outcome.topology.warnings },
+        version: outcome.version
+          ? { id: outcome.version.id, number: outcome.version.number }
+          : null,
+      });
+    } catch (err) {
+      console.error("PATCH_MAP_ERROR:", err);
+      return res.status(500).json({ error: "Error interno guardando cambios del mapa." });
+    }
+  });
+
+  const withoutSnapshot = ({ snapshot, ...info }) => info;
+
+  async function findVersion(farmId, versionId) {
+    if (!looksLikeId(versionId)) return null;
+    return prisma.mapVersion.findFirst({
+      where: { id: versionId, farmId },
+      select: { ...MAP_VERSION_LIST_SELECT, snapshot: true },
+    });
+  }
+
+  // GET /api/farms/:id/map/versions?limit=&before=
+  // Más reciente primero; `before` es un número de versión para paginar.
+  router.get("/farms/:id/map/versions", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+
+      if (!looksLikeId(farmId)) return res.status(400).json({ error: "farmId inválido." });
+
+      const farm = await assertFarmMember(farmId, req.user.id);
+      if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const limitRaw = Number(req.query.limit);
+      const limit =
+        Number.isInteger(limitRaw) && limitRaw > 0
+          ? Math.min(limitRaw, MAX_VERSIONS_LIMIT)
+          : DEFAULT_VERSIONS_LIMIT;
+
+      const before = Number(req.query.before);
+
+      const versions = await prisma.mapVersion.findMany({
+        where: {
+          farmId,
+          ...(Number.isInteger(before) && before > 0 ? { number: { lt: before } } : {}),
+        },
+        orderBy: { number: "desc" },
+        take: limit,
+        select: MAP_VERSION_LIST_SELECT,
+      });
+
+      return res.json({
+        versions,
+        nextBefore: versions.length === limit ? versions[versions.length - 1].number : null,
+      });
+    } catch (err) {
+      console.error("LIST_MAP_VERSIONS_ERROR:", err);
+      return res.status(500).json({ error: "Error cargando historial del mapa." });
+    }
+  });
+
+  // GET /api/farms/:id/map/versions/diff?from=&to=
+  // Sin `to` compara contra el mapa actual.
+  router.get("/farms/:id/map/versions/diff", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+      const { from, to } = req.query;
+
+      if (!looksLikeId(farmId)) return res.status(400).json({ error: "farmId inválido." });
+
+      const farm = await assertFarmMember(farmId, req.user.id);
+      if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const fromVersion = await findVersion(farmId, from);
+      if (!fromVersion) return res.status(404).json({ error: "Versión `from` no encontrada." });
+
+      let toVersion = null;
+      if (to !== undefined) {
+        toVersion = await findVersion(farmId, to);
+        if (!toVersion) return res.status(404).json({ error: "Versión `to` no encontrada." });
+      }
+
+      const toSnapshot = toVersion ? toVersion.snapshot : await readMapSnapshot(prisma, farmId);
+
+      return res.json({
+        from: withoutSnapshot(fromVersion),
+        to: toVersion ? withoutSnapshot(toVersion) : null,
+        diff: diffMapSnapshots(fromVersion.snapshot, toSnapshot),
+      });
+    } catch (err) {
+      console.error("DIFF_MAP_VERSIONS_ERROR:", err);
+      return res.status(500).json({ error: "Error comparando versiones del mapa." });
+    }
+  });
+
+  // GET /api/farms/:id/map/versions/:versionId
+  router.get("/farms/:id/map/versions/:versionId", requireAuth, async (req, res) => {
+    try {
+      const { id: farmId, versionId } = req.params;
+
+      if (!looksLikeId(farmId)) return res.status(400).json({ error: "farmId inválido." });
+
+      const farm = await assertFarmMember(farmId, req.user.id);
+      if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const version = await findVersion(farmId, versionId);
+      if (!version) return res.status(404).json({ error: "Versión no encontrada." });
+
+      return res.json({ version });
+    } catch (err) {
+      console.error("GET_MAP_VERSION_ERROR:", err);
+      return res.status(500).json({ error: "Error cargando versión del mapa." });
+    }
+  });
+
+  // POST /api/farms/:id/map/versions/:versionId/rollback
+  // Deja el mapa como estaba en esa versión y registra una versión nueva,
+  // así el rollback también se puede deshacer.
+  router.post("/farms/:id/map/versions/:versionId/rollback", requireAuth, async (req, res) => {
+    try {
+      const { id: farmId, versionId } = req.params;
+      const userId = req.user.id;
+
+      if (!looksLikeId(farmId)) return res.status(400).json({ error: "farmId inválido." });
+
+      const farm = await assertFarmAdmin(farmId, userId);
+      if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const target = await findVersion(farmId, versionId);
+      if (!target) return res.status(404).json({ error: "Versión no encontrada." });
+
+      const result = await prisma.$transaction(async (tx) => {
+        const previousVersion = await lockMapHistory(tx, farmId);
+        const topologyBefore = await checkMapTopology(tx, farm);
+        const { kept, skipped } = await restoreMapSnapshot(tx, farmId, target.snapshot);
+
+        // La versión pudo dibujarse con otro lindero: en modo BLOCK los
+        // problemas nuevos deshacen el rollback, igual que en PUT/PATCH.
+        const topology = mapTopologyResult(farm, topologyBefore, await checkMapTopology(tx, farm));
+        if (topology.errors.length > 0) throw mapTopologyError(topology);
+
+        const version = await recordMapVersion(tx, farmId, previousVersion, {
+          userId,
+          action: "rollback",
+          restoredFromId: target.id,
+        });
+
+        return { version, kept, skipped, topology };
+      });
+
+      return res.json({
+        ok: true,
+        restoredFrom: { id: target.id, number: target.number },
+        version: result.version,
+        kept: result.kept,
+        skipped: result.skipped,
+        topology: { mode: result.topology.mode, warnings: result.topology.warnings },
+      });
+    } catch (err) {
+      if (err?.code === "MAP_TOPOLOGY") {
+        return res.status(422).json({
+          error: "El mapa tiene problemas de topología. No se restauró la versión.",
+          topology: err.topology,
+        });
+      }
+      console.error("ROLLBACK_MAP_ERROR:", err);
+      return res.status(500).json({ error: "Error restaurando versión del mapa." });
+    }
+  });
+
+  async function existingFeatures(farmId) {
+    const existing = {};
+    for (const kind of MAP_KINDS) {
+      existing[kind] = await prisma[MAP_MODELS[kind]].findMany({
+        where: { farmId },
+        orderBy: { createdAt: "asc" },
+        select: { id: true, name: true },
+      });
+    }
+    return existing;
+  }
+
+  // POST /api/farms/:id/map/import/preview (multipart, campo "file")
+  // Lee el archivo y devuelve lo que se importaría, sin guardar nada.
+  router.post("/farms/:id/map/import/preview", requireAuth, multerMapImport, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+
+      if (!looksLikeId(farmId)) return res.status(400).json({ error: "farmId inválido." });
+
+      const farm = await assertFarmAdmin(farmId, req.user.id);
+      if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      if (!req.file) return res.status(400).json({ error: "Debes adjuntar un archivo." });
+
+      let preview;
+      try {
+        const parsed = await parseMapImportFile(req.file);
+        preview = {
+          format: parsed.format,
+          ...buildMapImportPreview(parsed.features, await existingFeatures(farmId), {
+            reference: await loadMapReference(prisma, farmId),
+          }),
+        };
+      } catch (err) {
+        if (err?.code === "INVALID_IMPORT") {
+          return res.status(400).json({ error: err.message });
+        }
+        throw err;
+      }
+
+      return res.json({ filename: req.file.originalname || null, ...preview });
+    } catch (err) {
+      console.error("MAP_IMPORT_PREVIEW_ERROR:", err);
+      return res.status(500).json({ error: "Error leyendo el archivo a importar." });
+    }
+  });
+
+  // POST /api/farms/:id/map/import
+  // Body: { features: [{ kind, name, data, action: "create" | "update", targetId? }] }
+  // con los elementos elegidos de la vista previa. "update" reemplaza nombre
+  // y geometría de targetId sin cambiar su id ni sus componentes.
+  router.post("/farms/:id/map/import", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+      const userId = req.user.id;
+
+      if (!looksLikeId(farmId)) return res.status(400).json({ error: "farmId inválido." });
+
+      const farm = await assertFarmAdmin(farmId, userId);
+      if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const existing = await existingFeatures(farmId);
+      const existingIds = Object.fromEntries(
+        MAP_KINDS.map((kind) => [kind, new Set(existing[kind].map((row) => row.id))])
+      );
+
+      const selection = parseMapImportSelection(req.body, existingIds, {
+        reference: await loadMapReference(prisma, farmId),
+      });
+      if (!selection.ok) {
+        return res.status(422).json({
+          error: "Hay elementos inválidos en la importación.",
+          errors: selection.errors,
+        });
+      }
+
+      const result = await prisma.$transaction(async (tx) => {
+        const previousVersion = await lockMapHistory(tx, farmId);
+        const topologyBefore = await checkMapTopology(tx, farm);
+        const imported = [];
+
+        for (const item of selection.items) {
+          const { id, created } = await upsertMapFeature(tx, farmId, item.kind, item);
+          imported.push({ kind: item.kind, id, name: item.name, created });
+        }
+
+        // Igual que PUT/PATCH: en modo BLOCK los problemas nuevos deshacen la importación.
+        const topology = mapTopologyResult(farm, topologyBefore, await checkMapTopology(tx, farm));
+        if (topology.errors.length > 0) throw mapTopologyError(topology);
+
+        const version = await recordMapVersion(tx, farmId, previousVersion, {
+          userId,
+          action: "import",
+        });
+
+        return { imported, topology, version };
+      });
+
+      return res.status(201).json({
+        ok: true,
+        created: result.imported.filter((i) => i.created).length,
+        updated: result.imported.filter((i) => !i.created).length,
+        imported: result.imported,
+        topology: { mode: result.topology.mode, warnings: result.topology.warnings },
+        version: result.version
+          ? { id: result.version.id, number: result.version.number }
+          : null,
+      });
+    } catch (err) {
+      if (err?.code === "MAP_TOPOLOGY") {
+        return res.status(422).json({
+          error: "El mapa tiene problemas de topología. No se importó nada.",
+          topology: err.topology,
+        });
+      }
+      console.error("MAP_IMPORT_ERROR:", err);
+      return res.status(500).json({ error: "Error importando elementos al mapa." });
+    }
+  });
+
+  // GET /api/farms/:id/map/export?format=geojson|kml|gpx
+  // Descarga el mapa; GPX solo lleva puntos y líneas.
+  router.get("/farms/:id/map/export", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+      const format = String(req.query.format || "geojson").toLowerCase();
+
+      if (!looksLikeId(farmId)) return res.status(400).json({ error: "farmId inválido." });
+
+      if (!MAP_EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          error: `format inválido. Usa: ${Object.keys(MAP_EXPORT_FORMATS).join(", ")}.`,
+        });
+      }
+
+      const farm = await assertFarmMember(farmId, req.user.id);
+      if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const rows = {};
+      for (const kind of MAP_KINDS) {
+        const found = await prisma[MAP_MODELS[kind]].findMany({
+          where: { farmId },
+          orderBy: { createdAt: "asc" },
+          select: MAP_ROW_SELECT[kind],
+        });
+        rows[kind] = found.map((row) => mapRowForResponse(kind, row));
+      }
+
+      const tasks = await prisma.task.findMany({
+        where: { farmId },
+        select: { zoneId: true, zone: true, status: true },
+      });
+
+      const features = buildMapExportFeatures({
+        points: rows.point,
+        lines: rows.line,
+        zones: rows.zone,
+        tasks,
+      });
+
+      const body = MAP_EXPORT_WRITERS[format](farm, features);
+
+      res.set("Content-Type", `${MAP_EXPORT_FORMATS[format].contentType}; charset=utf-8`);
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="${exportFilename(farm.name, format)}"`
+      );
+      return res.send(body);
+    } catch (err) {
+      console.error("MAP_EXPORT_ERROR:", err);
+      return res.status(500).json({ error: "Error exportando el mapa." });
+    }
+  });
+
+  // GET /api/farms/:id/map/locate?lat=&lng=&radius=&limit=
+  // Zonas que contienen la coordenada (la más específica primero) y puntos y
+  // líneas a menos de `radius` metros.
+  router.get("/farms/:id/map/locate", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+      if (!looksLikeId(farmId)) return res.status(400).json({ error: "farmId inválido." });
+
+      const position = parseLocation(req.query.lat, req.query.lng);
+      if (!position) return res.status(400).json({ error: "lat/lng inválidos." });
+
+      const radiusM = req.query.radius === undefined ? DEFAULT_LOCATE_RADIUS_M : Number(req.query.radius);
+      if (!Number.isFinite(radiusM) || radiusM < 0) {
+        return res.status(400).json({ error: "radius debe ser un número de metros." });
+      }
+
+      const limit = Math.min(
+        Math.max(Number.parseInt(req.query.limit, 10) || DEFAULT_LOCATE_LIMIT, 1),
+        MAX_LOCATE_LIMIT
+      );
+
+      const farm = await assertFarmMember(farmId, req.user.id);
+      if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      return res.json(await locateInFarm(prisma, farmId, position, { radiusM, limit }));
+    } catch (err) {
+      console.error("MAP_LOCATE_ERROR:", err);
+      return res.status(500).json({ error: "Error ubicando el punto en el mapa." });
+    }
+  });
+
+  // POST /api/farms/:id/map/search
+  // Body: { kinds?, bbox?, geometry?, zoneId? }. Devuelve los features que
+  // cruzan la caja, la geometría y/o la zona indicada (filtros con AND).
+  router.post("/farms/:id/map/search", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+      const body = req.body || {};
+
+      if (!looksLikeId(farmId)) return res.status(400).json({ error: "farmId inválido." });
+
+      const kinds = body.kinds === undefined ? MAP_KINDS : body.kinds;
+      if (!Array.isArray(kinds) || kinds.length === 0 || !kinds.every((k) => MAP_KINDS.includes(k))) {
+        return res.status(400).json({ error: `kinds debe ser una lista con: ${MAP_KINDS.join(", ")}.` });
+      }
+
+      const filters = {};
+
+      if (body.bbox !== undefined) {
+        filters.bbox = parseBBox(body.bbox);
+        if (!filters.bbox) {
+          return res.status(400).json({ error: "bbox inválido. Usa [minLng, minLat, maxLng, maxLat]." });
+        }
+      }
+
+      if (body.geometry !== undefined) {
+        const out = readSpatialGeometry(body.geometry);
+        if (!out.ok) return res.status(400).json({ error: "geometry inválida.", errors: out.errors });
+        filters.geometry = out.geometry;
+      }
+
+      if (body.zoneId !== undefined) {
+        if (!looksLikeId(body.zoneId)) return res.status(400).json({ error: "zoneId inválido." });
+        filters.zoneId = body.zoneId;
+      }
+
+      if (!filters.bbox && !filters.geometry && !filters.zoneId) {
+        return res.status(400).json({ error: "Indica bbox, geometry o zoneId." });
+      }
+
+      const farm = await assertFarmMember(farmId, req.user.id);
+      if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      if (filters.zoneId) {
+        const zone = await prisma.mapZone.findFirst({
+          where: { id: filters.zoneId, farmId },
+          select: { id: true },
+        });
+        if (!zone) return res.status(404).json({ error: "Zona no encontrada en esta finca." });
+      }
+
+      const result = { points: [], lines: [], zones: [] };
+      const collection = { point: "points", line: "lines", zone: "zones" };
+
+      for (const kind of kinds) {
+        const ids = await findMapFeatureIds(prisma, farmId, kind, filters);
+        if (ids.length === 0) continue;
+
+        const rows = await prisma[MAP_MODELS[kind]].findMany({
+          where: { farmId, id: { in: ids } },
+          orderBy: { createdAt: "asc" },
+          select: MAP_ROW_SELECT[kind],
+        });
+        result[collection[kind]] = rows.map((row) => mapRowForResponse(kind, row));
+      }
+
+      return res.json(result);
+    } catch (err) {
+      console.error("MAP_SEARCH_ERROR:", err);
+      return res.status(500).json({ error: "Error buscando en el mapa." });
+    }
+  });
+
+  // GET /api/farms/:id/map/overlaps?zoneId=
+  // Pares de zonas que comparten área; con zoneId solo los de esa zona.
+  router.get("/farms/:id/map/overlaps", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+      const zoneId = req.query.zoneId ? String(req.query.zoneId) : null;
+
+      if (!looksLikeId(farmId)) return res.status(400).json({ error: "farmId inválido." });
+      if (zoneId && !looksLikeId(zoneId)) return res.status(400).json({ error: "zoneId inválido." });
+
+      const farm = await assertFarmMember(farmId, req.user.id);
+      if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const overlaps = await findZoneOverlaps(prisma, farmId, {
+        zoneIds: zoneId ? [zoneId] : null,
+      });
+
+      return res.json({ overlaps });
+    } catch (err) {
+      console.error("MAP_OVERLAPS_ERROR:", err);
+      return res.status(500).json({ error: "Error revisando solapes de zonas." });
+    }
+  });
+}
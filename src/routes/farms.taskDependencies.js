@@ -0,0 +1,250 @@
+// src/routes/farms.taskDependencies.js
+import {
+  TASK_DEPENDENCY_SELECT,
+  addTaskDependency,
+  applySchedule,
+  loadSchedule,
+  parseLagDays,
+} from "../services/taskSchedule.js";
+
+export function registerTaskDependencyRoutes(ctx) {
+  const {
+    prisma,
+    router,
+    requireAuth,
+    looksLikeId,
+    isNonEmptyString,
+    assertFarmMember,
+    assertFarmAdmin,
+  } = ctx;
+
+  // zoneProcessId opcional (query o body). Devuelve { zoneProcessId } o
+  // { error }.
+  async function readProcessScope(farmId, value) {
+    if (!isNonEmptyString(value)) return { zoneProcessId: null };
+
+    const process = await prisma.zoneProcess.findFirst({
+      where: { id: value.trim(), zone: { farmId } },
+      select: { id: true },
+    });
+    if (!process)
+      return { error: "zoneProcessId no es un proceso de esta finca." };
+
+    return { zoneProcessId: process.id };
+  }
+
+  // GET /api/farms/:id/tasks/:taskId/dependencies
+  router.get(
+    "/farms/:id/tasks/:taskId/dependencies",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { id: farmId, taskId } = req.params;
+
+        if (!looksLikeId(farmId) || !looksLikeId(taskId)) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        const farm = await assertFarmMember(farmId, req.user.id);
+        if (!farm)
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+        const task = await prisma.task.findFirst({
+          where: { id: taskId, farmId },
+          select: { id: true },
+        });
+        if (!task)
+          return res.status(404).json({ error: "Tarea no encontrada." });
+
+        const taskSummary = {
+          select: {
+            id: true,
+            title: true,
+            status: true,
+            start: true,
+            due: true,
+          },
+        };
+        const [predecessors, successors] = await Promise.all([
+          prisma.taskDependency.findMany({
+            where: { successorId: taskId },
+            select: { ...TASK_DEPENDENCY_SELECT, predecessor: taskSummary },
+          }),
+          prisma.taskDependency.findMany({
+            where: { predecessorId: taskId },
+            select: { ...TASK_DEPENDENCY_SELECT, successor: taskSummary },
+          }),
+        ]);
+
+        return res.json({ predecessors, successors });
+      } catch (err) {
+        console.error("GET_TASK_DEPENDENCIES_ERROR:", err);
+        return res
+          .status(500)
+          .json({ error: "Error interno cargando dependencias." });
+      }
+    }
+  );
+
+  // POST /api/farms/:id/tasks/:taskId/dependencies
+  // Body: { predecessorId, lagDays? }. :taskId no empieza hasta que termine
+  // predecessorId. No mueve fechas; para eso está /tasks/schedule.
+  router.post(
+    "/farms/:id/tasks/:taskId/dependencies",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { id: farmId, taskId } = req.params;
+        const { predecessorId, lagDays } = req.body || {};
+
+        if (!looksLikeId(farmId) || !looksLikeId(taskId)) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+        if (!looksLikeId(predecessorId))
+          return res.status(400).json({ error: "predecessorId es requerido." });
+
+        const lag = parseLagDays(lagDays);
+        if (lag === null) {
+          return res
+            .status(400)
+            .json({ error: "lagDays debe ser un entero entre 0 y 365." });
+        }
+
+        const farm = await assertFarmAdmin(farmId, req.user.id);
+        if (!farm)
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+        const result = await prisma.$transaction((tx) =>
+          addTaskDependency(tx, farmId, {
+            predecessorId,
+            successorId: taskId,
+            lagDays: lag,
+          })
+        );
+
+        if (!result.ok) {
+          return res
+            .status(result.status)
+            .json({
+              error: result.error,
+              ...(result.cycle ? { cycle: result.cycle } : {}),
+            });
+        }
+
+        return res.status(201).json({ dependency: result.dependency });
+      } catch (err) {
+        console.error("CREATE_TASK_DEPENDENCY_ERROR:", err);
+        return res
+          .status(500)
+          .json({ error: "Error interno creando dependencia." });
+      }
+    }
+  );
+
+  // DELETE /api/farms/:id/tasks/:taskId/dependencies/:predecessorId
+  router.delete(
+    "/farms/:id/tasks/:taskId/dependencies/:predecessorId",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { id: farmId, taskId, predecessorId } = req.params;
+
+        if (
+          !looksLikeId(farmId) ||
+          !looksLikeId(taskId) ||
+          !looksLikeId(predecessorId)
+        ) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        const farm = await assertFarmAdmin(farmId, req.user.id);
+        if (!farm)
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+        const out = await prisma.taskDependency.deleteMany({
+          where: { farmId, predecessorId, successorId: taskId },
+        });
+        if (out.count === 0)
+          return res.status(404).json({ error: "Dependencia no encontrada." });
+
+        return res.json({ ok: true });
+      } catch (err) {
+        console.error("DELETE_TASK_DEPENDENCY_ERROR:", err);
+        return res
+          .status(500)
+          .json({ error: "Error interno eliminando dependencia." });
+      }
+    }
+  );
+
+  // GET /api/farms/:id/tasks/gantt?zoneProcessId=&includeClosed=1
+  // Datos para el Gantt: fechas actuales y las que tocarían según las
+  // dependencias (scheduledStart/scheduledDue), holgura y ruta crítica. No
+  // guarda nada.
+  router.get("/farms/:id/tasks/gantt", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+
+      if (!looksLikeId(farmId))
+        return res.status(400).json({ error: "farmId inválido." });
+
+      const farm = await assertFarmMember(farmId, req.user.id);
+      if (!farm)
+        return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const scope = await readProcessScope(farmId, req.query.zoneProcessId);
+      if (scope.error) return res.status(400).json({ error: scope.error });
+
+      const includeClosed = ["1", "true"].includes(
+        String(req.query.includeClosed || "")
+      );
+      const schedule = await loadSchedule(prisma, farmId, {
+        zoneProcessId: scope.zoneProcessId,
+        includeClosed,
+      });
+
+      return res.json({ zoneProcessId: scope.zoneProcessId, ...schedule });
+    } catch (err) {
+      console.error("TASK_GANTT_ERROR:", err);
+      return res
+        .status(500)
+        .json({ error: "Error interno calculando el cronograma." });
+    }
+  });
+
+  // POST /api/farms/:id/tasks/schedule
+  // Body: { zoneProcessId? }. Empuja hacia adelante las tareas abiertas que
+  // quedaron antes de que terminen sus predecesoras. Con zoneProcessId solo
+  // se mueven las tareas de ese proceso.
+  router.post("/farms/:id/tasks/schedule", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+
+      if (!looksLikeId(farmId))
+        return res.status(400).json({ error: "farmId inválido." });
+
+      const farm = await assertFarmAdmin(farmId, req.user.id);
+      if (!farm)
+        return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const scope = await readProcessScope(farmId, req.body?.zoneProcessId);
+      if (scope.error) return res.status(400).json({ error: scope.error });
+
+      const { schedule, moved } = await prisma.$transaction((tx) =>
+        applySchedule(tx, farmId, { zoneProcessId: scope.zoneProcessId })
+      );
+
+      return res.json({
+        ok: true,
+        moved,
+        zoneProcessId: scope.zoneProcessId,
+        ...schedule,
+      });
+    } catch (err) {
+      console.error("TASK_SCHEDULE_ERROR:", err);
+      return res
+        .status(500)
+        .json({ error: "Error interno reprogramando tareas." });
+    }
+  });
+}
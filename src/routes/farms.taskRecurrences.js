@@ -0,0 +1,416 @@
+// src/routes/farms.taskRecurrences.js
+import { ASSIGNEE_SELECT, parseAssignment } from "../services/taskAssignees.js";
+import {
+  TASK_RECURRENCE_SELECT,
+  describeRecurrence,
+  parseDurationDays,
+  parseRecurrenceRule,
+  previewOccurrences,
+  scheduleRecurrence,
+  todayUTC,
+} from "../services/taskRecurrence.js";
+import { TASK_PRIORITIES, readTaskPriority } from "../services/taskStatus.js";
+
+const PREVIEW_OCCURRENCES = 5;
+const RECENT_OCCURRENCES = 20;
+
+const RULE_KEYS = [
+  "frequency",
+  "interval",
+  "weekdays",
+  "monthDay",
+  "startsOn",
+  "endsOn",
+];
+
+export function registerTaskRecurrenceRoutes(ctx) {
+  const {
+    prisma,
+    router,
+    requireAuth,
+    looksLikeId,
+    isNonEmptyString,
+    cleanName,
+    assertFarmMember,
+    assertFarmAdmin,
+    assertZoneOwner,
+  } = ctx;
+
+  function withDescription(recurrence) {
+    return { ...recurrence, description: describeRecurrence(recurrence) };
+  }
+
+  // Campos de plantilla (se copian a cada ocurrencia). Con `partial` solo
+  // los que vienen. Devuelve { data } o { error }.
+  async function parseTemplate(farmId, body, { partial = false } = {}) {
+    const has = (key) => body[key] !== undefined;
+    const data = {};
+
+    if (!partial || has("title")) {
+      const title = cleanName(body.title, "");
+      if (!title) return { error: "title es requerido." };
+      data.title = title;
+    }
+
+    if (!partial || has("type"))
+      data.type = cleanName(body.type, "Mantenimiento");
+
+    if (!partial || has("priority")) {
+      const priority = readTaskPriority(body.priority);
+      if (!priority) {
+        return {
+          error: `priority inválida. Usa: ${TASK_PRIORITIES.join(", ")}.`,
+        };
+      }
+      data.priority = priority;
+    }
+
+    if (!partial || has("zone")) {
+      data.zone = isNonEmptyString(body.zone)
+        ? body.zone.trim().slice(0, 120)
+        : null;
+    }
+    if (!partial || has("zoneId")) {
+      data.zoneId = null;
+
+      if (isNonEmptyString(body.zoneId)) {
+        const zone = await assertZoneOwner(body.zoneId.trim(), farmId);
+        if (!zone) return { error: "zoneId no es una zona de esta finca." };
+        data.zoneId = zone.id;
+      }
+    }
+    if (!partial || has("zoneType")) {
+      data.zoneType = isNonEmptyString(body.zoneType)
+        ? body.zoneType.trim()
+        : null;
+    }
+
+    const assignment = await parseAssignment(prisma, farmId, body, { partial });
+    if (assignment.error) return { error: assignment.error };
+    Object.assign(data, assignment.data);
+
+    if (!partial || has("durationDays")) {
+      const durationDays = parseDurationDays(body.durationDays);
+      if (durationDays === null)
+        return { error: "durationDays debe ser un entero entre 0 y 365." };
+      data.durationDays = durationDays;
+    }
+
+    if (!partial || has("zoneProcessId")) {
+      data.zoneProcessId = null;
+
+      if (isNonEmptyString(body.zoneProcessId)) {
+        const process = await prisma.zoneProcess.findFirst({
+          where: { id: body.zoneProcessId.trim(), zone: { farmId } },
+          select: { id: true },
+        });
+        if (!process)
+          return { error: "zoneProcessId no es un proceso de esta finca." };
+        data.zoneProcessId = process.id;
+      }
+    }
+
+    return { data };
+  }
+
+  // ZoneProcess.isRecurring refleja si el proceso tiene series.
+  async function syncProcessRecurring(tx, processIds) {
+    for (const id of new Set(processIds.filter(Boolean))) {
+      const count = await tx.taskRecurrence.count({
+        where: { zoneProcessId: id },
+      });
+      await tx.zoneProcess.update({
+        where: { id },
+        data: { isRecurring: count > 0 },
+      });
+    }
+  }
+
+  async function findRecurrence(farmId, recurrenceId) {
+    return prisma.taskRecurrence.findFirst({
+      where: { id: recurrenceId, farmId },
+      select: TASK_RECURRENCE_SELECT,
+    });
+  }
+
+  // GET /api/farms/:id/recurring-tasks
+  router.get("/farms/:id/recurring-tasks", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+      const userId = req.user.id;
+
+      if (!looksLikeId(farmId))
+        return res.status(400).json({ error: "farmId inválido." });
+
+      const farm = await assertFarmMember(farmId, userId);
+      if (!farm)
+        return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const recurrences = await prisma.taskRecurrence.findMany({
+        where: { farmId },
+        orderBy: [{ nextOccurrenceOn: "asc" }, { createdAt: "asc" }],
+        select: TASK_RECURRENCE_SELECT,
+      });
+
+      return res.json({ recurrences: recurrences.map(withDescription) });
+    } catch (err) {
+      console.error("GET_TASK_RECURRENCES_ERROR:", err);
+      return res
+        .status(500)
+        .json({ error: "Error interno listando tareas repetidas." });
+    }
+  });
+
+  // POST /api/farms/:id/recurring-tasks
+  // Body: plantilla de la tarea (title, zone, zoneId, zoneType, type,
+  // priority, assigneeId?, owner, durationDays, zoneProcessId?) + regla
+  // (frequency, interval?, weekdays?, monthDay?, startsOn, endsOn?). Crea la
+  // serie y su primera ocurrencia.
+  router.post("/farms/:id/recurring-tasks", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+      const userId = req.user.id;
+      const body = req.body || {};
+
+      if (!looksLikeId(farmId))
+        return res.status(400).json({ error: "farmId inválido." });
+
+      const farm = await assertFarmAdmin(farmId, userId);
+      if (!farm)
+        return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const rule = parseRecurrenceRule(body);
+      if (!rule.ok) {
+        return res
+          .status(400)
+          .json({ error: rule.errors.join(" "), errors: rule.errors });
+      }
+
+      const template = await parseTemplate(farmId, body);
+      if (template.error)
+        return res.status(400).json({ error: template.error });
+
+      const result = await prisma.$transaction(async (tx) => {
+        const created = await tx.taskRecurrence.create({
+          data: { farmId, ...rule.data, ...template.data },
+          select: { id: true },
+        });
+
+        await syncProcessRecurring(tx, [template.data.zoneProcessId]);
+        return scheduleRecurrence(tx, created.id);
+      });
+
+      return res.status(201).json({
+        recurrence: withDescription(result.recurrence),
+        tasks: result.created,
+      });
+    } catch (err) {
+      console.error("CREATE_TASK_RECURRENCE_ERROR:", err);
+      return res
+        .status(500)
+        .json({ error: "Error interno creando tarea repetida." });
+    }
+  });
+
+  // GET /api/farms/:id/recurring-tasks/:recurrenceId
+  // Incluye las próximas fechas y las últimas ocurrencias creadas.
+  router.get(
+    "/farms/:id/recurring-tasks/:recurrenceId",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { id: farmId, recurrenceId } = req.params;
+        const userId = req.user.id;
+
+        if (!looksLikeId(farmId) || !looksLikeId(recurrenceId)) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        const farm = await assertFarmMember(farmId, userId);
+        if (!farm)
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+        const recurrence = await findRecurrence(farmId, recurrenceId);
+        if (!recurrence) {
+          return res
+            .status(404)
+            .json({ error: "Tarea repetida no encontrada." });
+        }
+
+        const occurrences = await prisma.task.findMany({
+          where: { recurrenceId },
+          orderBy: { occurrenceDate: "desc" },
+          take: RECENT_OCCURRENCES,
+          select: {
+            id: true,
+            title: true,
+            start: true,
+            due: true,
+            status: true,
+            assigneeId: true,
+            assignee: { select: ASSIGNEE_SELECT },
+            owner: true,
+            occurrenceDate: true,
+          },
+        });
+
+        const upcoming = recurrence.nextOccurrenceOn
+          ? previewOccurrences(
+              recurrence,
+              recurrence.nextOccurrenceOn,
+              PREVIEW_OCCURRENCES
+            )
+          : [];
+
+        return res.json({
+          recurrence: withDescription(recurrence),
+          upcoming,
+          occurrences,
+        });
+      } catch (err) {
+        console.error("GET_TASK_RECURRENCE_ERROR:", err);
+        return res
+          .status(500)
+          .json({ error: "Error interno cargando tarea repetida." });
+      }
+    }
+  );
+
+  // PATCH /api/farms/:id/recurring-tasks/:recurrenceId
+  // Cambia la serie desde la próxima ocurrencia; las ya creadas no se tocan.
+  router.patch(
+    "/farms/:id/recurring-tasks/:recurrenceId",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { id: farmId, recurrenceId } = req.params;
+        const userId = req.user.id;
+        const body = req.body || {};
+
+        if (!looksLikeId(farmId) || !looksLikeId(recurrenceId)) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        const farm = await assertFarmAdmin(farmId, userId);
+        if (!farm)
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+        const current = await findRecurrence(farmId, recurrenceId);
+        if (!current) {
+          return res
+            .status(404)
+            .json({ error: "Tarea repetida no encontrada." });
+        }
+
+        const ruleChanged = RULE_KEYS.some((key) => body[key] !== undefined);
+        const rule = ruleChanged
+          ? parseRecurrenceRule(body, { current })
+          : null;
+        if (rule && !rule.ok) {
+          return res
+            .status(400)
+            .json({ error: rule.errors.join(" "), errors: rule.errors });
+        }
+
+        const template = await parseTemplate(farmId, body, { partial: true });
+        if (template.error)
+          return res.status(400).json({ error: template.error });
+
+        const data = { ...(rule ? rule.data : {}), ...template.data };
+        if (Object.keys(data).length === 0) {
+          return res
+            .status(400)
+            .json({ error: "No hay cambios para guardar." });
+        }
+
+        const result = await prisma.$transaction(async (tx) => {
+          await tx.taskRecurrence.update({ where: { id: recurrenceId }, data });
+
+          if (template.data.zoneProcessId !== undefined) {
+            await syncProcessRecurring(tx, [
+              current.zoneProcessId,
+              template.data.zoneProcessId,
+            ]);
+          }
+
+          if (rule) return scheduleRecurrence(tx, recurrenceId);
+
+          const recurrence = await tx.taskRecurrence.findUnique({
+            where: { id: recurrenceId },
+            select: TASK_RECURRENCE_SELECT,
+          });
+          return { recurrence, created: [] };
+        });
+
+        return res.json({
+          ok: true,
+          recurrence: withDescription(result.recurrence),
+          tasks: result.created,
+        });
+      } catch (err) {
+        console.error("UPDATE_TASK_RECURRENCE_ERROR:", err);
+        return res
+          .status(500)
+          .json({ error: "Error interno actualizando tarea repetida." });
+      }
+    }
+  );
+
+  // DELETE /api/farms/:id/recurring-tasks/:recurrenceId
+  // Termina la serie. Las ocurrencias ya creadas quedan como tareas sueltas,
+  // salvo con ?deleteUpcoming=1, que borra las abiertas desde hoy.
+  router.delete(
+    "/farms/:id/recurring-tasks/:recurrenceId",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { id: farmId, recurrenceId } = req.params;
+        const userId = req.user.id;
+        const deleteUpcoming = ["1", "true"].includes(
+          String(req.query.deleteUpcoming || "")
+        );
+
+        if (!looksLikeId(farmId) || !looksLikeId(recurrenceId)) {
+          return res.status(400).json({ error: "IDs inválidos." });
+        }
+
+        const farm = await assertFarmAdmin(farmId, userId);
+        if (!farm)
+          return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+        const current = await findRecurrence(farmId, recurrenceId);
+        if (!current) {
+          return res
+            .status(404)
+            .json({ error: "Tarea repetida no encontrada." });
+        }
+
+        const deletedTasks = await prisma.$transaction(async (tx) => {
+          let count = 0;
+
+          if (deleteUpcoming) {
+            const out = await tx.task.deleteMany({
+              where: {
+                recurrenceId,
+                status: "PENDING",
+                start: { gte: todayUTC() },
+              },
+            });
+            count = out.count;
+          }
+
+          await tx.taskRecurrence.delete({ where: { id: recurrenceId } });
+          await syncProcessRecurring(tx, [current.zoneProcessId]);
+          return count;
+        });
+
+        return res.json({ ok: true, deletedTasks });
+      } catch (err) {
+        console.error("DELETE_TASK_RECURRENCE_ERROR:", err);
+        return res
+          .status(500)
+          .json({ error: "Error interno eliminando tarea repetida." });
+      }
+    }
+  );
+}
@@ -1,4 +1,58 @@
 // src/routes/farms.tasks.js
+import { ASSIGNEE_SELECT, parseAssignment } from "../services/taskAssignees.js";
+import {
+  DEFAULT_TASK_PAGE_SIZE,
+  MAX_TASK_PAGE_SIZE,
+  TASK_SORT_FIELDS,
+  listFarmTasks,
+} from "../services/taskQuery.js";
+import { ensureOpenOccurrence, todayUTC } from "../services/taskRecurrence.js";
+import {
+  CLOSED_STEP_STATUSES,
+  CLOSED_TASK_STATUSES,
+  TASK_PRIORITIES,
+  TASK_STATUSES,
+  initialTaskStatus,
+  normalizeTaskPriority,
+  normalizeTaskStatus,
+  readTaskPriority,
+  readTaskStatus,
+  taskStatusChange,
+} from "../services/taskStatus.js";
+import { summarizeZoneComponents } from "../services/zoneComponents.js";
+
+const TASK_SELECT = {
+  id: true,
+  farmId: true,
+  title: true,
+  zone: true,
+  zoneId: true,
+  zoneType: true,
+  type: true,
+  priority: true,
+  start: true,
+  due: true,
+  status: true,
+  completedAt: true,
+  completedBy: { select: { id: true, name: true, email: true } },
+  assigneeId: true,
+  assignee: { select: ASSIGNEE_SELECT },
+  owner: true,
+  recurrenceId: true,
+  occurrenceDate: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// ?status=PENDING,IN_PROGRESS o ?status=PENDING&status=IN_PROGRESS
+function readQueryList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((v) => (typeof v === "string" ? v.split(",") : []))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
 export function registerTaskRoutes(ctx) {
   const {
     prisma,
@@ -16,10 +70,19 @@ export function registerTaskRoutes(ctx) {
   } = ctx;
 
   // GET /api/farms/:id/tasks
+  // Filtros: status, priority (listas separadas por coma; "open"/"closed"
+  // también valen en status), type, zoneId, assigneeId (id de miembro, "me" o
+  // "none"), owner (texto libre o nombre del asignado), startFrom, startTo,
+  // dueFrom, dueTo (YYYY-MM-DD), overdue=1, q. Orden: sort (due, start,
+  // createdAt, updatedAt, priority, status, title) y order (asc|desc).
+  // Paginación opcional: limit y cursor (nextCursor de la respuesta
+  // anterior); sin ninguno de los dos se devuelven todas.
+  // `counts` trae cuántas tareas hay por estado con el resto de filtros.
   router.get("/farms/:id/tasks", requireAuth, async (req, res) => {
     try {
       const farmId = req.params.id;
       const userId = req.user.id;
+      const query = req.query || {};
 
       if (!looksLikeId(farmId))
         return res.status(400).json({ error: "farmId inválido." });
@@ -27,34 +90,167 @@ export function registerTaskRoutes(ctx) {
       const farm = await assertFarmMember(farmId, userId);
       if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
 
-      const tasks = await prisma.task.findMany({
-        where: { farmId },
-        orderBy: [{ due: "asc" }, { createdAt: "desc" }],
-        select: {
-          id: true,
-          farmId: true,
-          title: true,
-          zone: true,
-          zoneId: true,
-          zoneType: true,
-          type: true,
-          priority: true,
-          start: true,
-          due: true,
-          status: true,
-          owner: true,
-          createdAt: true,
-          updatedAt: true,
-        },
+      const filters = {};
+
+      const statuses = new Set();
+      for (const value of readQueryList(query.status)) {
+        const key = value.toLowerCase();
+        if (key === "open") {
+          for (const st of TASK_STATUSES) {
+            if (!CLOSED_TASK_STATUSES.includes(st)) statuses.add(st);
+          }
+        } else if (key === "closed") {
+          CLOSED_TASK_STATUSES.forEach((st) => statuses.add(st));
+        } else {
+          const status = normalizeTaskStatus(value);
+          if (!status) {
+            return res.status(400).json({
+              error: `status inválido. Usa: ${TASK_STATUSES.join(", ")}, open o closed.`,
+            });
+          }
+          statuses.add(status);
+        }
+      }
+      filters.statuses = [...statuses];
+
+      filters.priorities = [];
+      for (const value of readQueryList(query.priority)) {
+        const priority = normalizeTaskPriority(value);
+        if (!priority) {
+          return res.status(400).json({
+            error: `priority inválida. Usa: ${TASK_PRIORITIES.join(", ")}.`,
+          });
+        }
+        filters.priorities.push(priority);
+      }
+
+      if (isNonEmptyString(query.type))
+        filters.type = query.type.trim().slice(0, 60);
+      if (isNonEmptyString(query.zoneId)) filters.zoneId = query.zoneId.trim();
+      if (isNonEmptyString(query.owner))
+        filters.owner = query.owner.trim().slice(0, 80);
+      if (isNonEmptyString(query.q)) filters.q = query.q.trim().slice(0, 200);
+
+      if (isNonEmptyString(query.assigneeId)) {
+        const assigneeId = query.assigneeId.trim();
+        if (assigneeId === "me") filters.assignee = { userId };
+        else if (assigneeId === "none") filters.assignee = { none: true };
+        else filters.assignee = { memberId: assigneeId };
+      }
+
+      for (const key of ["startFrom", "startTo", "dueFrom", "dueTo"]) {
+        if (query[key] === undefined || query[key] === "") continue;
+        const date = parseISODateOnlyToUTC(query[key]);
+        if (!date) {
+          return res.status(400).json({ error: `${key} debe ser YYYY-MM-DD.` });
+        }
+        filters[key] = date;
+      }
+
+      if (["1", "true"].includes(String(query.overdue || "")))
+        filters.overdueBefore = todayUTC();
+
+      const sort = isNonEmptyString(query.sort) ? query.sort.trim() : "due";
+      if (!TASK_SORT_FIELDS.includes(sort)) {
+        return res.status(400).json({
+          error: `sort inválido. Usa: ${TASK_SORT_FIELDS.join(", ")}.`,
+        });
+      }
+
+      const order = isNonEmptyString(query.order)
+        ? query.order.trim().toLowerCase()
+        : "asc";
+      if (order !== "asc" && order !== "desc") {
+        return res.status(400).json({ error: "order debe ser asc o desc." });
+      }
+
+      const cursor = isNonEmptyString(query.cursor)
+        ? query.cursor.trim()
+        : null;
+
+      // Solo se pagina con limit o cursor; sin ellos van todas, como antes.
+      let limit = null;
+      if (isNonEmptyString(query.limit) || cursor) {
+        const limitRaw = Number(query.limit);
+        limit =
+          Number.isInteger(limitRaw) && limitRaw > 0
+            ? Math.min(limitRaw, MAX_TASK_PAGE_SIZE)
+            : DEFAULT_TASK_PAGE_SIZE;
+      }
+      if (cursor) {
+        const exists = await prisma.task.findFirst({
+          where: { id: cursor, farmId },
+          select: { id: true },
+        });
+        if (!exists) {
+          return res.status(400).json({ error: "cursor inválido." });
+        }
+      }
+
+      const page = await listFarmTasks(prisma, farmId, filters, {
+        sort,
+        order,
+        limit,
+        cursor,
+        select: TASK_SELECT,
       });
 
-      return res.json({ tasks });
+      return res.json({ ...page, limit });
     } catch (err) {
       console.error("GET_TASKS_ERROR:", err);
       return res.status(500).json({ error: "Error interno listando tareas." });
     }
   });
 
+  // GET /api/me/tasks
+  // Tareas y etapas asignadas al usuario en todas sus fincas (membresía
+  // activa). Por defecto solo las abiertas; ?includeClosed=1 trae todas.
+  // ?farmId= limita a una finca.
+  router.get("/me/tasks", requireAuth, async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const includeClosed = ["1", "true"].includes(String(req.query.includeClosed || ""));
+      const farmId = isNonEmptyString(req.query.farmId) ? req.query.farmId.trim() : null;
+
+      if (farmId && !looksLikeId(farmId)) return res.status(400).json({ error: "farmId inválido." });
+
+      const assignee = { userId, status: "ACTIVE", ...(farmId ? { farmId } : {}) };
+
+      const [tasks, steps] = await Promise.all([
+        prisma.task.findMany({
+          where: {
+            assignee,
+            ...(includeClosed ? {} : { status: { notIn: CLOSED_TASK_STATUSES } }),
+          },
+          orderBy: [{ due: "asc" }, { createdAt: "desc" }],
+          select: { ...TASK_SELECT, farm: { select: { id: true, name: true } } },
+        }),
+        prisma.zoneProcessStep.findMany({
+          where: {
+            assignee,
+            ...(includeClosed ? {} : { status: { notIn: CLOSED_STEP_STATUSES } }),
+          },
+          orderBy: [{ dueDate: "asc" }, { stepOrder: "asc" }],
+          include: {
+            assignee: { select: ASSIGNEE_SELECT },
+            process: {
+              select: {
+                id: true,
+                name: true,
+                zone: { select: { id: true, name: true, farm: { select: { id: true, name: true } } } },
+              },
+            },
+          },
+        }),
+      ]);
+
+      return res.json({ tasks, steps });
+    } catch (err) {
+      console.error("GET_MY_TASKS_ERROR:", err);
+      return res.status(500).json({ error: "Error interno listando mis tareas." });
+    }
+  });
+
   // GET /api/farms/:id/tasks/suggestions
   router.get("/farms/:id/tasks/suggestions", requireAuth, async (req, res) => {
     try {
@@ -87,7 +283,10 @@ export function registerTaskRoutes(ctx) {
 
       const zones = await prisma.mapZone.findMany({
         where: { farmId },
-        select: { name: true, components: true },
+        select: {
+          name: true,
+          components: { select: { type: true, name: true } },
+        },
       });
 
       const MS_DAY = 1000 * 60 * 60 * 24;
@@ -119,7 +318,7 @@ export function registerTaskRoutes(ctx) {
         const keys = keywords.map(normText).filter(Boolean);
 
         return tasks.some((t) => {
-          if (!t || t.status === "Completada") return false;
+          if (!t || CLOSED_TASK_STATUSES.includes(t.status)) return false;
           const tZone = normText(t.zone || "");
           if (zn && tZone !== zn) return false;
 
@@ -129,72 +328,6 @@ export function registerTaskRoutes(ctx) {
         });
       }
 
-      function listFromUnknown(x) {
-        if (!x) return [];
-        if (Array.isArray(x)) return x;
-        if (typeof x === "string") return [x];
-        if (typeof x === "object") {
-          const out = [];
-          for (const [k, v] of Object.entries(x)) {
-            if (!k) continue;
-            if (v === true) out.push(k);
-            else if (typeof v === "number" && v > 0) out.push(`${k} (${v})`);
-            else if (typeof v === "string" && v.trim()) out.push(v.trim());
-            else if (v && typeof v === "object" && (v.name || v.tipo)) {
-              out.push(String(v.name || v.tipo || k));
-            }
-          }
-          return out;
-        }
-        return [];
-      }
-
-      function firstNonEmptyList(...candidates) {
-        for (const cand of candidates) {
-          const arr = listFromUnknown(cand);
-          if (Array.isArray(arr) && arr.length > 0) return arr;
-        }
-        return [];
-      }
-
-      function extractComponents(components) {
-        const c = components && typeof components === "object" ? components : {};
-
-        const crops = firstNonEmptyList(
-          c.cultivos,
-          c.cultivo,
-          c.crops,
-          c.crop,
-          c.plantas,
-          c.planta
-        );
-
-        const animals = firstNonEmptyList(
-          c.animales,
-          c.animal,
-          c.animals,
-          c.animalList,
-          c.ganado
-        );
-
-        let other = [];
-        if (crops.length === 0 && animals.length === 0) {
-          other = listFromUnknown(c);
-        }
-
-        const cleanArr = (arr) =>
-          (Array.isArray(arr) ? arr : [])
-            .map((x) => String(x || "").trim())
-            .filter(Boolean)
-            .slice(0, 12);
-
-        return {
-          crops: cleanArr(crops),
-          animals: cleanArr(animals),
-          other: cleanArr(other),
-        };
-      }
-
       const zoneNames = zones
         .map((z) => (isNonEmptyString(z?.name) ? z.name.trim() : ""))
         .filter(Boolean);
@@ -205,7 +338,7 @@ export function registerTaskRoutes(ctx) {
         const zoneName = isNonEmptyString(z?.name) ? z.name.trim() : "";
         if (!zoneName) continue;
 
-        const { crops, animals, other } = extractComponents(z.components);
+        const { crops, animals, other } = summarizeZoneComponents(z.components);
 
         for (const crop of crops) {
           if (!hasSimilarActiveTask(zoneName, ["abonar", "fertiliz", crop])) {
@@ -220,10 +353,10 @@ export function registerTaskRoutes(ctx) {
                 title: `Revisión de cultivo (${crop})`,
                 zone: zoneName,
                 type: "Mantenimiento",
-                priority: "Media",
+                priority: "MEDIUM",
                 start: todayStr,
                 due: todayStr,
-                status: "Pendiente",
+                status: "PENDING",
                 owner: "",
               },
             });
@@ -243,10 +376,10 @@ export function registerTaskRoutes(ctx) {
                 title: `Revisar agua/alimento (${animal})`,
                 zone: zoneName,
                 type: "Alimentación",
-                priority: "Media",
+                priority: "MEDIUM",
                 start: todayStr,
                 due: todayStr,
-                status: "Pendiente",
+                status: "PENDING",
                 owner: "",
               },
             });
@@ -266,10 +399,10 @@ export function registerTaskRoutes(ctx) {
                 title: `Inspección preventiva (${zoneName})`,
                 zone: zoneName,
                 type: "Mantenimiento",
-                priority: "Media",
+                priority: "MEDIUM",
                 start: todayStr,
                 due: todayStr,
-                status: "Pendiente",
+                status: "PENDING",
                 owner: "",
               },
             });
@@ -279,7 +412,7 @@ export function registerTaskRoutes(ctx) {
 
       for (const t of tasks) {
         if (!t?.due || !t?.title) continue;
-        if (t.status === "Completada") continue;
+        if (CLOSED_TASK_STATUSES.includes(t.status)) continue;
 
         const dueDate = new Date(t.due);
         const diffDays = Math.ceil((dueDate.getTime() - todayUtcNoon.getTime()) / MS_DAY);
@@ -299,10 +432,10 @@ export function registerTaskRoutes(ctx) {
               title: `Seguimiento: ${t.title}`,
               zone: t.zone || "",
               type: t.type || "Mantenimiento",
-              priority: "Alta",
+              priority: "HIGH",
               start: toYYYYMMDD(t.start || dueDate),
               due: toYYYYMMDD(dueDate),
-              status: "Pendiente",
+              status: "PENDING",
               owner: t.owner || "",
             },
           });
@@ -311,7 +444,7 @@ export function registerTaskRoutes(ctx) {
 
       for (const zn of zoneNames) {
         const hasActive = tasks.some(
-          (t) => (t.zone || "").trim() === zn && t.status !== "Completada"
+          (t) => (t.zone || "").trim() === zn && !CLOSED_TASK_STATUSES.includes(t.status)
         );
         if (!hasActive) {
           pushSuggestion({
@@ -325,17 +458,17 @@ export function registerTaskRoutes(ctx) {
               title: `Inspección preventiva - ${zn}`,
               zone: zn,
               type: "Mantenimiento",
-              priority: "Media",
+              priority: "MEDIUM",
               start: todayStr,
               due: todayStr,
-              status: "Pendiente",
+              status: "PENDING",
               owner: "",
             },
           });
         }
       }
 
-      const pendingCount = tasks.filter((t) => t.status === "Pendiente").length;
+      const pendingCount = tasks.filter((t) => t.status === "PENDING").length;
       if (pendingCount >= 5) {
         pushSuggestion({
           id: `too_many_pending_${pendingCount}`,
@@ -350,7 +483,7 @@ export function registerTaskRoutes(ctx) {
 
       for (const t of tasks) {
         if (!t?.due || !t?.title) continue;
-        if (t.status === "Completada") continue;
+        if (CLOSED_TASK_STATUSES.includes(t.status)) continue;
 
         const dueDate = new Date(t.due);
         const diffDays = Math.floor((todayUtcNoon.getTime() - dueDate.getTime()) / MS_DAY);
@@ -366,10 +499,10 @@ export function registerTaskRoutes(ctx) {
               title: `Reprogramar: ${t.title}`,
               zone: t.zone || "",
               type: t.type || "Mantenimiento",
-              priority: "Alta",
+              priority: "HIGH",
               start: toYYYYMMDD(t.start || dueDate),
               due: toYYYYMMDD(todayUtcNoon),
-              status: "Pendiente",
+              status: "PENDING",
               owner: t.owner || "",
             },
           });
@@ -395,18 +528,23 @@ export function registerTaskRoutes(ctx) {
       const farm = await assertFarmAdmin(farmId, userId);
       if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
 
-      const { title, zone, type, priority, start, due, status, owner } = req.body || {};
+      const { title, zone, type, priority, start, due, status } = req.body || {};
 
       const finalTitle = cleanName(title, "");
       if (!finalTitle) return res.status(400).json({ error: "title es requerido." });
 
       const finalType = cleanName(type, "Mantenimiento");
-      const finalPriority = cleanName(priority, "Media");
-      const finalStatus = cleanName(status, "Pendiente");
+      const finalPriority = readTaskPriority(priority);
+      if (!finalPriority) return res.status(400).json({ error: `priority inválida. Usa: ${TASK_PRIORITIES.join(", ")}.` });
+
+      const finalStatus = readTaskStatus(status);
+      if (!finalStatus) return res.status(400).json({ error: `status inválido. Usa: ${TASK_STATUSES.join(", ")}.` });
       const finalZone = isNonEmptyString(zone) ? zone.trim().slice(0, 120) : null;
       const finalZoneId = isNonEmptyString(req.body.zoneId) ? req.body.zoneId.trim() : null;
       const finalZoneType = isNonEmptyString(req.body.zoneType) ? req.body.zoneType.trim() : null;
-      const finalOwner = isNonEmptyString(owner) ? owner.trim().slice(0, 80) : null;
+
+      const assignment = await parseAssignment(prisma, farmId, req.body || {});
+      if (assignment.error) return res.status(400).json({ error: assignment.error });
 
       const startDate = parseISODateOnlyToUTC(start);
       if (!startDate) return res.status(400).json({ error: "start debe ser YYYY-MM-DD." });
@@ -429,25 +567,10 @@ export function registerTaskRoutes(ctx) {
           priority: finalPriority,
           start: startDate,
           due: dueDate,
-          status: finalStatus,
-          owner: finalOwner,
-        },
-        select: {
-          id: true,
-          farmId: true,
-          title: true,
-          zone: true,
-          zoneId: true,
-          zoneType: true,
-          type: true,
-          priority: true,
-          start: true,
-          due: true,
-          status: true,
-          owner: true,
-          createdAt: true,
-          updatedAt: true,
+          ...initialTaskStatus(finalStatus, userId),
+          ...assignment.data,
         },
+        select: TASK_SELECT,
       });
 
       return res.status(201).json({ task });
@@ -473,12 +596,16 @@ export function registerTaskRoutes(ctx) {
 
       const existing = await prisma.task.findFirst({
         where: { id: taskId, farmId },
-        select: { id: true, start: true, due: true },
+        select: { id: true, start: true, due: true, status: true, recurrenceId: true },
       });
       if (!existing) return res.status(404).json({ error: "Tarea no encontrada." });
 
-      const { title, zone, type, priority, start, due, status, owner } = req.body || {};
-      const data = {};
+      const { title, zone, type, priority, start, due, status } = req.body || {};
+
+      const assignment = await parseAssignment(prisma, farmId, req.body || {}, { partial: true });
+      if (assignment.error) return res.status(400).json({ error: assignment.error });
+
+      const data = { ...assignment.data };
 
       if (title !== undefined) {
         const finalTitle = cleanName(title, "");
@@ -491,11 +618,18 @@ export function registerTaskRoutes(ctx) {
       }
 
       if (type !== undefined) data.type = cleanName(type, "Mantenimiento");
-      if (priority !== undefined) data.priority = cleanName(priority, "Media");
-      if (status !== undefined) data.status = cleanName(status, "Pendiente");
+      if (priority !== undefined) {
+        data.priority = readTaskPriority(priority);
+        if (!data.priority) return res.status(400).json({ error: `priority inválida. Usa: ${TASK_PRIORITIES.join(", ")}.` });
+      }
 
-      if (owner !== undefined) {
-        data.owner = isNonEmptyString(owner) ? owner.trim().slice(0, 80) : null;
+      if (status !== undefined) {
+        const nextStatus = readTaskStatus(status);
+        if (!nextStatus) return res.status(400).json({ error: `status inválido. Usa: ${TASK_STATUSES.join(", ")}.` });
+
+        const change = taskStatusChange(existing.status, nextStatus, userId);
+        if (change.error) return res.status(409).json({ error: change.error, allowed: change.allowed });
+        Object.assign(data, change.data);
       }
 
       let nextStart = existing.start;
@@ -519,34 +653,74 @@ export function registerTaskRoutes(ctx) {
         return res.status(400).json({ error: "start no puede ser posterior a due." });
       }
 
-      const task = await prisma.task.update({
-        where: { id: taskId },
-        data,
-        select: {
-          id: true,
-          farmId: true,
-          title: true,
-          zone: true,
-          zoneId: true,
-          zoneType: true,
-          type: true,
-          priority: true,
-          start: true,
-          due: true,
-          status: true,
-          owner: true,
-          createdAt: true,
-          updatedAt: true,
-        },
+      // Solo cambia esta ocurrencia; al cerrarla se crea la siguiente de la serie.
+      const closes = existing.recurrenceId && data.status !== undefined && CLOSED_TASK_STATUSES.includes(data.status);
+
+      const { task, nextTasks } = await prisma.$transaction(async (tx) => {
+        const task = await tx.task.update({
+          where: { id: taskId },
+          data,
+          select: TASK_SELECT,
+        });
+
+        const nextTasks = closes ? await ensureOpenOccurrence(tx, existing.recurrenceId) : [];
+        return { task, nextTasks };
       });
 
-      return res.json({ ok: true, task });
+      return res.json({ ok: true, task, nextTasks });
     } catch (err) {
       console.error("UPDATE_TASK_ERROR:", err);
       return res.status(500).json({ error: "Error interno actualizando tarea." });
     }
   });
 
+  // POST /api/farms/:id/tasks/:taskId/skip
+  // Salta una ocurrencia de una tarea repetida: queda Cancelada y se crea la
+  // siguiente. La serie no cambia.
+  router.post("/farms/:id/tasks/:taskId/skip", requireAuth, async (req, res) => {
+    try {
+      const farmId = req.params.id;
+      const taskId = req.params.taskId;
+      const userId = req.user.id;
+
+      if (!looksLikeId(farmId) || !looksLikeId(taskId)) {
+        return res.status(400).json({ error: "IDs inválidos." });
+      }
+
+      const farm = await assertFarmAdmin(farmId, userId);
+      if (!farm) return res.status(403).json({ error: "Sin acceso a esa finca." });
+
+      const existing = await prisma.task.findFirst({
+        where: { id: taskId, farmId },
+        select: { id: true, status: true, recurrenceId: true },
+      });
+      if (!existing) return res.status(404).json({ error: "Tarea no encontrada." });
+
+      if (!existing.recurrenceId) {
+        return res.status(400).json({ error: "Solo se pueden saltar tareas repetidas." });
+      }
+      if (CLOSED_TASK_STATUSES.includes(existing.status)) {
+        return res.status(409).json({ error: "La tarea ya está cerrada." });
+      }
+
+      const { task, nextTasks } = await prisma.$transaction(async (tx) => {
+        const task = await tx.task.update({
+          where: { id: taskId },
+          data: { status: "CANCELLED" },
+          select: { id: true, status: true, recurrenceId: true, occurrenceDate: true },
+        });
+
+        const nextTasks = await ensureOpenOccurrence(tx, existing.recurrenceId);
+        return { task, nextTasks };
+      });
+
+      return res.json({ ok: true, task, nextTasks });
+    } catch (err) {
+      console.error("SKIP_TASK_ERROR:", err);
+      return res.status(500).json({ error: "Error interno saltando tarea." });
+    }
+  });
+
   // DELETE /api/farms/:id/tasks/:taskId
   router.delete("/farms/:id/tasks/:taskId", requireAuth, async (req, res) => {
     try {
@@ -563,12 +737,17 @@ export function registerTaskRoutes(ctx) {
 
       const existing = await prisma.task.findFirst({
         where: { id: taskId, farmId },
-        select: { id: true },
+        select: { id: true, recurrenceId: true },
       });
       if (!existing) return res.status(404).json({ error: "Tarea no encontrada." });
 
-      await prisma.task.delete({ where: { id: taskId } });
-      return res.json({ ok: true });
+      // Borrar una ocurrencia no la vuelve a crear; la serie sigue con la próxima.
+      const nextTasks = await prisma.$transaction(async (tx) => {
+        await tx.task.delete({ where: { id: taskId } });
+        return existing.recurrenceId ? ensureOpenOccurrence(tx, existing.recurrenceId) : [];
+      });
+
+      return res.json({ ok: true, nextTasks });
     } catch (err) {
       console.error("DELETE_TASK_ERROR:", err);
       return res.status(500).json({ error: "Error interno eliminando tarea." });
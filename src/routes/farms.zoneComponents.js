@@ -0,0 +1,278 @@
+// src/routes/farms.zoneComponents.js
+import {
+  ZONE_COMPONENT_ORDER,
+  ZONE_COMPONENT_SELECT,
+  countComponentLinks,
+  findZoneComponent,
+  normalizeComponentType,
+  parseZoneComponentInput,
+  readZoneComponentList,
+  replaceZoneComponents,
+} from "../services/zoneComponents.js";
+
+export function registerZoneComponentRoutes(ctx) {
+  const {
+    prisma,
+    router,
+    requireAuth,
+    looksLikeId,
+    isNonEmptyString,
+    assertFarmMember,
+    assertFarmAdmin,
+    assertZoneOwner,
+  } = ctx;
+
+  // Valida ids, permisos y zona. Devuelve { farmId, zoneId } o responde el error.
+  async function loadZone(req, res, { admin = false } = {}) {
+    const { farmId, zoneId } = req.params;
+
+    if (!looksLikeId(farmId) || !looksLikeId(zoneId)) {
+      res.status(400).json({ error: "IDs inválidos." });
+      return null;
+    }
+
+    const farm = admin
+      ? await assertFarmAdmin(farmId, req.user.id)
+      : await assertFarmMember(farmId, req.user.id);
+    if (!farm) {
+      res.status(403).json({ error: "Sin acceso a esa finca." });
+      return null;
+    }
+
+    const zone = await assertZoneOwner(zoneId, farmId);
+    if (!zone) {
+      res.status(404).json({ error: "Zona no encontrada." });
+      return null;
+    }
+
+    return { farmId, zoneId };
+  }
+
+  // GET /api/farms/:farmId/zones/:zoneId/components
+  // Query opcional: type (CROP, ANIMAL_GROUP, INFRASTRUCTURE, EQUIPMENT, OTHER).
+  router.get(
+    "/farms/:farmId/zones/:zoneId/components",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const zone = await loadZone(req, res);
+        if (!zone) return;
+
+        let type = null;
+        if (req.query.type !== undefined) {
+          type = normalizeComponentType(String(req.query.type));
+          if (!type) return res.status(400).json({ error: "type inválido." });
+        }
+
+        const components = await prisma.zoneComponent.findMany({
+          where: { zoneId: zone.zoneId, ...(type ? { type } : {}) },
+          orderBy: ZONE_COMPONENT_ORDER,
+          select: ZONE_COMPONENT_SELECT,
+        });
+
+        return res.json({ components });
+      } catch (err) {
+        console.error("GET_ZONE_COMPONENTS_ERROR:", err);
+        return res
+          .status(500)
+          .json({ error: "Error interno listando componentes." });
+      }
+    }
+  );
+
+  // POST /api/farms/:farmId/zones/:zoneId/components
+  // Body: { type, name, quantity?, unit?, variety?, startedAt?, notes? }
+  router.post(
+    "/farms/:farmId/zones/:zoneId/components",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const zone = await loadZone(req, res, { admin: true });
+        if (!zone) return;
+
+        const input = parseZoneComponentInput(req.body);
+        if (!input.ok)
+          return res
+            .status(400)
+            .json({ error: input.errors.join(" "), errors: input.errors });
+
+        const component = await prisma.zoneComponent.create({
+          data: { farmId: zone.farmId, zoneId: zone.zoneId, ...input.data },
+          select: ZONE_COMPONENT_SELECT,
+        });
+
+        return res.status(201).json({ component });
+      } catch (err) {
+        console.error("CREATE_ZONE_COMPONENT_ERROR:", err);
+        return res
+          .status(500)
+          .json({ error: "Error interno creando componente." });
+      }
+    }
+  );
+
+  // PUT /api/farms/:farmId/zones/:zoneId/components
+  // Reemplaza la lista completa. Body: { components: [...] }; también acepta
+  // el JSON libre de antes ({ cultivos: [...], animales: {...} }).
+  router.put(
+    "/farms/:farmId/zones/:zoneId/components",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const { components } = req.body || {};
+        if (components === undefined) {
+          return res.status(400).json({ error: "components es requerido." });
+        }
+
+        const zone = await loadZone(req, res, { admin: true });
+        if (!zone) return;
+
+        const list = readZoneComponentList(components);
+        if (!list.ok) {
+          return res
+            .status(400)
+            .json({ error: "Hay componentes inválidos.", errors: list.errors });
+        }
+
+        const result = await prisma.$transaction(async (tx) => {
+          const changes = await replaceZoneComponents(tx, zone, list.items);
+
+          const updatedZone = await tx.mapZone.update({
+            where: { id: zone.zoneId },
+            data: { updatedAt: new Date() },
+            select: {
+              id: true,
+              name: true,
+              updatedAt: true,
+              components: {
+                select: ZONE_COMPONENT_SELECT,
+                orderBy: ZONE_COMPONENT_ORDER,
+              },
+            },
+          });
+
+          return { zone: updatedZone, kept: changes.kept };
+        });
+
+        return res.json({ ok: true, ...result });
+      } catch (err) {
+        console.error("UPDATE_COMPONENTS_ERROR:", err);
+        return res.status(500).json({ error: "Error guardando componentes." });
+      }
+    }
+  );
+
+  // GET /api/farms/:farmId/zones/:zoneId/components/:componentId
+  router.get(
+    "/farms/:farmId/zones/:zoneId/components/:componentId",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const zone = await loadZone(req, res);
+        if (!zone) return;
+
+        const component = await findZoneComponent(
+          prisma,
+          zone.zoneId,
+          req.params.componentId
+        );
+        if (!component)
+          return res.status(404).json({ error: "Componente no encontrado." });
+
+        const photos = await prisma.componentPhoto.count({
+          where: { zoneId: zone.zoneId, componentId: component.id },
+        });
+
+        return res.json({ component: { ...component, photos } });
+      } catch (err) {
+        console.error("GET_ZONE_COMPONENT_ERROR:", err);
+        return res
+          .status(500)
+          .json({ error: "Error interno cargando componente." });
+      }
+    }
+  );
+
+  // PATCH /api/farms/:farmId/zones/:zoneId/components/:componentId
+  router.patch(
+    "/farms/:farmId/zones/:zoneId/components/:componentId",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const zone = await loadZone(req, res, { admin: true });
+        if (!zone) return;
+
+        const existing = await findZoneComponent(
+          prisma,
+          zone.zoneId,
+          req.params.componentId
+        );
+        if (!existing)
+          return res.status(404).json({ error: "Componente no encontrado." });
+
+        const input = parseZoneComponentInput(req.body, { partial: true });
+        if (!input.ok)
+          return res
+            .status(400)
+            .json({ error: input.errors.join(" "), errors: input.errors });
+
+        const component = await prisma.zoneComponent.update({
+          where: { id: existing.id },
+          data: input.data,
+          select: ZONE_COMPONENT_SELECT,
+        });
+
+        return res.json({ component });
+      } catch (err) {
+        console.error("UPDATE_ZONE_COMPONENT_ERROR:", err);
+        return res
+          .status(500)
+          .json({ error: "Error interno actualizando componente." });
+      }
+    }
+  );
+
+  // DELETE /api/farms/:farmId/zones/:zoneId/components/:componentId
+  // No se borra si tiene fotos o notas de bitácora que lo mencionan.
+  router.delete(
+    "/farms/:farmId/zones/:zoneId/components/:componentId",
+    requireAuth,
+    async (req, res) => {
+      try {
+        const zone = await loadZone(req, res, { admin: true });
+        if (!zone) return;
+
+        const { componentId } = req.params;
+        if (!isNonEmptyString(componentId))
+          return res.status(400).json({ error: "componentId inválido." });
+
+        const existing = await findZoneComponent(
+          prisma,
+          zone.zoneId,
+          componentId
+        );
+        if (!existing)
+          return res.status(404).json({ error: "Componente no encontrado." });
+
+        const links = (
+          await countComponentLinks(prisma, zone.zoneId, [existing.id])
+        ).get(existing.id);
+        if (links) {
+          return res.status(409).json({
+            error:
+              "El componente tiene fotos o notas de bitácora; bórralas o cámbialas antes de eliminarlo.",
+            ...links,
+          });
+        }
+
+        await prisma.zoneComponent.delete({ where: { id: existing.id } });
+        return res.json({ ok: true });
+      } catch (err) {
+        console.error("DELETE_ZONE_COMPONENT_ERROR:", err);
+        return res
+          .status(500)
+          .json({ error: "Error interno eliminando componente." });
+      }
+    }
+  );
+}
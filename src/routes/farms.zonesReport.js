@@ -1,4 +1,16 @@
 // src/routes/farms.zonesReport.js
+import { BITACORA_SUMMARY_SELECT } from "../services/bitacoraService.js";
+import { areaInUnits } from "../services/geo.js";
+import { ZONE_METRIC_SELECT, zoneMetrics } from "../services/mapGeometry.js";
+import { CLOSED_TASK_STATUSES } from "../services/taskStatus.js";
+import {
+  ZONE_COMPONENT_ORDER,
+  ZONE_COMPONENT_SELECT,
+  ZONE_COMPONENT_TYPES,
+} from "../services/zoneComponents.js";
+
+const RECENT_BITACORA_PER_ZONE = 5;
+
 export function registerZonesReportRoutes(ctx) {
   const { prisma, router, requireAuth, looksLikeId, isNonEmptyString, normalizeText, assertFarmOwner } =
     ctx;
@@ -21,9 +33,18 @@ export function registerZonesReportRoutes(ctx) {
           select: {
             id: true,
             name: true,
-            components: true,
+            components: {
+              select: ZONE_COMPONENT_SELECT,
+              orderBy: ZONE_COMPONENT_ORDER,
+            },
+            ...ZONE_METRIC_SELECT,
             createdAt: true,
             updatedAt: true,
+            bitacoraEntries: {
+              orderBy: [{ date: "desc" }, { createdAt: "desc" }],
+              take: RECENT_BITACORA_PER_ZONE,
+              select: BITACORA_SUMMARY_SELECT,
+            },
           },
         }),
         prisma.task.findMany({
@@ -32,7 +53,7 @@ export function registerZonesReportRoutes(ctx) {
         }),
       ]);
 
-      const tasksActive = tasks.filter((t) => t && t.status !== "Completada");
+      const tasksActive = tasks.filter((t) => t && !CLOSED_TASK_STATUSES.includes(t.status));
       const norm = (s) => normalizeText(s || "");
 
       const report = zones.map((z) => {
@@ -41,33 +62,44 @@ export function registerZonesReportRoutes(ctx) {
 
         const zoneTasks = tasksActive.filter((t) => norm(t.zone) === zn);
 
-        // componentes: dejamos el objeto tal cual, pero también damos un “resumen” usable
-        const c = z.components && typeof z.components === "object" ? z.components : {};
-        const hasAnimals = !!(c.animales || c.animal || c.animals || c.ganado);
-        const hasCrops = !!(c.cultivos || c.cultivo || c.crops || c.plantas);
+        // componentes tipados + conteo por tipo
+        const byType = Object.fromEntries(
+          ZONE_COMPONENT_TYPES.map((type) => [type, 0])
+        );
+        for (const c of z.components) byType[c.type] += 1;
 
         return {
           id: z.id,
           name: zoneName,
           updatedAt: z.updatedAt,
           createdAt: z.createdAt,
-          components: c,
+          metrics: zoneMetrics(z),
+          components: z.components,
           componentsSummary: {
-            hasAnimals,
-            hasCrops,
-            keys: Object.keys(c || {}).slice(0, 30),
+            hasAnimals: byType.ANIMAL_GROUP > 0,
+            hasCrops: byType.CROP > 0,
+            byType,
           },
           activeTasksCount: zoneTasks.length,
           activeTasks: zoneTasks
             .sort((a, b) => String(a.due || "").localeCompare(String(b.due || "")))
             .slice(0, 12),
+          recentBitacora: z.bitacoraEntries || [],
         };
       });
 
+      // Suma simple: si las zonas se traslapan, el total lo refleja.
+      const measured = zones.filter((z) => typeof z.areaM2 === "number");
+      const totalAreaM2 =
+        Math.round(measured.reduce((sum, z) => sum + z.areaM2, 0) * 100) / 100;
+
       return res.json({
         ok: true,
         farm: { id: farm.id, name: farm.name },
         zonesCount: zones.length,
+        totalArea: measured.length
+          ? { areaM2: totalAreaM2, ...areaInUnits(totalAreaM2) }
+          : null,
         activeTasksCount: tasksActive.length,
         report,
       });
@@ -5,6 +5,19 @@ import {
   assertZoneMember,
   assertProcessMember,
 } from "../services/farmAccess.js";
+import { BITACORA_SUMMARY_SELECT } from "../services/bitacoraService.js";
+import { ASSIGNEE_SELECT, parseAssignment } from "../services/taskAssignees.js";
+
+const RECENT_BITACORA_PER_PROCESS = 5;
+
+const STEP_INCLUDE = {
+  assignee: { select: ASSIGNEE_SELECT },
+};
+
+const PROCESS_STEPS_INCLUDE = {
+  orderBy: { stepOrder: "asc" },
+  include: STEP_INCLUDE,
+};
 
 function isNonEmptyString(v) {
   return typeof v === "string" && v.trim().length > 0;
@@ -92,8 +105,11 @@ export default function processesRouter(prisma) {
       const processes = await prisma.zoneProcess.findMany({
         where: { zoneId },
         include: {
-          steps: {
-            orderBy: { stepOrder: "asc" },
+          steps: PROCESS_STEPS_INCLUDE,
+          bitacoraEntries: {
+            orderBy: [{ date: "desc" }, { createdAt: "desc" }],
+            take: RECENT_BITACORA_PER_PROCESS,
+            select: BITACORA_SUMMARY_SELECT,
           },
         },
         orderBy: {
@@ -109,7 +125,8 @@ export default function processesRouter(prisma) {
   });
 
   // POST /api/processes
-  // Solo ADMIN puede crear procesos.
+  // Solo ADMIN puede crear procesos. isRecurring no se manda: se marca al
+  // crear una tarea repetida del proceso (/farms/:id/recurring-tasks).
   router.post("/", requireAuth, async (req, res) => {
     try {
       const {
@@ -120,7 +137,6 @@ export default function processesRouter(prisma) {
         status = "Borrador",
         priority = "Media",
         owner = null,
-        isRecurring = false,
         startDate = null,
         targetDate = null,
         completedAt = null,
@@ -149,15 +165,12 @@ export default function processesRouter(prisma) {
           status: cleanStatus(status, "Borrador"),
           priority: cleanPriority(priority, "Media"),
           owner: cleanString(owner, 120),
-          isRecurring: Boolean(isRecurring),
           startDate: parseDateOrNull(startDate),
           targetDate: parseDateOrNull(targetDate),
           completedAt: parseDateOrNull(completedAt),
         },
         include: {
-          steps: {
-            orderBy: { stepOrder: "asc" },
-          },
+          steps: PROCESS_STEPS_INCLUDE,
         },
       });
 
@@ -180,7 +193,6 @@ export default function processesRouter(prisma) {
         status,
         priority,
         owner,
-        isRecurring,
         startDate,
         targetDate,
         completedAt,
@@ -217,9 +229,6 @@ export default function processesRouter(prisma) {
           ? { priority: cleanPriority(priority, "Media") }
           : {}),
         ...(owner !== undefined ? { owner: cleanString(owner, 120) } : {}),
-        ...(isRecurring !== undefined
-          ? { isRecurring: Boolean(isRecurring) }
-          : {}),
         ...(startDate !== undefined
           ? { startDate: startDate ? parseDateOrNull(startDate) : null }
           : {}),
@@ -235,9 +244,7 @@ export default function processesRouter(prisma) {
         where: { id },
         data,
         include: {
-          steps: {
-            orderBy: { stepOrder: "asc" },
-          },
+          steps: PROCESS_STEPS_INCLUDE,
         },
       });
 
@@ -286,7 +293,6 @@ export default function processesRouter(prisma) {
         stepOrder,
         status = "Pendiente",
         priority = "Media",
-        owner = null,
         notes = "",
         startDate = null,
         dueDate = null,
@@ -307,6 +313,12 @@ export default function processesRouter(prisma) {
         return res.status(403).json({ error: "Solo un administrador puede crear etapas." });
       }
 
+      const assignment = await parseAssignment(prisma, access.farm.id, req.body || {}, { ownerMax: 120 });
+
+      if (assignment.error) {
+        return res.status(400).json({ error: assignment.error });
+      }
+
       const lastStep = await prisma.zoneProcessStep.findFirst({
         where: { processId },
         select: { stepOrder: true },
@@ -328,12 +340,13 @@ export default function processesRouter(prisma) {
           stepOrder: nextOrder,
           status: normalizedCompletion.status,
           priority: cleanPriority(priority, "Media"),
-          owner: cleanString(owner, 120),
+          ...assignment.data,
           notes: cleanString(notes, 1000),
           startDate: parseDateOrNull(startDate),
           dueDate: parseDateOrNull(dueDate),
           completedAt: normalizedCompletion.completedAt,
         },
+        include: STEP_INCLUDE,
       });
 
       return res.status(201).json(step);
@@ -354,7 +367,6 @@ export default function processesRouter(prisma) {
         stepOrder,
         status,
         priority,
-        owner,
         notes,
         startDate,
         dueDate,
@@ -373,7 +385,17 @@ export default function processesRouter(prisma) {
 
       const { step: existing } = result;
 
+      const assignment = await parseAssignment(prisma, result.access.farm.id, req.body || {}, {
+        partial: true,
+        ownerMax: 120,
+      });
+
+      if (assignment.error) {
+        return res.status(400).json({ error: assignment.error });
+      }
+
       const data = {
+        ...assignment.data,
         ...(name !== undefined
           ? {
               name: isNonEmptyString(name)
@@ -390,7 +412,6 @@ export default function processesRouter(prisma) {
         ...(priority !== undefined
           ? { priority: cleanPriority(priority, "Media") }
           : {}),
-        ...(owner !== undefined ? { owner: cleanString(owner, 120) } : {}),
         ...(notes !== undefined ? { notes: cleanString(notes, 1000) } : {}),
         ...(startDate !== undefined
           ? { startDate: startDate ? parseDateOrNull(startDate) : null }
@@ -414,6 +435,7 @@ export default function processesRouter(prisma) {
       const updated = await prisma.zoneProcessStep.update({
         where: { id },
         data,
+        include: STEP_INCLUDE,
       });
 
       return res.json(updated);
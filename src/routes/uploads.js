@@ -0,0 +1,56 @@
+// src/routes/uploads.js
+
+import express from "express";
+import path from "path";
+import { getStorage } from "../services/storage/index.js";
+import { verifyFileSignature } from "../services/storage/signing.js";
+
+// Sirve archivos subidos solo con un enlace firmado vigente
+// (?expires=...&signature=...). Los enlaces se emiten en las rutas que ya
+// comprobaron que el usuario es miembro de la finca.
+export default function uploadsRouter() {
+  const router = express.Router();
+
+  router.get("/*", async (req, res) => {
+    try {
+      const key = String(req.params[0] || "");
+      const { expires, signature } = req.query || {};
+
+      if (!key || key.split("/").some((part) => !part || part === "..")) {
+        return res.status(400).json({ error: "Ruta de archivo inválida." });
+      }
+
+      if (!verifyFileSignature(key, expires, signature)) {
+        return res.status(403).json({ error: "Enlace inválido o vencido." });
+      }
+
+      const stream = await getStorage().getStream(key);
+
+      if (!stream) {
+        return res.status(404).json({ error: "Archivo no encontrado." });
+      }
+
+      const maxAge = Math.max(
+        0,
+        Number.parseInt(expires, 10) - Math.floor(Date.now() / 1000)
+      );
+
+      res.type(path.extname(key) || "application/octet-stream");
+      res.set("Cache-Control", `private, max-age=${maxAge}`);
+      res.set("X-Content-Type-Options", "nosniff");
+
+      stream.on("error", (err) => {
+        console.error("UPLOAD_STREAM_ERROR:", err);
+        if (!res.headersSent) res.status(500).end();
+        else res.destroy(err);
+      });
+
+      stream.pipe(res);
+    } catch (err) {
+      console.error("UPLOAD_SERVE_ERROR:", err);
+      return res.status(500).json({ error: "No se pudo leer el archivo." });
+    }
+  });
+
+  return router;
+}
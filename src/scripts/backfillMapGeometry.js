@@ -0,0 +1,58 @@
+// src/scripts/backfillMapGeometry.js
+//
+// Convierte el `data` de MapPoint, MapLine y MapZone a Features GeoJSON y
+// recalcula área, perímetro, centroide y largo.
+//
+// Uso:
+//   npm run map:backfill-geometry -- [--dry-run] [--farm <farmId>]
+
+import dotenv from "dotenv";
+
+import { createPrismaClient } from "../services/prismaClient.js";
+import { backfillMapGeometry } from "../services/mapGeometry.js";
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = { dryRun: false, farmId: null };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--farm") args.farmId = argv[++i] || null;
+    else throw new Error(`Argumento desconocido: ${arg}`);
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const prisma = createPrismaClient();
+
+  console.log(
+    `Convirtiendo geometrías del mapa a GeoJSON${args.dryRun ? " (dry-run)" : ""}`
+  );
+
+  try {
+    const summary = await backfillMapGeometry(prisma, args);
+
+    for (const stats of summary) {
+      console.log(
+        `${stats.model}: ${stats.total} filas, ${stats.updated} convertidas, ${stats.invalid.length} inválidas.`
+      );
+    }
+
+    if (summary.some((stats) => stats.invalid.length > 0)) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("MAP_BACKFILL_ERROR:", err?.message || err);
+  process.exit(1);
+});
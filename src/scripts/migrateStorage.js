@@ -0,0 +1,85 @@
+// src/scripts/migrateStorage.js
+//
+// Copia las fotos de componentes y los adjuntos de bitácora de un driver de
+// almacenamiento a otro y actualiza sus URLs.
+//
+// Uso:
+//   npm run storage:migrate -- --from local --to s3 [--dry-run] [--delete-source] [--overwrite]
+
+import dotenv from "dotenv";
+
+import { createPrismaClient } from "../services/prismaClient.js";
+import {
+  STORAGE_DRIVERS,
+  createStorageDriver,
+} from "../services/storage/index.js";
+import { migrateStoredFiles } from "../services/storage/migrate.js";
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = {
+    from: null,
+    to: null,
+    dryRun: false,
+    deleteSource: false,
+    overwrite: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--from") args.from = argv[++i];
+    else if (arg === "--to") args.to = argv[++i];
+    else if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--delete-source") args.deleteSource = true;
+    else if (arg === "--overwrite") args.overwrite = true;
+    else throw new Error(`Argumento desconocido: ${arg}`);
+  }
+
+  const names = Object.keys(STORAGE_DRIVERS);
+
+  if (!names.includes(args.from) || !names.includes(args.to)) {
+    throw new Error(`--from y --to son requeridos. Usa: ${names.join(", ")}.`);
+  }
+
+  if (args.from === args.to) {
+    throw new Error("--from y --to deben ser drivers distintos.");
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const prisma = createPrismaClient();
+
+  console.log(
+    `Migrando archivos ${args.from} -> ${args.to}${args.dryRun ? " (dry-run)" : ""}`
+  );
+
+  try {
+    const summary = await migrateStoredFiles(prisma, {
+      source: createStorageDriver(args.from),
+      target: createStorageDriver(args.to),
+      dryRun: args.dryRun,
+      deleteSource: args.deleteSource,
+      overwrite: args.overwrite,
+    });
+
+    for (const stats of summary) {
+      console.log(
+        `${stats.label}: ${stats.rows} filas, ${stats.copied} archivos copiados, ${stats.skipped} ya existían, ${stats.missing} faltantes, ${stats.failed} con error.`
+      );
+    }
+
+    if (summary.some((stats) => stats.failed > 0)) process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("STORAGE_MIGRATE_ERROR:", err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+// src/scripts/migrateZoneComponents.js
+//
+// Pasa el JSON libre de MapZone.components a filas ZoneComponent tipadas y
+// deja el JSON en null. En zonas que ya tienen componentes tipados se
+// agregan solo los que faltan (mismo tipo y nombre cuenta como el mismo).
+// `npm run prisma:deploy` lo corre después de las migraciones.
+//
+// Uso:
+//   npm run zones:migrate-components -- [--dry-run] [--farm <farmId>]
+
+import dotenv from "dotenv";
+
+import { createPrismaClient } from "../services/prismaClient.js";
+import { migrateLegacyZoneComponents } from "../services/zoneComponents.js";
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = { dryRun: false, farmId: null };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+
+    if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--farm") args.farmId = argv[++i] || null;
+    else throw new Error(`Argumento desconocido: ${arg}`);
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const prisma = createPrismaClient();
+
+  console.log(
+    `Migrando componentes de zonas a ZoneComponent${args.dryRun ? " (dry-run)" : ""}`
+  );
+
+  try {
+    const stats = await migrateLegacyZoneComponents(prisma, args);
+
+    console.log(
+      `${stats.zones} zonas con JSON, ${stats.migrated} migradas, ${stats.components} componentes, ` +
+        `${stats.relinked} fotos/notas re-vinculadas, ${stats.merged.length} mezcladas, ${stats.invalid.length} inválidas.`
+    );
+
+    if (stats.invalid.length > 0) process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error("ZONE_COMPONENTS_MIGRATION_ERROR:", err?.message || err);
+  process.exit(1);
+});
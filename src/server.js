@@ -2,40 +2,41 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 
-import pkg from "@prisma/client";
-const { PrismaClient } = pkg;
-
-import { Pool } from "pg";
-import { PrismaPg } from "@prisma/adapter-pg";
+import { createPrismaClient } from "./services/prismaClient.js";
+import { getStorage } from "./services/storage/index.js";
 
 import authRouter from "./routes/auth.js";
 import farmsRouter from "./routes/farms.js";
 import processesRouter from "./routes/processes.js";
 import bitacoraRouter from "./routes/bitacora.js";
+import uploadsRouter from "./routes/uploads.js";
+import {
+  isNonEmptyString,
+  looksLikeId,
+  optionalAuth,
+} from "./routes/farms.base.js";
 
 import { verifyEmailTransport } from "./services/emailService.js";
+import { callOpenAIJson } from "./services/openaiService.js";
+import { assertFarmMember } from "./services/farmAccess.js";
+import { findZoneAt, parseLocation } from "./services/mapLocate.js";
 import {
   sendDueTodayTaskReminders,
   sendDueTomorrowTaskReminders,
 } from "./services/taskReminderService.js";
+import { runTaskRecurrences } from "./services/taskRecurrence.js";
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, "..", "uploads");
-
-fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+const storage = getStorage();
 
 const app = express();
 app.set("trust proxy", 1);
 
 app.use(express.json({ limit: "15mb" }));
-app.use("/uploads", express.static(UPLOADS_DIR));
+// Los archivos subidos solo se sirven con enlace firmado.
+app.use("/uploads", uploadsRouter());
 
 const ALLOWED_ORIGINS = [
   "https://www.agromindcr.es",
@@ -84,46 +85,12 @@ app.use((err, req, res, next) => {
   return next(err);
 });
 
-if (!process.env.DATABASE_URL) {
-  throw new Error("Falta DATABASE_URL en .env");
-}
-
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
-});
-
-const adapter = new PrismaPg(pool);
-const prisma = new PrismaClient({ adapter });
+const prisma = createPrismaClient();
 
 function safeBool(v) {
   return v === true || v === "true" || v === 1 || v === "1";
 }
 
-function extractJsonFromText(text = "") {
-  const s = String(text || "").trim();
-  if (!s) return null;
-
-  if (s.startsWith("{") && s.endsWith("}")) {
-    try {
-      return JSON.parse(s);
-    } catch (_) {}
-  }
-
-  const first = s.indexOf("{");
-  const last = s.lastIndexOf("}");
-  if (first !== -1 && last !== -1 && last > first) {
-    const candidate = s.slice(first, last + 1);
-    try {
-      return JSON.parse(candidate);
-    } catch (_) {
-      return null;
-    }
-  }
-
-  return null;
-}
-
 function normalizeDataUrl(dataUrl = "") {
   const v = String(dataUrl || "").trim();
   if (!v.startsWith("data:image/")) return null;
@@ -137,17 +104,6 @@ async function callOpenAIForInvestigation({
   zoneName,
   extraContext,
 }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-
-  if (!apiKey) {
-    return {
-      ok: false,
-      status: 500,
-      error:
-        "Falta OPENAI_API_KEY en el .env del backend (no la pongas en el frontend).",
-    };
-  }
-
   const model = process.env.OPENAI_MODEL_INVESTIGATOR || "gpt-4.1-mini";
 
   const instructions =
@@ -194,91 +150,16 @@ async function callOpenAIForInvestigation({
     (extraContext ? `- notas: ${extraContext}\n` : "") +
     `\nTarea:\nAnaliza la imagen y devuelve el JSON con el esquema solicitado.`;
 
-  const body = {
+  return callOpenAIJson({
     model,
     instructions,
-    input: [
-      {
-        role: "user",
-        content: [
-          { type: "input_text", text: userText },
-          { type: "input_image", image_url: imageDataUrl },
-        ],
-      },
+    content: [
+      { type: "input_text", text: userText },
+      { type: "input_image", image_url: imageDataUrl },
     ],
-    text: {
-      format: {
-        type: "json_schema",
-        name: "investigation_result",
-        schema,
-        strict: true,
-      },
-    },
-  };
-
-  let resp;
-  try {
-    resp = await fetch("https://api.openai.com/v1/responses", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify(body),
-    });
-  } catch (e) {
-    return {
-      ok: false,
-      status: 502,
-      error: "No se pudo conectar con OpenAI (network).",
-      details: String(e?.message || e),
-    };
-  }
-
-  if (!resp.ok) {
-    let errText = "";
-    try {
-      errText = await resp.text();
-    } catch (_) {}
-    return {
-      ok: false,
-      status: resp.status,
-      error: "OpenAI respondió con error.",
-      details: errText?.slice(0, 1200) || "",
-    };
-  }
-
-  const data = await resp.json();
-
-  const outputText =
-    data?.output_text ||
-    (Array.isArray(data?.output)
-      ? data.output
-          .map((o) => {
-            const c = o?.content;
-            if (!Array.isArray(c)) return "";
-            return c
-              .map((p) => (p?.type === "output_text" ? p?.text : ""))
-              .filter(Boolean)
-              .join("\n");
-          })
-          .filter(Boolean)
-          .join("\n")
-      : "");
-
-  const parsed = extractJsonFromText(outputText);
-
-  if (!parsed) {
-    return {
-      ok: false,
-      status: 500,
-      error:
-        "La IA respondió, pero no devolvió JSON parseable. (Te devuelvo el texto para debug).",
-      details: String(outputText || "").slice(0, 2000),
-    };
-  }
-
-  return { ok: true, status: 200, result: parsed };
+    schemaName: "investigation_result",
+    schema,
+  });
 }
 
 function requireAdminAlertsKey(req, res, next) {
@@ -333,7 +214,7 @@ app.get("/api/health", (req, res) => {
     hasOpenAIKey: safeBool(!!process.env.OPENAI_API_KEY),
     hasEmailUser: safeBool(!!process.env.EMAIL_USER),
     hasEmailPass: safeBool(!!process.env.EMAIL_PASS),
-    uploadsPublicPath: "/uploads",
+    storageDriver: storage.name,
   });
 });
 
@@ -347,12 +228,16 @@ app.post(
   requireAdminAlertsKey,
   async (req, res) => {
     try {
+      // Primero las tareas repetidas, para que sus ocurrencias de hoy y
+      // mañana también se recuerden.
+      const recurrencesResult = await runTaskRecurrences(prisma);
       const dueTodayResult = await sendDueTodayTaskReminders(prisma);
       const dueTomorrowResult = await sendDueTomorrowTaskReminders(prisma);
 
       return res.json({
         ok: true,
         message: "Proceso de recordatorios ejecutado.",
+        recurrences: recurrencesResult,
         dueToday: dueTodayResult,
         dueTomorrow: dueTomorrowResult,
       });
@@ -380,9 +265,10 @@ app.get("/api/admin/email-status", requireAdminAlertsKey, async (req, res) => {
   }
 });
 
-app.post("/api/investigator/analyze", async (req, res) => {
+app.post("/api/investigator/analyze", optionalAuth, async (req, res) => {
   try {
-    const { farmId, zoneName, imageDataUrl, extraContext } = req.body || {};
+    const { farmId, imageDataUrl, extraContext, lat, lng } = req.body || {};
+    let { zoneName } = req.body || {};
 
     if (!farmId) {
       return res.status(400).json({ error: "farmId es requerido." });
@@ -396,6 +282,21 @@ app.post("/api/investigator/analyze", async (req, res) => {
       });
     }
 
+    // Sin zona escrita se deduce del GPS, solo para miembros de la finca.
+    let locatedZone = null;
+    const position = parseLocation(lat, lng);
+
+    if (
+      !isNonEmptyString(zoneName) &&
+      position &&
+      req.user &&
+      looksLikeId(farmId)
+    ) {
+      const member = await assertFarmMember(prisma, farmId, req.user.id);
+      if (member) locatedZone = await findZoneAt(prisma, farmId, position);
+      if (locatedZone) zoneName = locatedZone.name;
+    }
+
     const out = await callOpenAIForInvestigation({
       imageDataUrl: normalized,
       farmId,
@@ -414,6 +315,7 @@ app.post("/api/investigator/analyze", async (req, res) => {
       ok: true,
       farmId,
       zoneName: zoneName || null,
+      zoneId: locatedZone?.id || null,
       result: out.result,
     });
   } catch (e) {
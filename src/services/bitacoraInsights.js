@@ -0,0 +1,708 @@
+// src/services/bitacoraInsights.js
+import { callOpenAIJson, hasOpenAIKey } from "./openaiService.js";
+import { TASK_PRIORITIES } from "./taskStatus.js";
+
+// 2: la prioridad de las acciones usa TaskPriority (LOW/MEDIUM/HIGH); en la
+// versión 1 venía en español ("Baja", "Media", "Alta").
+export const INSIGHTS_VERSION = 2;
+export const INSIGHTS_MODES = ["rules", "llm"];
+
+// Mismo largo que el título de una tarea (cleanName); lo usa también la ruta
+// que convierte los borradores en tareas.
+export const TASK_DRAFT_TITLE_MAX = 80;
+
+const MS_DAY = 1000 * 60 * 60 * 24;
+
+const UNIT_ALIASES = [
+  {
+    unit: "kg",
+    keys: ["kg", "kgs", "kilo", "kilos", "kilogramo", "kilogramos"],
+  },
+  { unit: "g", keys: ["g", "gr", "gramo", "gramos"] },
+  { unit: "lb", keys: ["lb", "lbs", "libra", "libras"] },
+  { unit: "qq", keys: ["qq", "quintal", "quintales"] },
+  { unit: "l", keys: ["l", "lt", "lts", "litro", "litros"] },
+  { unit: "ml", keys: ["ml", "mililitro", "mililitros"] },
+  { unit: "gal", keys: ["gal", "galon", "galones"] },
+  { unit: "saco", keys: ["saco", "sacos"] },
+  { unit: "caja", keys: ["caja", "cajas"] },
+  { unit: "estañon", keys: ["estanon", "estanones"] },
+  { unit: "cabeza", keys: ["cabeza", "cabezas"] },
+  { unit: "animal", keys: ["animal", "animales"] },
+  { unit: "planta", keys: ["planta", "plantas", "mata", "matas"] },
+  { unit: "unidad", keys: ["unidad", "unidades"] },
+  { unit: "ha", keys: ["ha", "hectarea", "hectareas"] },
+  { unit: "mz", keys: ["mz", "manzana", "manzanas"] },
+  { unit: "m", keys: ["m", "metro", "metros"] },
+];
+
+const UNIT_BY_KEY = new Map(
+  UNIT_ALIASES.flatMap((row) => row.keys.map((key) => [key, row.unit]))
+);
+
+// Marcadores que convierten una oración en algo por hacer.
+const OBLIGATION_MARKERS = [
+  "hay que",
+  "tenemos que",
+  "tengo que",
+  "hace falta",
+  "falta",
+  "pendiente",
+  "se debe",
+  "se deben",
+  "debemos",
+  "toca",
+  "programar",
+  "recordar",
+  "urge",
+];
+
+// `keys` son comienzos de palabra ("fumig" -> "fumigar", "fumigación");
+// `words` solo cuentan como palabra completa ("agua" no es "aguacate").
+const ACTION_TYPES = [
+  { keys: ["abonar", "abono", "fertiliz", "urea"], type: "Fertilización" },
+  {
+    keys: [
+      "fumig",
+      "vacun",
+      "desparas",
+      "curar",
+      "aplicar",
+      "insecticida",
+      "fungicida",
+      "herbicida",
+    ],
+    type: "Sanidad",
+  },
+  { keys: ["regar", "riego", "aspersor", "manguera"], type: "Riego" },
+  {
+    keys: ["aliment", "concentrado", "pasto"],
+    words: ["agua"],
+    type: "Alimentación",
+  },
+  { keys: ["cosech", "recolect", "ordeñ"], type: "Cosecha" },
+  { keys: ["sembr", "siembra", "plantar", "trasplant"], type: "Siembra" },
+  { keys: ["comprar", "compra"], type: "Compras" },
+];
+
+const ACTION_VERBS = [
+  "abonar",
+  "fertilizar",
+  "fumigar",
+  "vacunar",
+  "desparasitar",
+  "aplicar",
+  "regar",
+  "cosechar",
+  "sembrar",
+  "plantar",
+  "reparar",
+  "limpiar",
+  "chapear",
+  "revisar",
+  "comprar",
+  "cambiar",
+  "podar",
+];
+
+// Con `keepEnie` la ñ no pierde la tilde ("ordeñar" no es "ordenar").
+function normText(s, { keepEnie = false } = {}) {
+  const decomposed = String(s || "")
+    .toLowerCase()
+    .normalize("NFD");
+
+  return (keepEnie ? decomposed.replace(/n\u0303/g, "ñ") : decomposed)
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim();
+}
+
+// Texto normalizado con separadores simples, para buscar palabras completas.
+function tokenize(s, options) {
+  return ` ${normText(s, options)
+    .replace(/[^a-z0-9ñ]+/g, " ")
+    .trim()} `;
+}
+
+function containsTerm(haystackTokens, term) {
+  const t = tokenize(term).trim();
+  if (t.length < 3) return false;
+
+  return [t, `${t}s`, `${t}es`].some((variant) =>
+    haystackTokens.includes(` ${variant} `)
+  );
+}
+
+function toYYYYMMDD(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function utcNoon(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  return new Date(
+    Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 12, 0, 0)
+  );
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * MS_DAY);
+}
+
+// "1.500" y "1,500" son miles; "2,5" y "2.5" son decimales.
+function parseLocaleNumber(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+
+  if (/^\d{1,3}([.,]\d{3})+$/.test(s)) {
+    return Number(s.replace(/[.,]/g, ""));
+  }
+
+  if (/^\d{1,3}(\.\d{3})+,\d+$/.test(s)) {
+    return Number(s.replace(/\./g, "").replace(",", "."));
+  }
+
+  if (/^\d{1,3}(,\d{3})+\.\d+$/.test(s)) {
+    return Number(s.replace(/,/g, ""));
+  }
+
+  const n = Number(s.replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+function buildVocabulary(zones) {
+  const zoneTerms = [];
+  const crops = [];
+  const animals = [];
+
+  for (const zone of zones) {
+    const name = String(zone?.name || "").trim();
+    if (name) zoneTerms.push({ id: zone.id, name });
+
+    for (const component of zone?.components || []) {
+      const item = {
+        name: component.name,
+        componentId: component.id,
+        zoneId: zone.id,
+        zoneName: name || null,
+      };
+
+      if (component.type === "CROP") crops.push(item);
+      else if (component.type === "ANIMAL_GROUP") animals.push(item);
+    }
+  }
+
+  return { zones: zoneTerms, crops, animals };
+}
+
+function uniqueBy(items, keyFn) {
+  const seen = new Set();
+  return items.filter((item) => {
+    const key = keyFn(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function matchZones(tokens, vocabulary) {
+  return vocabulary.zones
+    .filter((zone) => containsTerm(tokens, zone.name))
+    .map((zone) => ({ id: zone.id, name: zone.name }));
+}
+
+function matchComponents(tokens, list) {
+  return uniqueBy(
+    list.filter((item) =>
+      containsTerm(tokens, item.name.replace(/\(\d+\)$/, ""))
+    ),
+    (item) => `${normText(item.name)}:${item.zoneId}`
+  );
+}
+
+export function extractQuantities(text) {
+  const out = [];
+  const re = /(\d+(?:[.,]\d+)*)\s*([a-zA-ZñÑáéíóúÁÉÍÓÚ]+)/g;
+  let m;
+
+  while ((m = re.exec(String(text || "")))) {
+    const unit = UNIT_BY_KEY.get(normText(m[2]));
+    if (!unit) continue;
+
+    const value = parseLocaleNumber(m[1]);
+    if (value === null) continue;
+
+    out.push({ value, unit, raw: m[0].trim() });
+  }
+
+  return out.slice(0, 20);
+}
+
+export function extractCosts(text) {
+  const s = String(text || "");
+  const out = [];
+
+  const prefixed = /(₡|\$|crc|usd)\s?(\d+(?:[.,]\d+)*)(\s*mil\b)?/gi;
+  const suffixed =
+    /(\d+(?:[.,]\d+)*)(\s*mil)?\s*(colones|col|dolares|dólares|usd|crc)\b/gi;
+
+  let m;
+  while ((m = prefixed.exec(s))) {
+    const amount = parseLocaleNumber(m[2]);
+    if (amount === null) continue;
+
+    const currency = ["$", "usd"].includes(m[1].toLowerCase()) ? "USD" : "CRC";
+    out.push({
+      amount: m[3] ? amount * 1000 : amount,
+      currency,
+      raw: m[0].trim(),
+    });
+  }
+
+  while ((m = suffixed.exec(s))) {
+    const amount = parseLocaleNumber(m[1]);
+    if (amount === null) continue;
+
+    const currency = /^(dolares|usd)$/.test(normText(m[3])) ? "USD" : "CRC";
+    out.push({
+      amount: m[2] ? amount * 1000 : amount,
+      currency,
+      raw: m[0].trim(),
+    });
+  }
+
+  return uniqueBy(out, (cost) => cost.raw).slice(0, 20);
+}
+
+export function extractDates(text, baseDate = new Date()) {
+  const s = String(text || "");
+  const norm = normText(s);
+  const base = utcNoon(baseDate);
+  const out = [];
+
+  let m;
+  const iso = /\b(\d{4})-(\d{2})-(\d{2})\b/g;
+  while ((m = iso.exec(s))) {
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], 12, 0, 0));
+    if (!Number.isNaN(d.getTime()))
+      out.push({ date: toYYYYMMDD(d), raw: m[0] });
+  }
+
+  const dmy = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/g;
+  while ((m = dmy.exec(s))) {
+    const day = +m[1];
+    const month = +m[2];
+    let year = m[3] ? +m[3] : base.getUTCFullYear();
+    if (year < 100) year += 2000;
+    if (day < 1 || day > 31 || month < 1 || month > 12) continue;
+
+    const d = new Date(Date.UTC(year, month - 1, day, 12, 0, 0));
+    if (d.getUTCDate() !== day) continue;
+    out.push({ date: toYYYYMMDD(d), raw: m[0] });
+  }
+
+  const relative = [
+    { re: /\bpasado manana\b/, days: 2, raw: "pasado mañana" },
+    { re: /\bhoy\b/, days: 0, raw: "hoy" },
+    { re: /\bayer\b/, days: -1, raw: "ayer" },
+    { re: /\banteayer\b/, days: -2, raw: "anteayer" },
+  ];
+
+  for (const row of relative) {
+    if (row.re.test(norm)) {
+      out.push({ date: toYYYYMMDD(addDays(base, row.days)), raw: row.raw });
+    }
+  }
+
+  // "mañana" como día, no "en la mañana" / "por la mañana".
+  const tomorrow = /(^|[^a-z])(?<!la )(?<!pasado )manana\b/;
+  if (tomorrow.test(norm)) {
+    out.push({ date: toYYYYMMDD(addDays(base, 1)), raw: "mañana" });
+  }
+
+  const inN = /\ben (\d{1,3}) (dias?|semanas?)\b/g;
+  while ((m = inN.exec(norm))) {
+    const n = +m[1] * (m[2].startsWith("semana") ? 7 : 1);
+    out.push({ date: toYYYYMMDD(addDays(base, n)), raw: m[0] });
+  }
+
+  return uniqueBy(out, (d) => `${d.date}:${d.raw}`).slice(0, 20);
+}
+
+function splitSentences(text) {
+  return String(text || "")
+    .split(/[.\n;!?]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function actionTypeFor(sentence) {
+  const tokens = tokenize(sentence, { keepEnie: true });
+  const startsWord = (key) =>
+    tokens.includes(` ${tokenize(key, { keepEnie: true }).trim()}`);
+
+  for (const row of ACTION_TYPES) {
+    if (
+      row.keys.some(startsWord) ||
+      (row.words || []).some((word) => containsTerm(tokens, word))
+    ) {
+      return row.type;
+    }
+  }
+
+  return "Mantenimiento";
+}
+
+function isActionSentence(sentence) {
+  const tokens = tokenize(sentence);
+
+  if (OBLIGATION_MARKERS.some((marker) => tokens.includes(` ${marker} `))) {
+    return true;
+  }
+
+  const firstWord = tokens.trim().split(" ")[0] || "";
+  return ACTION_VERBS.includes(firstWord);
+}
+
+function buildTaskDraft({ title, type, zone, due, priority, baseDate }) {
+  const base = utcNoon(baseDate);
+  const today = utcNoon(new Date());
+  const start = base.getTime() > today.getTime() ? base : today;
+  const dueDate = due && due >= toYYYYMMDD(start) ? due : toYYYYMMDD(start);
+
+  return {
+    title: String(title || "")
+      .trim()
+      .slice(0, TASK_DRAFT_TITLE_MAX),
+    zone: zone?.name || "",
+    zoneId: zone?.id || null,
+    type,
+    priority,
+    start: toYYYYMMDD(start),
+    due: dueDate,
+    status: "PENDING",
+    owner: "",
+  };
+}
+
+export function extractActions(text, vocabulary, baseDate = new Date()) {
+  const actions = [];
+
+  for (const sentence of splitSentences(text)) {
+    if (!isActionSentence(sentence)) continue;
+
+    const tokens = tokenize(sentence);
+    const zone = matchZones(tokens, vocabulary)[0] || null;
+    const dates = extractDates(sentence, baseDate);
+    const urgent = /\b(urge|urgente|urgencia|ya mismo|cuanto antes)\b/.test(
+      normText(sentence)
+    );
+
+    const type = actionTypeFor(sentence);
+    const priority = urgent ? "HIGH" : "MEDIUM";
+
+    actions.push({
+      text: sentence.slice(0, 240),
+      type,
+      zone,
+      due: dates[0]?.date || null,
+      priority,
+      taskDraft: buildTaskDraft({
+        title: sentence,
+        type,
+        zone,
+        due: dates[0]?.date || null,
+        priority,
+        baseDate,
+      }),
+    });
+  }
+
+  return actions.slice(0, 10);
+}
+
+export function extractInsightsByRules(
+  text,
+  vocabulary,
+  baseDate = new Date()
+) {
+  const tokens = tokenize(text);
+
+  return {
+    zones: matchZones(tokens, vocabulary),
+    crops: matchComponents(tokens, vocabulary.crops),
+    animals: matchComponents(tokens, vocabulary.animals),
+    quantities: extractQuantities(text),
+    costs: extractCosts(text),
+    dates: extractDates(text, baseDate),
+    actions: extractActions(text, vocabulary, baseDate),
+  };
+}
+
+const LLM_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    summary: { type: "string" },
+    zones: { type: "array", items: { type: "string" } },
+    crops: { type: "array", items: { type: "string" } },
+    animals: { type: "array", items: { type: "string" } },
+    quantities: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          value: { type: "number" },
+          unit: { type: "string" },
+          raw: { type: "string" },
+        },
+        required: ["value", "unit", "raw"],
+      },
+    },
+    costs: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          amount: { type: "number" },
+          currency: { type: "string", enum: ["CRC", "USD"] },
+          raw: { type: "string" },
+        },
+        required: ["amount", "currency", "raw"],
+      },
+    },
+    dates: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          date: { type: "string" },
+          raw: { type: "string" },
+        },
+        required: ["date", "raw"],
+      },
+    },
+    actions: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          text: { type: "string" },
+          type: { type: "string" },
+          zone: { type: "string" },
+          due: { type: "string" },
+          priority: { type: "string", enum: TASK_PRIORITIES },
+        },
+        required: ["text", "type", "zone", "due", "priority"],
+      },
+    },
+  },
+  required: [
+    "summary",
+    "zones",
+    "crops",
+    "animals",
+    "quantities",
+    "costs",
+    "dates",
+    "actions",
+  ],
+};
+
+async function extractInsightsWithLLM(text, vocabulary, baseDate) {
+  const model = process.env.OPENAI_MODEL_BITACORA || "gpt-4.1-mini";
+
+  const instructions =
+    "Eres un asistente que estructura notas de campo de fincas en Costa Rica. " +
+    "Devuelve SOLO JSON con el esquema solicitado. No inventes datos: " +
+    "si algo no aparece en la nota, deja la lista vacía. " +
+    "Fechas en formato YYYY-MM-DD; usa cadena vacía si no hay fecha o zona.";
+
+  const userText =
+    `Fecha de la nota: ${toYYYYMMDD(utcNoon(baseDate))}\n` +
+    `Zonas de la finca: ${vocabulary.zones.map((z) => z.name).join(", ") || "N/A"}\n` +
+    `Cultivos registrados: ${vocabulary.crops.map((c) => c.name).join(", ") || "N/A"}\n` +
+    `Animales registrados: ${vocabulary.animals.map((a) => a.name).join(", ") || "N/A"}\n` +
+    `\nNota:\n${String(text).slice(0, 4000)}`;
+
+  const out = await callOpenAIJson({
+    model,
+    instructions,
+    content: [{ type: "input_text", text: userText }],
+    schemaName: "bitacora_insights",
+    schema: LLM_SCHEMA,
+  });
+
+  if (!out.ok) return out;
+
+  const result = out.result || {};
+  const byZoneName = new Map(
+    vocabulary.zones.map((z) => [normText(z.name), z])
+  );
+  const resolveZone = (name) => {
+    const zone = byZoneName.get(normText(name));
+    return zone ? { id: zone.id, name: zone.name } : null;
+  };
+  const resolveFrom = (list, names) =>
+    uniqueBy(
+      (names || [])
+        .map((name) =>
+          list.find((item) => normText(item.name) === normText(name))
+        )
+        .filter(Boolean),
+      (item) => `${normText(item.name)}:${item.zoneId}`
+    );
+  const validDate = (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(String(value || "")) ? value : null;
+
+  return {
+    ok: true,
+    insights: {
+      summary: String(result.summary || "").slice(0, 500),
+      // Solo conservamos zonas, cultivos y animales que existen en la finca.
+      zones: uniqueBy(
+        (result.zones || []).map(resolveZone).filter(Boolean),
+        (z) => z.id
+      ),
+      crops: resolveFrom(vocabulary.crops, result.crops),
+      animals: resolveFrom(vocabulary.animals, result.animals),
+      quantities: (result.quantities || []).slice(0, 20),
+      costs: (result.costs || []).slice(0, 20),
+      dates: (result.dates || [])
+        .filter((d) => validDate(d?.date))
+        .slice(0, 20),
+      actions: (result.actions || []).slice(0, 10).map((action) => {
+        const zone = resolveZone(action.zone);
+        const due = validDate(action.due);
+        const type =
+          String(action.type || "")
+            .trim()
+            .slice(0, 80) || "Mantenimiento";
+
+        const priority = TASK_PRIORITIES.includes(action.priority)
+          ? action.priority
+          : "MEDIUM";
+
+        return {
+          text: String(action.text || "").slice(0, 240),
+          type,
+          zone,
+          due,
+          priority,
+          taskDraft: buildTaskDraft({
+            title: action.text,
+            type,
+            zone,
+            due,
+            priority,
+            baseDate,
+          }),
+        };
+      }),
+    },
+  };
+}
+
+export function defaultInsightsMode() {
+  return process.env.BITACORA_INSIGHTS_MODE === "llm" ? "llm" : "rules";
+}
+
+export function normalizeInsightsMode(value) {
+  const s = String(value || "")
+    .trim()
+    .toLowerCase();
+  return INSIGHTS_MODES.includes(s) ? s : null;
+}
+
+/**
+ * Analiza el texto de una nota y devuelve el objeto que se guarda en
+ * BitacoraEntry.insights. El modo "rules" funciona sin conexión; el modo
+ * "llm" usa OpenAI y, si falla o no hay API key, cae a "rules" y lo indica
+ * en `llmError`.
+ */
+export async function analyzeBitacoraText(
+  prisma,
+  farmId,
+  text,
+  { mode = defaultInsightsMode(), baseDate = new Date() } = {}
+) {
+  const zones = await prisma.mapZone.findMany({
+    where: { farmId },
+    select: {
+      id: true,
+      name: true,
+      components: {
+        where: { type: { in: ["CROP", "ANIMAL_GROUP"] } },
+        select: { id: true, type: true, name: true },
+      },
+    },
+  });
+
+  const vocabulary = buildVocabulary(zones);
+
+  let insights = null;
+  let usedMode = "rules";
+  let llmError = null;
+
+  if (mode === "llm") {
+    if (!hasOpenAIKey()) {
+      llmError = "Falta OPENAI_API_KEY; se usó el análisis por reglas.";
+    } else {
+      const out = await extractInsightsWithLLM(text, vocabulary, baseDate);
+
+      if (out.ok) {
+        insights = out.insights;
+        usedMode = "llm";
+      } else {
+        llmError = out.error || "Error en el análisis con IA.";
+      }
+    }
+  }
+
+  if (!insights) {
+    insights = extractInsightsByRules(text, vocabulary, baseDate);
+  }
+
+  return {
+    version: INSIGHTS_VERSION,
+    mode: usedMode,
+    generatedAt: new Date().toISOString(),
+    ...(llmError ? { llmError } : {}),
+    ...insights,
+  };
+}
+
+/**
+ * Pasa las marcas `createdTaskId` de `previous` a las acciones de
+ * `insights` que tengan el mismo tipo y título. Se usa al volver a
+ * analizar o al restaurar una versión, para que task-drafts no vuelva a
+ * crear tareas de acciones ya convertidas. Cada marca se usa una sola vez.
+ */
+export function keepCreatedTasks(insights, previous) {
+  if (!insights || !Array.isArray(insights.actions)) return insights;
+
+  const actionKey = (action) =>
+    `${normText(action?.type)}|${normText(action?.taskDraft?.title || action?.text)}`;
+
+  const created = (
+    Array.isArray(previous?.actions) ? previous.actions : []
+  ).filter((action) => action?.createdTaskId);
+
+  if (created.length === 0) return insights;
+
+  const actions = insights.actions.map((action) => {
+    if (action?.createdTaskId) return action;
+
+    const i = created.findIndex(
+      (prev) => actionKey(prev) === actionKey(action)
+    );
+    if (i === -1) return action;
+
+    const [match] = created.splice(i, 1);
+    return { ...action, createdTaskId: match.createdTaskId };
+  });
+
+  return { ...insights, actions };
+}
@@ -0,0 +1,372 @@
+// src/services/bitacoraService.js
+import pkg from "@prisma/client";
+
+import { normalizeText } from "../routes/farms.base.js";
+import { findZoneComponent } from "./zoneComponents.js";
+
+const { Prisma } = pkg;
+
+export const BITACORA_CATEGORIES = [
+  "OBSERVATION",
+  "INCIDENT",
+  "WEATHER",
+  "APPLICATION",
+  "HARVEST",
+];
+
+// Aceptamos el valor del enum o su nombre en español (con o sin tildes).
+const CATEGORY_ALIASES = {
+  observation: "OBSERVATION",
+  observacion: "OBSERVATION",
+  incident: "INCIDENT",
+  incidente: "INCIDENT",
+  weather: "WEATHER",
+  clima: "WEATHER",
+  application: "APPLICATION",
+  aplicacion: "APPLICATION",
+  harvest: "HARVEST",
+  cosecha: "HARVEST",
+};
+
+export const BITACORA_LINK_SELECT = {
+  zone: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  task: {
+    select: {
+      id: true,
+      title: true,
+      status: true,
+    },
+  },
+  process: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  processStep: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+};
+
+// Campos resumidos para listar notas recientes en reportes y procesos.
+export const BITACORA_SUMMARY_SELECT = {
+  id: true,
+  date: true,
+  text: true,
+  category: true,
+  zoneId: true,
+  componentId: true,
+  taskId: true,
+  processId: true,
+  processStepId: true,
+  createdAt: true,
+  author: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+};
+
+function cleanId(value) {
+  if (typeof value !== "string") return null;
+  const s = value.trim();
+  return s.length ? s.slice(0, 64) : null;
+}
+
+export function normalizeBitacoraCategory(value) {
+  if (!value) return null;
+
+  const upper = String(value).trim().toUpperCase();
+  if (BITACORA_CATEGORIES.includes(upper)) return upper;
+
+  return CATEGORY_ALIASES[normalizeText(value)] || null;
+}
+
+/**
+ * Valida los vínculos de una nota (zona, componente, tarea, proceso, etapa)
+ * contra la finca y completa los que se pueden deducir: una etapa implica
+ * su proceso y un proceso implica su zona.
+ *
+ * `input` solo trae las claves que el cliente envió; una clave con valor
+ * vacío desvincula. Los vínculos deducidos reemplazan a los de `current`,
+ * pero chocan con los enviados explícitamente.
+ * Devuelve { ok, links } o { ok: false, status, error }.
+ */
+export async function resolveBitacoraLinks(
+  prisma,
+  farmId,
+  input,
+  current = {}
+) {
+  const has = (key) => Object.prototype.hasOwnProperty.call(input || {}, key);
+
+  const links = {
+    zoneId: has("zoneId") ? cleanId(input.zoneId) : current.zoneId || null,
+    componentId: has("componentId")
+      ? cleanId(input.componentId)
+      : current.componentId || null,
+    taskId: has("taskId") ? cleanId(input.taskId) : current.taskId || null,
+    processId: has("processId")
+      ? cleanId(input.processId)
+      : current.processId || null,
+    processStepId: has("processStepId")
+      ? cleanId(input.processStepId)
+      : current.processStepId || null,
+  };
+
+  if (links.processStepId) {
+    const step = await prisma.zoneProcessStep.findUnique({
+      where: { id: links.processStepId },
+      select: {
+        id: true,
+        processId: true,
+        process: { select: { zone: { select: { farmId: true } } } },
+      },
+    });
+
+    if (!step || step.process?.zone?.farmId !== farmId) {
+      return { ok: false, status: 404, error: "Etapa no encontrada." };
+    }
+
+    if (
+      has("processId") &&
+      links.processId &&
+      links.processId !== step.processId
+    ) {
+      return {
+        ok: false,
+        status: 400,
+        error: "La etapa no pertenece al proceso indicado.",
+      };
+    }
+
+    links.processId = step.processId;
+  }
+
+  if (links.processId) {
+    const process = await prisma.zoneProcess.findUnique({
+      where: { id: links.processId },
+      select: {
+        id: true,
+        zoneId: true,
+        zone: { select: { farmId: true } },
+      },
+    });
+
+    if (!process || process.zone?.farmId !== farmId) {
+      return { ok: false, status: 404, error: "Proceso no encontrado." };
+    }
+
+    if (has("zoneId") && links.zoneId && links.zoneId !== process.zoneId) {
+      return {
+        ok: false,
+        status: 400,
+        error: "El proceso no pertenece a la zona indicada.",
+      };
+    }
+
+    links.zoneId = process.zoneId;
+  }
+
+  if (links.taskId) {
+    const task = await prisma.task.findFirst({
+      where: { id: links.taskId, farmId },
+      select: { id: true },
+    });
+
+    if (!task) {
+      return { ok: false, status: 404, error: "Tarea no encontrada." };
+    }
+  }
+
+  if (links.componentId && !links.zoneId) {
+    return {
+      ok: false,
+      status: 400,
+      error: "componentId requiere una zona.",
+    };
+  }
+
+  if (links.zoneId) {
+    const zone = await prisma.mapZone.findFirst({
+      where: { id: links.zoneId, farmId },
+      select: { id: true },
+    });
+
+    if (!zone) {
+      return { ok: false, status: 404, error: "Zona no encontrada." };
+    }
+
+    if (
+      links.componentId &&
+      !(await findZoneComponent(prisma, zone.id, links.componentId))
+    ) {
+      return {
+        ok: false,
+        status: 404,
+        error: "Componente no encontrado en esta zona.",
+      };
+    }
+  }
+
+  return { ok: true, links };
+}
+
+// Marcadores de control para ts_headline: se reemplazan por <mark> después
+// de escapar el texto, así el contenido de la nota nunca llega como HTML.
+const HIGHLIGHT_START = "\u0001";
+const HIGHLIGHT_STOP = "\u0002";
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+
+function escapeHtml(value) {
+  return String(value || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function toHighlightedSnippet(headline) {
+  return escapeHtml(headline)
+    .replaceAll(HIGHLIGHT_START, "<mark>")
+    .replaceAll(HIGHLIGHT_STOP, "</mark>");
+}
+
+export function buildBitacoraWhere(farmId, filters = {}) {
+  const where = { farmId };
+
+  if (filters.from || filters.to) {
+    where.date = {
+      ...(filters.from ? { gte: filters.from } : {}),
+      ...(filters.to ? { lte: filters.to } : {}),
+    };
+  }
+
+  for (const key of [
+    "category",
+    "zoneId",
+    "componentId",
+    "taskId",
+    "processId",
+    "processStepId",
+    "authorId",
+  ]) {
+    if (filters[key]) where[key] = filters[key];
+  }
+
+  return where;
+}
+
+function buildBitacoraSqlConditions(farmId, filters, tsQuery) {
+  const conditions = [
+    Prisma.sql`"farmId" = ${farmId}`,
+    Prisma.sql`to_tsvector('spanish_unaccent', "text") @@ ${tsQuery}`,
+  ];
+
+  if (filters.from) conditions.push(Prisma.sql`"date" >= ${filters.from}`);
+  if (filters.to) conditions.push(Prisma.sql`"date" <= ${filters.to}`);
+
+  if (filters.category) {
+    conditions.push(
+      Prisma.sql`"category" = ${filters.category}::"BitacoraCategory"`
+    );
+  }
+
+  const columns = {
+    zoneId: Prisma.sql`"zoneId"`,
+    componentId: Prisma.sql`"componentId"`,
+    taskId: Prisma.sql`"taskId"`,
+    processId: Prisma.sql`"processId"`,
+    processStepId: Prisma.sql`"processStepId"`,
+    authorId: Prisma.sql`"authorId"`,
+  };
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (filters[key]) conditions.push(Prisma.sql`${column} = ${filters[key]}`);
+  }
+
+  return Prisma.join(conditions, " AND ");
+}
+
+/**
+ * Lista notas de la bitácora con filtros y paginación.
+ * Con `filters.q` usa el índice de texto completo (spanish_unaccent), ordena
+ * por relevancia y agrega `snippet` con los términos resaltados en <mark>.
+ */
+export async function searchBitacoraEntries(
+  prisma,
+  farmId,
+  filters,
+  { skip, take, include }
+) {
+  const q = String(filters.q || "").trim();
+
+  if (!q) {
+    const where = buildBitacoraWhere(farmId, filters);
+
+    const [entries, total] = await Promise.all([
+      prisma.bitacoraEntry.findMany({
+        where,
+        include,
+        orderBy: [{ date: "desc" }, { createdAt: "desc" }],
+        skip,
+        take,
+      }),
+      prisma.bitacoraEntry.count({ where }),
+    ]);
+
+    return { entries, total };
+  }
+
+  const tsQuery = Prisma.sql`websearch_to_tsquery('spanish_unaccent', ${q})`;
+  const conditions = buildBitacoraSqlConditions(farmId, filters, tsQuery);
+
+  const [matches, countRows] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT
+        "id",
+        ts_rank(to_tsvector('spanish_unaccent', "text"), ${tsQuery}) AS "rank",
+        ts_headline('spanish_unaccent', "text", ${tsQuery}, ${HEADLINE_OPTIONS}) AS "headline"
+      FROM "BitacoraEntry"
+      WHERE ${conditions}
+      ORDER BY "rank" DESC, "date" DESC, "createdAt" DESC
+      LIMIT ${take} OFFSET ${skip}
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "total"
+      FROM "BitacoraEntry"
+      WHERE ${conditions}
+    `,
+  ]);
+
+  const ids = matches.map((row) => row.id);
+
+  const rows = ids.length
+    ? await prisma.bitacoraEntry.findMany({
+        where: { id: { in: ids } },
+        include,
+      })
+    : [];
+
+  const rowsById = new Map(rows.map((row) => [row.id, row]));
+
+  const entries = matches
+    .filter((match) => rowsById.has(match.id))
+    .map((match) => ({
+      ...rowsById.get(match.id),
+      rank: Number(match.rank) || 0,
+      snippet: toHighlightedSnippet(match.headline),
+    }));
+
+  return { entries, total: Number(countRows?.[0]?.total) || 0 };
+}
@@ -17,6 +17,8 @@ export async function assertFarmMember(prisma, farmId, userId) {
           name: true,
           view: true,
           preferredCenter: true,
+          boundaryZoneId: true,
+          mapTopologyMode: true,
         },
       },
     },
@@ -0,0 +1,192 @@
+// src/services/geo.js
+//
+// Cálculos sobre geometrías GeoJSON ya normalizadas (ver mapGeometry.js).
+// Las coordenadas son [lng, lat] en grados; distancias en metros.
+
+// Radio ecuatorial WGS84, el mismo que usan turf y la mayoría de visores
+// para áreas geodésicas.
+const EARTH_RADIUS_M = 6378137;
+
+export const M2_PER_HECTARE = 10000;
+// Manzana costarricense: 100 varas x 100 varas.
+export const M2_PER_MANZANA = 6987.37;
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+/* =========================
+   Contención
+========================= */
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const crosses =
+      yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
+
+// Polígonos ([anillo exterior, ...huecos]) de un Polygon o MultiPolygon.
+export function geometryPolygons(geometry) {
+  if (geometry?.type === "Polygon") return [geometry.coordinates];
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates;
+  return [];
+}
+
+export function pointInPolygons(position, polygons) {
+  return polygons.some(
+    ([outer, ...holes]) =>
+      pointInRing(position, outer) &&
+      !holes.some((hole) => pointInRing(position, hole))
+  );
+}
+
+/* =========================
+   Medidas geodésicas
+========================= */
+
+// Distancia de círculo máximo (haversine) entre dos posiciones.
+export function distanceMeters([lng1, lat1], [lng2, lat2]) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+export function pathLengthMeters(positions) {
+  let total = 0;
+  for (let i = 1; i < positions.length; i += 1) {
+    total += distanceMeters(positions[i - 1], positions[i]);
+  }
+  return total;
+}
+
+// Área de un anillo sobre la esfera (Chamberlain & Duquette, 2007).
+function ringAreaM2(ring) {
+  const n = ring.length;
+  if (n < 4) return 0;
+
+  let total = 0;
+
+  for (let i = 0; i < n - 1; i += 1) {
+    const lower = ring[i];
+    const middle = ring[i + 1];
+    const upper = ring[(i + 2) % (n - 1)];
+
+    total += (toRad(upper[0]) - toRad(lower[0])) * Math.sin(toRad(middle[1]));
+  }
+
+  return Math.abs((total * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+function polygonAreaM2([outer, ...holes]) {
+  return Math.max(
+    0,
+    ringAreaM2(outer) - holes.reduce((sum, hole) => sum + ringAreaM2(hole), 0)
+  );
+}
+
+// Centroide de área plano (en grados); suficiente para fincas.
+function ringCentroid(ring) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+
+  for (let i = 0; i < ring.length - 1; i += 1) {
+    const [x0, y0] = ring[i];
+    const [x1, y1] = ring[i + 1];
+    const cross = x0 * y1 - x1 * y0;
+
+    area += cross;
+    cx += (x0 + x1) * cross;
+    cy += (y0 + y1) * cross;
+  }
+
+  area /= 2;
+  return { area, x: cx / (6 * area || 1), y: cy / (6 * area || 1) };
+}
+
+function polygonsCentroid(polygons) {
+  let weight = 0;
+  let x = 0;
+  let y = 0;
+
+  for (const rings of polygons) {
+    rings.forEach((ring, i) => {
+      const c = ringCentroid(ring);
+      const w = Math.abs(c.area) * (i === 0 ? 1 : -1);
+
+      weight += w;
+      x += c.x * w;
+      y += c.y * w;
+    });
+  }
+
+  if (weight === 0) return null;
+  return [x / weight, y / weight];
+}
+
+function round(value, decimals) {
+  const f = 10 ** decimals;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Área (m²), perímetro (m, anillos exteriores) y centroide [lng, lat] de un
+ * Polygon o MultiPolygon. Devuelve null si la geometría no es de zona.
+ */
+export function polygonMetrics(geometry) {
+  const polygons = geometryPolygons(geometry);
+  if (polygons.length === 0) return null;
+
+  const areaM2 = polygons.reduce((sum, p) => sum + polygonAreaM2(p), 0);
+  const perimeterM = polygons.reduce(
+    (sum, [outer]) => sum + pathLengthMeters(outer),
+    0
+  );
+  const centroid = polygonsCentroid(polygons);
+
+  return {
+    areaM2: round(areaM2, 2),
+    perimeterM: round(perimeterM, 2),
+    centroid: centroid ? centroid.map((v) => round(v, 7)) : null,
+  };
+}
+
+// Largo en metros de un LineString o MultiLineString; null si no es línea.
+export function lineLengthMeters(geometry) {
+  if (geometry?.type === "LineString") {
+    return round(pathLengthMeters(geometry.coordinates), 2);
+  }
+
+  if (geometry?.type === "MultiLineString") {
+    return round(
+      geometry.coordinates.reduce((sum, l) => sum + pathLengthMeters(l), 0),
+      2
+    );
+  }
+
+  return null;
+}
+
+export function areaInUnits(areaM2) {
+  if (typeof areaM2 !== "number") return { areaHa: null, areaManzanas: null };
+
+  return {
+    areaHa: round(areaM2 / M2_PER_HECTARE, 4),
+    areaManzanas: round(areaM2 / M2_PER_MANZANA, 4),
+  };
+}
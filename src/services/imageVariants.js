@@ -0,0 +1,83 @@
+// src/services/imageVariants.js
+
+import sharp from "sharp";
+
+// Tamaño máximo (lado mayor, en px) de cada versión WebP.
+export const IMAGE_VARIANTS = {
+  thumb: { maxSize: 320, quality: 70 },
+  medium: { maxSize: 1280, quality: 80 },
+};
+
+const ORIGINAL_QUALITY = 90;
+
+async function renderVariant(buffer, { maxSize, quality }) {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({
+      width: maxSize,
+      height: maxSize,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .webp({ quality })
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+// Reescribe el original sin metadatos (GPS incluido), respetando la
+// orientación EXIF para que la imagen no quede girada.
+async function stripOriginal(buffer, format) {
+  const pipeline = sharp(buffer).rotate();
+
+  if (format === "jpeg") pipeline.jpeg({ quality: ORIGINAL_QUALITY });
+  else if (format === "png") pipeline.png();
+  else if (format === "webp") pipeline.webp({ quality: ORIGINAL_QUALITY });
+
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+/**
+ * Prepara una foto subida: el original (sin EXIF salvo `keepLocation`) y las
+ * versiones WebP de IMAGE_VARIANTS, que nunca llevan metadatos.
+ * Lanza un error con `code = "INVALID_IMAGE"` si el archivo no es una imagen
+ * que sharp pueda leer.
+ */
+export async function processPhotoUpload(
+  buffer,
+  { keepLocation = false } = {}
+) {
+  try {
+    const metadata = await sharp(buffer).metadata();
+
+    // Con orientación 5-8 la imagen se muestra con ancho y alto invertidos.
+    const swapped = metadata.orientation >= 5;
+
+    const original = keepLocation
+      ? {
+          buffer,
+          width: swapped ? metadata.height : metadata.width,
+          height: swapped ? metadata.width : metadata.height,
+        }
+      : await stripOriginal(buffer, metadata.format);
+
+    const variants = {};
+
+    for (const [name, options] of Object.entries(IMAGE_VARIANTS)) {
+      variants[name] = await renderVariant(buffer, options);
+    }
+
+    return { original, variants };
+  } catch (err) {
+    const error = new Error("La imagen está dañada o no se puede leer.");
+    error.code = "INVALID_IMAGE";
+    error.cause = err;
+    throw error;
+  }
+}
+
+// "component-123-abc.jpg" -> "component-123-abc-thumb.webp"
+export function variantFilename(filename, variant) {
+  return `${String(filename).replace(/\.[^.]+$/, "")}-${variant}.webp`;
+}
@@ -0,0 +1,388 @@
+// src/services/mapExport.js
+//
+// Exporta el mapa de una finca como GeoJSON, KML (Google Earth) y GPX
+// (GPS de mano). Las zonas llevan sus componentes y cuántas tareas activas
+// tienen.
+
+import { areaInUnits } from "./geo.js";
+import { CLOSED_TASK_STATUSES } from "./taskStatus.js";
+import { summarizeZoneComponents } from "./zoneComponents.js";
+
+export const MAP_EXPORT_FORMATS = {
+  geojson: { extension: "geojson", contentType: "application/geo+json" },
+  kml: {
+    extension: "kml",
+    contentType: "application/vnd.google-earth.kml+xml",
+  },
+  gpx: { extension: "gpx", contentType: "application/gpx+xml" },
+};
+
+const DEFAULT_ZONE_COLOR = "#2e7d32";
+const DEFAULT_LINE_COLOR = "#1565c0";
+const DEFAULT_FILL_OPACITY = 0.35;
+
+function normText(s) {
+  return String(s || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim();
+}
+
+/* =========================
+   Features con propiedades
+========================= */
+
+// Tareas abiertas por zona: por zoneId o, en tareas viejas, por el
+// nombre de la zona.
+function activeTasksByZone(zones, tasks) {
+  const byName = new Map(zones.map((z) => [normText(z.name), z.id]));
+  const counts = new Map();
+
+  for (const task of tasks) {
+    if (!task || CLOSED_TASK_STATUSES.includes(task.status)) continue;
+
+    const zoneId = task.zoneId || byName.get(normText(task.zone)) || null;
+    if (zoneId) counts.set(zoneId, (counts.get(zoneId) || 0) + 1);
+  }
+
+  return counts;
+}
+
+function isFeature(data) {
+  return data?.type === "Feature" && !!data.geometry;
+}
+
+function exportComponent({ zoneId, createdAt, updatedAt, ...component }) {
+  return component;
+}
+
+/**
+ * Arma los Features a exportar a partir de las filas de mapRowForResponse.
+ * Las propiedades de dibujo originales (color, etc.) se conservan y se
+ * agregan id, kind, name y medidas; las zonas suman crops/animals/other,
+ * `components` (tipo, cantidad, variedad...) y activeTasks. Las filas cuya
+ * geometría no es válida se omiten.
+ */
+export function buildMapExportFeatures({ points, lines, zones, tasks }) {
+  const activeTasks = activeTasksByZone(zones, tasks);
+
+  const base = (kind, row) => ({
+    ...(row.data.properties || {}),
+    id: row.id,
+    kind,
+    name: row.name || null,
+    updatedAt: row.updatedAt,
+  });
+
+  const features = [];
+
+  for (const row of points) {
+    if (!isFeature(row.data)) continue;
+    features.push({ ...row.data, properties: base("point", row) });
+  }
+
+  for (const row of lines) {
+    if (!isFeature(row.data)) continue;
+    features.push({
+      ...row.data,
+      properties: {
+        ...base("line", row),
+        lengthM: row.metrics?.lengthM ?? null,
+      },
+    });
+  }
+
+  for (const row of zones) {
+    if (!isFeature(row.data)) continue;
+    const { crops, animals, other } = summarizeZoneComponents(row.components);
+
+    features.push({
+      ...row.data,
+      properties: {
+        ...base("zone", row),
+        areaM2: row.metrics?.areaM2 ?? null,
+        ...areaInUnits(row.metrics?.areaM2),
+        perimeterM: row.metrics?.perimeterM ?? null,
+        crops,
+        animals,
+        otherComponents: other,
+        components: (row.components || []).map(exportComponent),
+        activeTasks: activeTasks.get(row.id) || 0,
+      },
+    });
+  }
+
+  return features;
+}
+
+/* =========================
+   GeoJSON
+========================= */
+
+export function toGeoJson(farm, features) {
+  return JSON.stringify({
+    type: "FeatureCollection",
+    name: farm.name,
+    features,
+  });
+}
+
+/* =========================
+   KML
+========================= */
+
+function xml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function parseHexColor(value) {
+  if (typeof value !== "string") return null;
+  const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value.trim());
+  if (!m) return null;
+
+  const hex =
+    m[1].length === 3
+      ? m[1]
+          .split("")
+          .map((c) => c + c)
+          .join("")
+      : m[1];
+
+  return hex.toLowerCase();
+}
+
+// KML usa aabbggrr.
+function kmlColor(hexColor, opacity = 1) {
+  const hex = parseHexColor(hexColor);
+  const alpha = Math.round(Math.min(1, Math.max(0, opacity)) * 255)
+    .toString(16)
+    .padStart(2, "0");
+
+  return `${alpha}${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`;
+}
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Toma el estilo de Leaflet (color, fillColor...) o de simplestyle
+// (stroke, fill...), lo que haya guardado el editor.
+function featureStyle(kind, properties) {
+  const p = properties || {};
+  const fallback = kind === "zone" ? DEFAULT_ZONE_COLOR : DEFAULT_LINE_COLOR;
+  const stroke =
+    (parseHexColor(p.color) && p.color) ||
+    (parseHexColor(p.stroke) && p.stroke) ||
+    fallback;
+  const fill =
+    (parseHexColor(p.fillColor) && p.fillColor) ||
+    (parseHexColor(p.fill) && p.fill) ||
+    stroke;
+
+  return {
+    stroke,
+    fill,
+    width: numberOr(p.weight ?? p["stroke-width"], 2),
+    fillOpacity: numberOr(
+      p.fillOpacity ?? p["fill-opacity"],
+      DEFAULT_FILL_OPACITY
+    ),
+  };
+}
+
+function kmlStyle(kind, properties) {
+  if (kind === "point") return "";
+
+  const style = featureStyle(kind, properties);
+  const line = `<LineStyle><color>${kmlColor(style.stroke)}</color><width>${style.width}</width></LineStyle>`;
+  const poly =
+    kind === "zone"
+      ? `<PolyStyle><color>${kmlColor(style.fill, style.fillOpacity)}</color></PolyStyle>`
+      : "";
+
+  return `<Style>${line}${poly}</Style>`;
+}
+
+function kmlCoordinates(positions) {
+  return positions.map((p) => p.join(",")).join(" ");
+}
+
+function kmlPolygon(rings) {
+  const [outer, ...holes] = rings;
+  const inner = holes
+    .map(
+      (ring) =>
+        `<innerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(ring)}</coordinates></LinearRing></innerBoundaryIs>`
+    )
+    .join("");
+
+  return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>${inner}</Polygon>`;
+}
+
+function kmlGeometry({ type, coordinates }) {
+  const point = (c) =>
+    `<Point><coordinates>${c.join(",")}</coordinates></Point>`;
+  const line = (c) =>
+    `<LineString><coordinates>${kmlCoordinates(c)}</coordinates></LineString>`;
+  const multi = (parts) => `<MultiGeometry>${parts.join("")}</MultiGeometry>`;
+
+  if (type === "Point") return point(coordinates);
+  if (type === "MultiPoint") return multi(coordinates.map(point));
+  if (type === "LineString") return line(coordinates);
+  if (type === "MultiLineString") return multi(coordinates.map(line));
+  if (type === "Polygon") return kmlPolygon(coordinates);
+  if (type === "MultiPolygon") return multi(coordinates.map(kmlPolygon));
+  return "";
+}
+
+function kmlValue(value) {
+  if (Array.isArray(value) && value.every((v) => typeof v !== "object")) {
+    return value.join(", ");
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+function kmlExtendedData(properties) {
+  const data = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(
+      ([key, value]) =>
+        `<Data name="${xml(key)}"><value>${xml(kmlValue(value))}</value></Data>`
+    )
+    .join("");
+
+  return data ? `<ExtendedData>${data}</ExtendedData>` : "";
+}
+
+function kmlPlacemark(feature) {
+  const { kind, name } = feature.properties;
+
+  return [
+    "<Placemark>",
+    `<name>${xml(name || "")}</name>`,
+    kmlStyle(kind, feature.properties),
+    kmlExtendedData(feature.properties),
+    kmlGeometry(feature.geometry),
+    "</Placemark>",
+  ].join("");
+}
+
+const KML_FOLDERS = [
+  ["zone", "Zonas"],
+  ["line", "Líneas"],
+  ["point", "Puntos"],
+];
+
+export function toKml(farm, features) {
+  const folders = KML_FOLDERS.map(([kind, label]) => {
+    const placemarks = features
+      .filter((f) => f.properties.kind === kind)
+      .map(kmlPlacemark);
+
+    if (placemarks.length === 0) return "";
+    return `<Folder><name>${xml(label)}</name>${placemarks.join("\n")}</Folder>`;
+  }).filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "<Document>",
+    `<name>${xml(farm.name)}</name>`,
+    ...folders,
+    "</Document>",
+    "</kml>",
+  ].join("\n");
+}
+
+/* =========================
+   GPX
+========================= */
+
+// GPX no tiene polígonos: solo lleva puntos (wpt) y líneas (trk).
+function gpxDescription(properties) {
+  const parts = [];
+  if (typeof properties.description === "string") {
+    parts.push(properties.description);
+  }
+  if (typeof properties.lengthM === "number") {
+    parts.push(`Largo: ${properties.lengthM} m`);
+  }
+  return parts.join(" · ");
+}
+
+function gpxPosition(tag, [lng, lat, ele], inner = "") {
+  const elevation = typeof ele === "number" ? `<ele>${ele}</ele>` : "";
+  return `<${tag} lat="${lat}" lon="${lng}">${elevation}${inner}</${tag}>`;
+}
+
+function gpxWaypoints(feature) {
+  const { type, coordinates } = feature.geometry;
+  const positions = type === "MultiPoint" ? coordinates : [coordinates];
+  const desc = gpxDescription(feature.properties);
+  const inner = `<name>${xml(feature.properties.name || "")}</name>${
+    desc ? `<desc>${xml(desc)}</desc>` : ""
+  }`;
+
+  return positions.map((position) => gpxPosition("wpt", position, inner));
+}
+
+function gpxTrack(feature) {
+  const { type, coordinates } = feature.geometry;
+  const segments = type === "MultiLineString" ? coordinates : [coordinates];
+  const desc = gpxDescription(feature.properties);
+
+  return [
+    "<trk>",
+    `<name>${xml(feature.properties.name || "")}</name>`,
+    desc ? `<desc>${xml(desc)}</desc>` : "",
+    ...segments.map(
+      (segment) =>
+        `<trkseg>${segment.map((p) => gpxPosition("trkpt", p)).join("")}</trkseg>`
+    ),
+    "</trk>",
+  ].join("");
+}
+
+export function toGpx(farm, features) {
+  const waypoints = features
+    .filter((f) => f.properties.kind === "point")
+    .flatMap(gpxWaypoints);
+  const tracks = features
+    .filter((f) => f.properties.kind === "line")
+    .map(gpxTrack);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="AgroMind CR" xmlns="http://www.topografix.com/GPX/1/1">',
+    `<metadata><name>${xml(farm.name)}</name></metadata>`,
+    ...waypoints,
+    ...tracks,
+    "</gpx>",
+  ].join("\n");
+}
+
+export const MAP_EXPORT_WRITERS = {
+  geojson: toGeoJson,
+  kml: toKml,
+  gpx: toGpx,
+};
+
+// "Finca La Esperanza" -> "finca-la-esperanza"
+export function exportFilename(farmName, format) {
+  const slug =
+    normText(farmName)
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "finca";
+
+  return `${slug}-mapa.${MAP_EXPORT_FORMATS[format].extension}`;
+}
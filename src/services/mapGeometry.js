@@ -0,0 +1,815 @@
+// src/services/mapGeometry.js
+//
+// Normaliza y valida la geometría del mapa (MapPoint / MapLine / MapZone)
+// como Features GeoJSON (RFC 7946): coordenadas [lng, lat], anillos
+// cerrados, exterior antihorario y huecos en sentido horario.
+
+import {
+  areaInUnits,
+  geometryPolygons,
+  lineLengthMeters,
+  pointInPolygons,
+  polygonMetrics,
+} from "./geo.js";
+import {
+  ZONE_COMPONENT_ORDER,
+  ZONE_COMPONENT_SELECT,
+} from "./zoneComponents.js";
+
+export const MAP_FEATURE_KINDS = {
+  point: ["Point", "MultiPoint"],
+  line: ["LineString", "MultiLineString"],
+  zone: ["Polygon", "MultiPolygon"],
+};
+
+// "Polygon" -> "zone"; null si el tipo no corresponde a ningún feature.
+export function mapKindForGeometry(type) {
+  return (
+    Object.keys(MAP_FEATURE_KINDS).find((kind) =>
+      MAP_FEATURE_KINDS[kind].includes(type)
+    ) || null
+  );
+}
+
+// Formas sueltas que guardaba el frontend antes de GeoJSON. Las claves
+// "latlng*" traen pares [lat, lng] (orden Leaflet); las demás [lng, lat].
+const LATLNG_KEYS = ["latlngs", "latLngs", "latlng", "latLng"];
+const LNGLAT_KEYS = ["coordinates", "points", "positions", "path"];
+const GEOMETRY_KEYS = new Set([
+  ...LATLNG_KEYS,
+  ...LNGLAT_KEYS,
+  "lat",
+  "lng",
+  "lon",
+  "type",
+  "geometry",
+]);
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function isPositionLike(value) {
+  if (Array.isArray(value)) {
+    return (
+      value.length >= 2 &&
+      value.length <= 3 &&
+      value.every((n) => typeof n === "number")
+    );
+  }
+
+  return (
+    isPlainObject(value) &&
+    value.lat !== undefined &&
+    (value.lng !== undefined || value.lon !== undefined)
+  );
+}
+
+// Profundidad de anidamiento hasta llegar a una posición (0 = posición).
+function positionDepth(value) {
+  let depth = 0;
+  let current = value;
+
+  while (Array.isArray(current) && !isPositionLike(current)) {
+    if (current.length === 0) return -1;
+    current = current[0];
+    depth += 1;
+  }
+
+  return isPositionLike(current) ? depth : -1;
+}
+
+function samePosition(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+// Distancia máxima (en grados, ~220 km) entre una coordenada y la
+// referencia de la finca antes de considerarla fuera de lugar.
+const MAX_REFERENCE_DISTANCE_DEG = 2;
+
+// Grados que separan la posición de la caja de referencia (0 si cae dentro).
+function referenceDistance(reference, lng, lat) {
+  const dLng = Math.max(reference.minLng - lng, lng - reference.maxLng, 0);
+  const dLat = Math.max(reference.minLat - lat, lat - reference.maxLat, 0);
+  return Math.max(dLng, dLat);
+}
+
+function isFarFromReference(reference, lng, lat) {
+  return referenceDistance(reference, lng, lat) > MAX_REFERENCE_DISTANCE_DEG;
+}
+
+function createReader(order, reference = null) {
+  const report = { repairs: new Set(), errors: [] };
+
+  function readPosition(value, where) {
+    let lng;
+    let lat;
+    let alt;
+
+    if (Array.isArray(value)) {
+      [lng, lat, alt] =
+        order === "latlng" ? [value[1], value[0], value[2]] : value;
+    } else if (isPlainObject(value)) {
+      lat = Number(value.lat);
+      lng = Number(value.lng ?? value.lon);
+      alt = value.alt;
+    }
+
+    if (!isFiniteNumber(lng) || !isFiniteNumber(lat)) {
+      report.errors.push(`${where}: coordenada no numérica.`);
+      return null;
+    }
+
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      // Si al invertirlas quedan en rango, vinieron como [lat, lng].
+      if (Math.abs(lng) <= 90 && Math.abs(lat) <= 180) {
+        [lng, lat] = [lat, lng];
+        report.repairs.add(
+          "Se corrigieron coordenadas con lat/lng invertidos."
+        );
+      } else {
+        report.errors.push(`${where}: coordenada fuera de rango.`);
+        return null;
+      }
+    }
+
+    // En Costa Rica [lat, lng] invertidos siguen en rango ([9.9, -84.1]
+    // cae en la Antártida); solo se notan contra la ubicación de la finca.
+    if (reference && isFarFromReference(reference, lng, lat)) {
+      if (!isFarFromReference(reference, lat, lng)) {
+        [lng, lat] = [lat, lng];
+        report.repairs.add(
+          "Se corrigieron coordenadas con lat/lng invertidos."
+        );
+      } else {
+        report.errors.push(`${where}: coordenada lejos del resto de la finca.`);
+        return null;
+      }
+    }
+
+    return isFiniteNumber(alt) ? [lng, lat, alt] : [lng, lat];
+  }
+
+  function readPositions(list, where) {
+    if (!Array.isArray(list)) {
+      report.errors.push(`${where}: se esperaba una lista de coordenadas.`);
+      return null;
+    }
+
+    const out = [];
+
+    for (let i = 0; i < list.length; i += 1) {
+      const position = readPosition(list[i], `${where}[${i}]`);
+      if (!position) return null;
+
+      if (out.length > 0 && samePosition(out[out.length - 1], position)) {
+        report.repairs.add("Se quitaron vértices repetidos.");
+        continue;
+      }
+
+      out.push(position);
+    }
+
+    return out;
+  }
+
+  return { report, readPosition, readPositions };
+}
+
+/* =========================
+   Validación de anillos
+========================= */
+
+function ringSignedArea(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i += 1) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return sum / 2;
+}
+
+function orientation(a, b, c) {
+  const v = (b[1] - a[1]) * (c[0] - b[0]) - (b[0] - a[0]) * (c[1] - b[1]);
+  if (v === 0) return 0;
+  return v > 0 ? 1 : 2;
+}
+
+function onSegment(a, b, c) {
+  return (
+    Math.min(a[0], c[0]) <= b[0] &&
+    b[0] <= Math.max(a[0], c[0]) &&
+    Math.min(a[1], c[1]) <= b[1] &&
+    b[1] <= Math.max(a[1], c[1])
+  );
+}
+
+export function segmentsIntersect(p1, q1, p2, q2) {
+  const o1 = orientation(p1, q1, p2);
+  const o2 = orientation(p1, q1, q2);
+  const o3 = orientation(p2, q2, p1);
+  const o4 = orientation(p2, q2, q1);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+
+  return (
+    (o1 === 0 && onSegment(p1, p2, q1)) ||
+    (o2 === 0 && onSegment(p1, q2, q1)) ||
+    (o3 === 0 && onSegment(p2, p1, q2)) ||
+    (o4 === 0 && onSegment(p2, q1, q2))
+  );
+}
+
+function ringSelfIntersects(ring) {
+  const n = ring.length - 1; // segmentos
+
+  for (let i = 0; i < n; i += 1) {
+    for (let j = i + 1; j < n; j += 1) {
+      const adjacent = j === i + 1 || (i === 0 && j === n - 1);
+      if (adjacent) continue;
+
+      if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1])) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+function buildRing(reader, list, where, { hole }) {
+  const ring = reader.readPositions(list, where);
+  if (!ring) return null;
+
+  if (ring.length > 1 && !samePosition(ring[0], ring[ring.length - 1])) {
+    ring.push([...ring[0]]);
+    reader.report.repairs.add("Se cerraron anillos abiertos.");
+  }
+
+  if (ring.length < 4) {
+    reader.report.errors.push(
+      `${where}: el polígono necesita al menos 3 vértices distintos.`
+    );
+    return null;
+  }
+
+  if (ringSelfIntersects(ring)) {
+    reader.report.errors.push(`${where}: el polígono se cruza consigo mismo.`);
+    return null;
+  }
+
+  const area = ringSignedArea(ring);
+
+  if (area === 0) {
+    reader.report.errors.push(`${where}: el polígono no tiene área.`);
+    return null;
+  }
+
+  // Exterior antihorario (área > 0), huecos en sentido horario.
+  if ((area < 0 && !hole) || (area > 0 && hole)) ring.reverse();
+
+  return ring;
+}
+
+function buildPolygon(reader, rings, where) {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    reader.report.errors.push(`${where}: polígono vacío.`);
+    return null;
+  }
+
+  const out = [];
+
+  for (let i = 0; i < rings.length; i += 1) {
+    const ring = buildRing(reader, rings[i], `${where}[${i}]`, {
+      hole: i > 0,
+    });
+    if (!ring) return null;
+    out.push(ring);
+  }
+
+  return out;
+}
+
+function buildLine(reader, list, where) {
+  const line = reader.readPositions(list, where);
+  if (!line) return null;
+
+  if (line.length < 2) {
+    reader.report.errors.push(
+      `${where}: la línea necesita al menos 2 puntos distintos.`
+    );
+    return null;
+  }
+
+  return line;
+}
+
+function buildGeometry(reader, type, coordinates) {
+  switch (type) {
+    case "Point": {
+      const position = reader.readPosition(coordinates, "coordinates");
+      return position ? { type, coordinates: position } : null;
+    }
+    case "MultiPoint": {
+      const list = reader.readPositions(coordinates, "coordinates");
+      if (list && list.length === 0) {
+        reader.report.errors.push("coordinates: MultiPoint vacío.");
+        return null;
+      }
+      return list ? { type, coordinates: list } : null;
+    }
+    case "LineString": {
+      const line = buildLine(reader, coordinates, "coordinates");
+      return line ? { type, coordinates: line } : null;
+    }
+    case "MultiLineString": {
+      if (!Array.isArray(coordinates) || coordinates.length === 0) {
+        reader.report.errors.push("coordinates: MultiLineString vacío.");
+        return null;
+      }
+      const lines = coordinates.map((l, i) =>
+        buildLine(reader, l, `coordinates[${i}]`)
+      );
+      return lines.every(Boolean) ? { type, coordinates: lines } : null;
+    }
+    case "Polygon": {
+      const polygon = buildPolygon(reader, coordinates, "coordinates");
+      return polygon ? { type, coordinates: polygon } : null;
+    }
+    case "MultiPolygon": {
+      if (!Array.isArray(coordinates) || coordinates.length === 0) {
+        reader.report.errors.push("coordinates: MultiPolygon vacío.");
+        return null;
+      }
+      const polygons = coordinates.map((p, i) =>
+        buildPolygon(reader, p, `coordinates[${i}]`)
+      );
+      return polygons.every(Boolean) ? { type, coordinates: polygons } : null;
+    }
+    default:
+      reader.report.errors.push(`Tipo de geometría no soportado: ${type}.`);
+      return null;
+  }
+}
+
+// Tipo GeoJSON que corresponde a coordenadas sueltas según su anidamiento.
+function inferType(kind, depth) {
+  const byKind = {
+    point: { 0: "Point", 1: "MultiPoint" },
+    line: { 1: "LineString", 2: "MultiLineString" },
+    zone: { 1: "Polygon", 2: "Polygon", 3: "MultiPolygon" },
+  };
+  return byKind[kind]?.[depth] || null;
+}
+
+// Lee la entrada (Feature, geometría o forma suelta) y separa geometría
+// cruda, orden de los pares y propiedades.
+function splitInput(input) {
+  if (Array.isArray(input)) {
+    return { type: null, coordinates: input, order: "lnglat", properties: {} };
+  }
+
+  if (!isPlainObject(input)) return null;
+
+  if (input.type === "Feature") {
+    const geometry = isPlainObject(input.geometry) ? input.geometry : {};
+    return {
+      type: geometry.type || null,
+      coordinates: geometry.coordinates,
+      order: "lnglat",
+      properties: isPlainObject(input.properties)
+        ? { ...input.properties }
+        : {},
+    };
+  }
+
+  const properties = Object.fromEntries(
+    Object.entries(input).filter(([key]) => !GEOMETRY_KEYS.has(key))
+  );
+
+  if (isPlainObject(input.geometry)) {
+    return {
+      type: input.geometry.type || null,
+      coordinates: input.geometry.coordinates,
+      order: "lnglat",
+      properties,
+    };
+  }
+
+  if (typeof input.type === "string" && input.coordinates !== undefined) {
+    return {
+      type: input.type,
+      coordinates: input.coordinates,
+      order: "lnglat",
+      properties,
+    };
+  }
+
+  const latlngKey = LATLNG_KEYS.find((key) => input[key] !== undefined);
+  if (latlngKey) {
+    return {
+      type: null,
+      coordinates: input[latlngKey],
+      order: "latlng",
+      properties,
+    };
+  }
+
+  const lnglatKey = LNGLAT_KEYS.find((key) => input[key] !== undefined);
+  if (lnglatKey) {
+    return {
+      type: null,
+      coordinates: input[lnglatKey],
+      order: "lnglat",
+      properties,
+    };
+  }
+
+  if (input.lat !== undefined && (input.lng ?? input.lon) !== undefined) {
+    return {
+      type: null,
+      coordinates: { lat: input.lat, lng: input.lng ?? input.lon },
+      order: "lnglat",
+      properties,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Convierte lo que manda el cliente para un punto, línea o zona en un
+ * Feature GeoJSON válido, reparando lo simple (anillos sin cerrar, vértices
+ * repetidos, lat/lng invertidos, orientación). Con `reference` (ver
+ * loadMapReference) también se corrigen los pares invertidos que quedan en
+ * rango y se rechazan las coordenadas lejos de la finca.
+ * Devuelve { ok, feature, repairs, errors }.
+ */
+export function normalizeMapFeature(kind, input, { reference = null } = {}) {
+  const allowed = MAP_FEATURE_KINDS[kind];
+  const parts = splitInput(input);
+
+  if (!parts) {
+    return {
+      ok: false,
+      feature: null,
+      repairs: [],
+      errors: ["No se encontró geometría."],
+    };
+  }
+
+  const reader = createReader(parts.order, reference);
+  let type = parts.type;
+
+  if (!type) {
+    type = inferType(kind, positionDepth(parts.coordinates));
+    if (type) reader.report.repairs.add(`Se convirtió a GeoJSON ${type}.`);
+  }
+
+  let geometry = null;
+
+  if (!type) {
+    reader.report.errors.push("No se reconoce la forma de las coordenadas.");
+  } else if (!allowed.includes(type)) {
+    reader.report.errors.push(
+      `Tipo ${type} no permitido aquí. Usa: ${allowed.join(", ")}.`
+    );
+  } else {
+    // Un anillo suelto también se acepta como Polygon.
+    const coordinates =
+      type === "Polygon" && positionDepth(parts.coordinates) === 1
+        ? [parts.coordinates]
+        : parts.coordinates;
+    geometry = buildGeometry(reader, type, coordinates);
+  }
+
+  const errors = reader.report.errors;
+  const repairs = [...reader.report.repairs];
+
+  if (!geometry || errors.length > 0) {
+    return { ok: false, feature: null, repairs, errors };
+  }
+
+  return {
+    ok: true,
+    feature: { type: "Feature", geometry, properties: parts.properties },
+    repairs,
+    errors: [],
+  };
+}
+
+// Para lecturas: devuelve el Feature normalizado o null si no es válido.
+export function readMapFeature(kind, data) {
+  const out = normalizeMapFeature(kind, data);
+  return out.ok ? out.feature : null;
+}
+
+// true/false si la zona tiene polígono; null si no se puede saber.
+export function isPointInZone(position, zoneData) {
+  const polygons = geometryPolygons(readMapFeature("zone", zoneData)?.geometry);
+  if (polygons.length === 0) return null;
+
+  return pointInPolygons(position, polygons);
+}
+
+/* =========================
+   Ubicación de la finca
+========================= */
+
+function readCenter(center) {
+  // view.center viene de Leaflet: [lat, lng] o { lat, lng }.
+  const [lat, lng] = Array.isArray(center)
+    ? center
+    : [center?.lat, center?.lng ?? center?.lon];
+
+  if (!isFiniteNumber(lat) || !isFiniteNumber(lng)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+  return { minLng: lng, minLat: lat, maxLng: lng, maxLat: lat };
+}
+
+/**
+ * Caja { minLng, minLat, maxLng, maxLat } donde está la finca, para
+ * detectar coordenadas invertidas o fuera de lugar: los centroides de sus
+ * zonas o, si aún no tiene, el centro guardado del mapa. null si no hay
+ * ninguno.
+ */
+export async function loadMapReference(db, farmId) {
+  const zones = await db.mapZone.aggregate({
+    where: { farmId, centroidLng: { not: null }, centroidLat: { not: null } },
+    _min: { centroidLng: true, centroidLat: true },
+    _max: { centroidLng: true, centroidLat: true },
+  });
+
+  if (isFiniteNumber(zones._min.centroidLng)) {
+    return {
+      minLng: zones._min.centroidLng,
+      minLat: zones._min.centroidLat,
+      maxLng: zones._max.centroidLng,
+      maxLat: zones._max.centroidLat,
+    };
+  }
+
+  const farm = await db.farm.findUnique({
+    where: { id: farmId },
+    select: { preferredCenter: true },
+  });
+
+  return readCenter(farm?.preferredCenter);
+}
+
+/* =========================
+   Medidas guardadas
+========================= */
+
+export const ZONE_METRIC_SELECT = {
+  areaM2: true,
+  perimeterM: true,
+  centroidLng: true,
+  centroidLat: true,
+};
+
+export const LINE_METRIC_SELECT = {
+  lengthM: true,
+};
+
+// Columnas de medidas que se guardan junto al Feature de cada fila.
+export function mapMetricColumns(kind, feature) {
+  const geometry = feature?.geometry;
+
+  if (kind === "zone") {
+    const metrics = polygonMetrics(geometry);
+    return {
+      areaM2: metrics?.areaM2 ?? null,
+      perimeterM: metrics?.perimeterM ?? null,
+      centroidLng: metrics?.centroid?.[0] ?? null,
+      centroidLat: metrics?.centroid?.[1] ?? null,
+    };
+  }
+
+  if (kind === "line") {
+    return { lengthM: lineLengthMeters(geometry) };
+  }
+
+  return {};
+}
+
+// Medidas de una zona para las respuestas (área en m², ha y manzanas).
+export function zoneMetrics(row) {
+  if (typeof row?.areaM2 !== "number") return null;
+
+  return {
+    areaM2: row.areaM2,
+    ...areaInUnits(row.areaM2),
+    perimeterM: row.perimeterM,
+    centroid:
+      typeof row.centroidLng === "number" && typeof row.centroidLat === "number"
+        ? [row.centroidLng, row.centroidLat]
+        : null,
+  };
+}
+
+/* =========================
+   Filas para respuestas
+========================= */
+
+export const MAP_MODELS = {
+  point: "mapPoint",
+  line: "mapLine",
+  zone: "mapZone",
+};
+
+const MAP_ROW_BASE_SELECT = {
+  id: true,
+  name: true,
+  data: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+export const MAP_ROW_SELECT = {
+  point: MAP_ROW_BASE_SELECT,
+  line: { ...MAP_ROW_BASE_SELECT, ...LINE_METRIC_SELECT },
+  zone: {
+    ...MAP_ROW_BASE_SELECT,
+    components: {
+      select: ZONE_COMPONENT_SELECT,
+      orderBy: ZONE_COMPONENT_ORDER,
+    },
+    ...ZONE_METRIC_SELECT,
+  },
+};
+
+/**
+ * Fila del mapa como la devuelve la API: `data` como Feature (las filas sin
+ * migrar se convierten al vuelo; si no son válidas salen tal cual) y las
+ * medidas agrupadas en `metrics`.
+ */
+export function mapRowForResponse(kind, row) {
+  const { areaM2, perimeterM, centroidLng, centroidLat, lengthM, ...rest } =
+    row;
+  const out = { ...rest, data: readMapFeature(kind, row.data) ?? row.data };
+
+  if (kind === "zone") out.metrics = zoneMetrics(row);
+  if (kind === "line") {
+    out.metrics = typeof lengthM === "number" ? { lengthM } : null;
+  }
+
+  return out;
+}
+
+const MAP_COLLECTIONS = [
+  ["points", "point"],
+  ["lines", "line"],
+  ["zones", "zone"],
+];
+
+// Claves de la fila (no de la geometría) cuando el cliente manda el objeto
+// completo sin `data`.
+const ROW_KEYS = new Set(["id", "name", "data", "components"]);
+
+/**
+ * Valida { points, lines, zones } del PUT del mapa. Cada item sale con
+ * `data` ya convertido a Feature y `metrics` con las columnas de medidas.
+ * Devuelve { ok, points, lines, zones, errors, repairs }; errors/repairs van
+ * por feature con kind, index, id y name para que el cliente ubique cuál
+ * falló.
+ */
+export function validateMapPayload(payload, { reference = null } = {}) {
+  const result = {
+    ok: true,
+    points: [],
+    lines: [],
+    zones: [],
+    errors: [],
+    repairs: [],
+  };
+
+  for (const [key, kind] of MAP_COLLECTIONS) {
+    const items = Array.isArray(payload?.[key]) ? payload[key] : [];
+
+    items.forEach((item, index) => {
+      const input =
+        item?.data ??
+        (isPlainObject(item)
+          ? Object.fromEntries(
+              Object.entries(item).filter(([k]) => !ROW_KEYS.has(k))
+            )
+          : item);
+
+      const out = normalizeMapFeature(kind, input, { reference });
+      const ref = {
+        kind,
+        index,
+        id: item?.id ?? null,
+        name: item?.name ?? null,
+      };
+
+      if (!out.ok) {
+        result.ok = false;
+        result.errors.push({ ...ref, errors: out.errors });
+        return;
+      }
+
+      if (out.repairs.length > 0) {
+        result.repairs.push({ ...ref, repairs: out.repairs });
+      }
+
+      result[key].push({
+        ...item,
+        data: out.feature,
+        metrics: mapMetricColumns(kind, out.feature),
+      });
+    });
+  }
+
+  return result;
+}
+
+const BACKFILL_MODELS = [
+  ["mapPoint", "point"],
+  ["mapLine", "line"],
+  ["mapZone", "zone"],
+];
+
+const BACKFILL_SELECT = {
+  mapPoint: {},
+  mapLine: LINE_METRIC_SELECT,
+  mapZone: ZONE_METRIC_SELECT,
+};
+
+/**
+ * Convierte a Feature GeoJSON el `data` guardado de puntos, líneas y zonas
+ * y recalcula sus medidas. Las filas que no se pueden reparar se dejan
+ * igual y se listan en `invalid` para corregirlas a mano.
+ */
+export async function backfillMapGeometry(
+  prisma,
+  { dryRun = false, farmId = null, log = console.log } = {}
+) {
+  const summary = [];
+  // Una referencia por finca, como en los guardados del editor.
+  const references = new Map();
+  const referenceFor = async (id) => {
+    if (!references.has(id)) {
+      references.set(id, await loadMapReference(prisma, id));
+    }
+    return references.get(id);
+  };
+
+  for (const [model, kind] of BACKFILL_MODELS) {
+    const rows = await prisma[model].findMany({
+      where: farmId ? { farmId } : {},
+      select: {
+        id: true,
+        farmId: true,
+        name: true,
+        data: true,
+        ...BACKFILL_SELECT[model],
+      },
+      orderBy: { createdAt: "asc" },
+    });
+
+    const stats = { model, total: rows.length, updated: 0, invalid: [] };
+
+    for (const row of rows) {
+      const out = normalizeMapFeature(kind, row.data, {
+        reference: await referenceFor(row.farmId),
+      });
+
+      if (!out.ok) {
+        stats.invalid.push({
+          id: row.id,
+          farmId: row.farmId,
+          name: row.name,
+          errors: out.errors,
+        });
+        log(`  ${model} ${row.id}: ${out.errors.join(" ")}`);
+        continue;
+      }
+
+      const metrics = mapMetricColumns(kind, out.feature);
+      const unchanged =
+        JSON.stringify(out.feature) === JSON.stringify(row.data) &&
+        Object.entries(metrics).every(([key, value]) => row[key] === value);
+
+      if (unchanged) continue;
+
+      stats.updated += 1;
+
+      if (!dryRun) {
+        await prisma[model].update({
+          where: { id: row.id },
+          data: { data: out.feature, ...metrics },
+        });
+      }
+    }
+
+    summary.push(stats);
+  }
+
+  return summary;
+}
@@ -0,0 +1,398 @@
+// src/services/mapImport.js
+//
+// Lee archivos de otros programas (KML/KMZ de Google Earth, GeoJSON y
+// Shapefile en .zip) y los convierte en features del mapa para previsualizar
+// e importar.
+
+import path from "path";
+import { kml } from "@tmcw/togeojson";
+import { DOMParser } from "@xmldom/xmldom";
+import JSZip from "jszip";
+import shp from "shpjs";
+
+import {
+  MAP_FEATURE_KINDS,
+  mapKindForGeometry,
+  mapMetricColumns,
+  normalizeMapFeature,
+} from "./mapGeometry.js";
+import { lineLengthMeters, polygonMetrics } from "./geo.js";
+
+export const MAP_IMPORT_FORMATS = ["kml", "kmz", "geojson", "shapefile"];
+export const MAX_IMPORT_FEATURES = 2000;
+
+const DEFAULT_NAMES = {
+  point: "Punto importado",
+  line: "Línea importada",
+  zone: "Zona importada",
+};
+
+// Atributos que suelen traer el nombre en KML y en shapefiles catastrales.
+const NAME_KEYS = [
+  "name",
+  "Name",
+  "NAME",
+  "nombre",
+  "Nombre",
+  "NOMBRE",
+  "title",
+  "label",
+];
+
+function importError(message) {
+  const error = new Error(message);
+  error.code = "INVALID_IMPORT";
+  return error;
+}
+
+function nameKey(value) {
+  return String(value || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/* =========================
+   Lectura por formato
+========================= */
+
+function parseKml(text) {
+  const errors = [];
+  let doc = null;
+
+  // xmldom lanza en errores fatales y avisa el resto por onError.
+  try {
+    doc = new DOMParser({
+      onError: (level, message) => {
+        if (level !== "warning") errors.push(message);
+      },
+    }).parseFromString(text, "text/xml");
+  } catch {
+    doc = null;
+  }
+
+  if (errors.length > 0 || !doc?.documentElement) {
+    throw importError("El KML no es un XML válido.");
+  }
+
+  return kml(doc).features;
+}
+
+async function readZip(buffer) {
+  try {
+    return await JSZip.loadAsync(buffer);
+  } catch {
+    throw importError("El archivo .zip/.kmz está dañado.");
+  }
+}
+
+function zipEntries(zip, extension) {
+  return Object.values(zip.files).filter(
+    (entry) =>
+      !entry.dir &&
+      !entry.name.includes("__MACOSX") &&
+      entry.name.toLowerCase().endsWith(extension)
+  );
+}
+
+async function parseKmz(zip) {
+  // Google Earth guarda el documento principal como doc.kml.
+  const entries = zipEntries(zip, ".kml");
+  const main =
+    entries.find((e) => path.basename(e.name).toLowerCase() === "doc.kml") ||
+    entries[0];
+
+  if (!main) throw importError("El KMZ no trae ningún archivo .kml.");
+
+  return parseKml(await main.async("string"));
+}
+
+async function parseShapefileZip(buffer) {
+  let result;
+  try {
+    result = await shp(buffer);
+  } catch {
+    throw importError("No se pudo leer el shapefile del .zip.");
+  }
+
+  // Un .zip con varias capas devuelve una colección por capa.
+  const layers = Array.isArray(result) ? result : [result];
+  return layers.flatMap((layer) =>
+    (layer?.features || []).map((feature) => ({
+      ...feature,
+      properties: {
+        ...(feature.properties || {}),
+        ...(layers.length > 1 && layer.fileName
+          ? { layer: layer.fileName }
+          : {}),
+      },
+    }))
+  );
+}
+
+function parseGeoJson(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw importError("El GeoJSON no es un JSON válido.");
+  }
+
+  if (json?.type === "FeatureCollection") return json.features || [];
+  if (json?.type === "Feature") return [json];
+  if (typeof json?.type === "string" && json.coordinates !== undefined) {
+    return [{ type: "Feature", geometry: json, properties: {} }];
+  }
+  if (json?.type === "GeometryCollection") {
+    return [{ type: "Feature", geometry: json, properties: {} }];
+  }
+
+  throw importError("El JSON no es un Feature ni FeatureCollection GeoJSON.");
+}
+
+/**
+ * Detecta el formato por extensión y contenido y devuelve
+ * { format, features } con Features GeoJSON crudos (sin normalizar).
+ * Lanza `code = "INVALID_IMPORT"` si el archivo no se puede leer.
+ */
+export async function parseMapImportFile({ buffer, originalname }) {
+  const ext = path.extname(originalname || "").toLowerCase();
+  const head = buffer.subarray(0, 4).toString("latin1");
+  const isZip = head === "PK\u0003\u0004";
+
+  if (isZip) {
+    const zip = await readZip(buffer);
+
+    if (zipEntries(zip, ".shp").length > 0) {
+      return {
+        format: "shapefile",
+        features: await parseShapefileZip(buffer),
+      };
+    }
+
+    if (zipEntries(zip, ".kml").length > 0) {
+      return { format: "kmz", features: await parseKmz(zip) };
+    }
+
+    throw importError(
+      "El .zip no trae un shapefile (.shp) ni un KML. Revisa el archivo."
+    );
+  }
+
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const trimmed = text.trimStart();
+
+  if (ext === ".kml" || trimmed.startsWith("<")) {
+    return { format: "kml", features: parseKml(text) };
+  }
+
+  if ([".geojson", ".json"].includes(ext) || trimmed.startsWith("{")) {
+    return { format: "geojson", features: parseGeoJson(text) };
+  }
+
+  throw importError("Formato no soportado. Usa KML, KMZ, GeoJSON o .zip.");
+}
+
+/* =========================
+   Vista previa
+========================= */
+
+// Las GeometryCollection se separan en un feature por geometría.
+function flattenFeatures(features) {
+  return features.flatMap((feature) => {
+    const geometry = feature?.geometry;
+    if (geometry?.type !== "GeometryCollection") return [feature];
+
+    return (geometry.geometries || []).map((part, i) => ({
+      ...feature,
+      geometry: part,
+      properties: { ...(feature.properties || {}), part: i + 1 },
+    }));
+  });
+}
+
+function featureName(properties) {
+  for (const key of NAME_KEYS) {
+    const value = properties?.[key];
+    if (typeof value === "string" && value.trim()) {
+      return value.trim().slice(0, 80);
+    }
+    if (typeof value === "number") return String(value);
+  }
+  return null;
+}
+
+function previewMetrics(kind, feature) {
+  if (kind === "zone") {
+    const metrics = polygonMetrics(feature.geometry);
+    return metrics ? { areaM2: metrics.areaM2 } : null;
+  }
+  if (kind === "line") return { lengthM: lineLengthMeters(feature.geometry) };
+  return null;
+}
+
+/**
+ * Convierte los features leídos en la vista previa de importación. Cada
+ * feature válido trae `key` (su posición en el archivo), kind, name, `data`
+ * normalizado y, si ya hay un feature del mismo tipo con el mismo nombre en
+ * la finca, `match` y `suggestedAction: "update"` para reemplazar su
+ * geometría sin cambiar el id. `existing` es { point: [{id, name}], ... }.
+ * `options.reference` se pasa a normalizeMapFeature.
+ */
+export function buildMapImportPreview(rawFeatures, existing, options = {}) {
+  const features = flattenFeatures(rawFeatures);
+
+  if (features.length > MAX_IMPORT_FEATURES) {
+    throw importError(
+      `El archivo trae ${features.length} elementos; el máximo es ${MAX_IMPORT_FEATURES}.`
+    );
+  }
+
+  const byName = {};
+  for (const [kind, rows] of Object.entries(existing)) {
+    byName[kind] = new Map();
+    for (const row of rows) {
+      const key = nameKey(row.name);
+      if (key && !byName[kind].has(key)) byName[kind].set(key, row);
+    }
+  }
+
+  const matched = new Set();
+  const preview = [];
+  const invalid = [];
+  const counts = { point: 0, line: 0, zone: 0 };
+
+  features.forEach((raw, key) => {
+    const kind = mapKindForGeometry(raw?.geometry?.type);
+    const name = featureName(raw?.properties);
+
+    if (!kind) {
+      invalid.push({
+        key,
+        name,
+        errors: [
+          raw?.geometry
+            ? `Geometría ${raw.geometry.type} no soportada.`
+            : "El elemento no tiene geometría.",
+        ],
+      });
+      return;
+    }
+
+    const out = normalizeMapFeature(kind, raw, options);
+    if (!out.ok) {
+      invalid.push({ key, kind, name, errors: out.errors });
+      return;
+    }
+
+    const match = byName[kind]?.get(nameKey(name)) || null;
+    const canUpdate = match && !matched.has(match.id);
+    if (canUpdate) matched.add(match.id);
+
+    counts[kind] += 1;
+    preview.push({
+      key,
+      kind,
+      name: name || `${DEFAULT_NAMES[kind]} ${counts[kind]}`,
+      geometryType: out.feature.geometry.type,
+      data: out.feature,
+      metrics: previewMetrics(kind, out.feature),
+      match: canUpdate ? { id: match.id, name: match.name } : null,
+      suggestedAction: canUpdate ? "update" : "create",
+      repairs: out.repairs,
+    });
+  });
+
+  return { features: preview, invalid, counts };
+}
+
+/* =========================
+   Importación
+========================= */
+
+export const MAP_IMPORT_ACTIONS = ["create", "update"];
+
+/**
+ * Valida los features elegidos en la vista previa:
+ * [{ kind, name, data, action: "create" | "update", targetId? }].
+ * `existingIds` es { point: Set, line: Set, zone: Set } con los ids de la
+ * finca; update solo se permite sobre uno de ellos y una vez por import.
+ * Devuelve { ok, items, errors } con items listos para upsertMapFeature.
+ */
+export function parseMapImportSelection(body, existingIds, options = {}) {
+  const list = body?.features;
+  const result = { ok: true, items: [], errors: [] };
+
+  if (!Array.isArray(list) || list.length === 0) {
+    result.ok = false;
+    result.errors.push({
+      index: null,
+      errors: ["features debe ser una lista con lo que se va a importar."],
+    });
+    return result;
+  }
+
+  if (list.length > MAX_IMPORT_FEATURES) {
+    result.ok = false;
+    result.errors.push({
+      index: null,
+      errors: [`Máximo ${MAX_IMPORT_FEATURES} elementos por importación.`],
+    });
+    return result;
+  }
+
+  const targets = new Set();
+
+  list.forEach((item, index) => {
+    const errors = [];
+    const kind = Object.hasOwn(MAP_FEATURE_KINDS, item?.kind)
+      ? item.kind
+      : null;
+    const action = item?.action ?? "create";
+    const targetId = typeof item?.targetId === "string" ? item.targetId : null;
+
+    if (!kind) errors.push("kind debe ser point, line o zone.");
+    if (!MAP_IMPORT_ACTIONS.includes(action)) {
+      errors.push(`action debe ser ${MAP_IMPORT_ACTIONS.join(" o ")}.`);
+    }
+
+    if (kind && action === "update") {
+      if (!targetId || !existingIds[kind]?.has(targetId)) {
+        errors.push("targetId no es un elemento de esta finca.");
+      } else if (targets.has(targetId)) {
+        errors.push("Dos elementos intentan reemplazar el mismo targetId.");
+      }
+      targets.add(targetId);
+    }
+
+    let out = null;
+    if (kind) {
+      out = normalizeMapFeature(kind, item?.data, options);
+      if (!out.ok) errors.push(...out.errors);
+    }
+
+    if (errors.length > 0) {
+      result.ok = false;
+      result.errors.push({ index, name: item?.name ?? null, errors });
+      return;
+    }
+
+    const name =
+      typeof item.name === "string" && item.name.trim()
+        ? item.name.trim().slice(0, 80)
+        : DEFAULT_NAMES[kind];
+
+    result.items.push({
+      kind,
+      action,
+      id: action === "update" ? targetId : null,
+      name,
+      data: out.feature,
+      metrics: mapMetricColumns(kind, out.feature),
+    });
+  });
+
+  return result;
+}
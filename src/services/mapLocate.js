@@ -0,0 +1,77 @@
+// src/services/mapLocate.js
+//
+// Búsquedas por ubicación sobre el mapa de una finca: en qué zona cae una
+// coordenada y qué puntos y líneas quedan cerca. Lo usan /map/locate y las
+// rutas que asignan la zona a partir del GPS del teléfono.
+
+import { zoneMetrics } from "./mapGeometry.js";
+import { findFeaturesNear, findZonesAt } from "./mapSpatial.js";
+
+export const DEFAULT_LOCATE_RADIUS_M = 100;
+export const MAX_LOCATE_RADIUS_M = 5000;
+export const DEFAULT_LOCATE_LIMIT = 10;
+
+/**
+ * Lee lat/lng (números o strings) y devuelve la posición [lng, lat], o null
+ * si falta alguno o está fuera de rango.
+ */
+export function parseLocation(lat, lng) {
+  if (lat === undefined || lat === null || lat === "") return null;
+  if (lng === undefined || lng === null || lng === "") return null;
+
+  const la = Number(lat);
+  const ln = Number(lng);
+
+  if (!Number.isFinite(la) || !Number.isFinite(ln)) return null;
+  if (Math.abs(la) > 90 || Math.abs(ln) > 180) return null;
+
+  return [ln, la];
+}
+
+function roundDistance(row) {
+  return { ...row, distanceM: Math.round(row.distanceM * 10) / 10 };
+}
+
+/**
+ * Zonas que contienen `position` ([lng, lat]), de la más pequeña a la más
+ * grande, y los puntos y líneas a menos de `radiusM` metros, del más
+ * cercano al más lejano.
+ */
+export async function locateInFarm(
+  prisma,
+  farmId,
+  position,
+  { radiusM = DEFAULT_LOCATE_RADIUS_M, limit = DEFAULT_LOCATE_LIMIT } = {}
+) {
+  const radius = Math.min(Math.max(0, radiusM), MAX_LOCATE_RADIUS_M);
+  const options = { radiusM: radius, limit };
+
+  const [zones, points, lines] = await Promise.all([
+    findZonesAt(prisma, farmId, position),
+    findFeaturesNear(prisma, farmId, "point", position, options),
+    findFeaturesNear(prisma, farmId, "line", position, options),
+  ]);
+
+  return {
+    position,
+    radiusM: radius,
+    zones: zones.map((zone) => ({
+      id: zone.id,
+      name: zone.name,
+      metrics: zoneMetrics(zone),
+    })),
+    points: points.map(roundDistance),
+    lines: lines.map(roundDistance),
+  };
+}
+
+/**
+ * La zona más específica que contiene `position`, como { id, name }, o
+ * null. Para asignar zona automáticamente cuando el cliente manda GPS.
+ */
+export async function findZoneAt(prisma, farmId, position) {
+  if (!position) return null;
+
+  const [zone] = await findZonesAt(prisma, farmId, position);
+  return zone ? { id: zone.id, name: zone.name } : null;
+}
@@ -0,0 +1,347 @@
+// src/services/mapPatch.js
+//
+// Cambios incrementales del mapa: una lista de operaciones create / update /
+// delete por feature, con concurrencia optimista sobre `updatedAt`.
+
+import {
+  MAP_MODELS,
+  MAP_ROW_SELECT,
+  mapMetricColumns,
+  mapRowForResponse,
+  normalizeMapFeature,
+} from "./mapGeometry.js";
+import { cleanName, isNonEmptyString } from "../routes/farms.base.js";
+import {
+  readZoneComponentList,
+  replaceZoneComponents,
+} from "./zoneComponents.js";
+
+export const MAP_PATCH_OPS = ["create", "update", "delete"];
+export const MAX_MAP_PATCH_OPS = 500;
+
+const DEFAULT_NAMES = {
+  point: "Punto",
+  line: "Línea",
+  zone: "Zona",
+};
+
+// También se aceptan los nombres de colección del PUT ("zones", ...).
+const KIND_ALIASES = {
+  point: "point",
+  points: "point",
+  line: "line",
+  lines: "line",
+  zone: "zone",
+  zones: "zone",
+};
+
+function cleanId(v) {
+  if (!isNonEmptyString(v)) return null;
+  const s = v.trim();
+  return s.length >= 8 && s.length <= 64 ? s : null;
+}
+
+function parseVersion(v) {
+  if (!isNonEmptyString(v) && !(v instanceof Date)) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function parseOperation(raw, options) {
+  const errors = [];
+  const op = typeof raw?.op === "string" ? raw.op.trim() : "";
+  const kind = KIND_ALIASES[raw?.kind] || null;
+
+  if (!MAP_PATCH_OPS.includes(op)) {
+    errors.push(`op debe ser ${MAP_PATCH_OPS.join(", ")}.`);
+  }
+  if (!kind) errors.push("kind debe ser point, line o zone.");
+
+  const id = cleanId(raw?.id);
+  if (raw?.id !== undefined && raw?.id !== null && !id) {
+    errors.push("id inválido (8 a 64 caracteres).");
+  }
+  if ((op === "update" || op === "delete") && !id) {
+    errors.push("id es requerido.");
+  }
+
+  const expectedUpdatedAt = parseVersion(raw?.updatedAt);
+  if ((op === "update" || op === "delete") && !expectedUpdatedAt) {
+    errors.push("updatedAt es requerido: usa el valor que cargó el mapa.");
+  }
+
+  const parsed = {
+    op,
+    kind,
+    id,
+    expectedUpdatedAt,
+    fields: {},
+    components: undefined,
+    repairs: [],
+  };
+
+  if (errors.length > 0 || op === "delete") return { parsed, errors };
+
+  if (op === "create" || raw.data !== undefined) {
+    const out = normalizeMapFeature(kind, raw.data, options);
+
+    if (!out.ok) {
+      errors.push(...out.errors);
+    } else {
+      parsed.fields.data = out.feature;
+      Object.assign(parsed.fields, mapMetricColumns(kind, out.feature));
+      parsed.repairs = out.repairs;
+    }
+  }
+
+  if (op === "create" || raw.name !== undefined) {
+    parsed.fields.name = cleanName(raw.name, DEFAULT_NAMES[kind]);
+  }
+
+  if (raw.components !== undefined) {
+    if (kind !== "zone") {
+      errors.push("components solo aplica a zonas.");
+    } else {
+      const list = readZoneComponentList(raw.components);
+      if (!list.ok) {
+        errors.push(
+          ...list.errors.map((e) => `components: ${e.errors.join(" ")}`)
+        );
+      } else {
+        parsed.components = list.items;
+      }
+    }
+  }
+
+  if (
+    op === "update" &&
+    Object.keys(parsed.fields).length === 0 &&
+    parsed.components === undefined
+  ) {
+    errors.push("update sin cambios: manda name, data o components.");
+  }
+
+  return { parsed, errors };
+}
+
+/**
+ * Valida `{ ops: [...] }`. Cada op es
+ * `{ op, kind, id?, updatedAt?, name?, data?, components? }`; update y
+ * delete exigen el `updatedAt` con el que el cliente cargó el feature.
+ * `options.reference` se pasa a normalizeMapFeature.
+ * Devuelve { ok, ops, errors, repairs } con errors/repairs por índice.
+ */
+export function parseMapPatch(body, options = {}) {
+  const rawOps = body?.ops;
+  const result = { ok: true, ops: [], errors: [], repairs: [] };
+
+  if (!Array.isArray(rawOps) || rawOps.length === 0) {
+    result.ok = false;
+    result.errors.push({ index: null, errors: ["ops debe ser una lista."] });
+    return result;
+  }
+
+  if (rawOps.length > MAX_MAP_PATCH_OPS) {
+    result.ok = false;
+    result.errors.push({
+      index: null,
+      errors: [`Máximo ${MAX_MAP_PATCH_OPS} operaciones por cambio.`],
+    });
+    return result;
+  }
+
+  const seen = new Set();
+
+  rawOps.forEach((raw, index) => {
+    const { parsed, errors } = parseOperation(raw, options);
+    const ref = { index, op: parsed.op, kind: parsed.kind, id: parsed.id };
+
+    if (parsed.id && parsed.kind) {
+      const key = `${parsed.kind}:${parsed.id}`;
+      if (seen.has(key)) errors.push("El mismo feature aparece dos veces.");
+      seen.add(key);
+    }
+
+    if (errors.length > 0) {
+      result.ok = false;
+      result.errors.push({ ...ref, errors });
+      return;
+    }
+
+    if (parsed.repairs.length > 0) {
+      result.repairs.push({ ...ref, repairs: parsed.repairs });
+    }
+
+    result.ops.push(parsed);
+  });
+
+  return result;
+}
+
+/**
+ * Upsert del guardado del mapa (PUT e importación): actualiza por
+ * id + farmId y, si no existe, lo crea con ese id; sin id siempre crea.
+ * `components` (lista de readZoneComponentList) solo se escribe cuando
+ * viene definido. Devuelve { id, created, components? }.
+ */
+export async function upsertMapFeature(
+  tx,
+  farmId,
+  kind,
+  { id = null, name, data, metrics = {}, components }
+) {
+  const model = tx[MAP_MODELS[kind]];
+  const fields = { name, data, ...metrics };
+  let out = null;
+
+  if (id) {
+    const up = await model.updateMany({ where: { id, farmId }, data: fields });
+    if (up.count > 0) out = { id, created: false };
+  }
+
+  if (!out) {
+    const row = await model.create({
+      data: { ...(id ? { id } : {}), farmId, ...fields },
+      select: { id: true },
+    });
+    out = { id: row.id, created: true };
+  }
+
+  if (kind === "zone" && components !== undefined) {
+    out.components = await replaceZoneComponents(
+      tx,
+      { farmId, zoneId: out.id },
+      components
+    );
+  }
+
+  return out;
+}
+
+function conflictError(conflicts) {
+  const error = new Error("El mapa cambió desde que se cargó.");
+  error.code = "MAP_CONFLICT";
+  error.conflicts = conflicts;
+  return error;
+}
+
+// Componentes de una zona del patch; los que no se borraron por tener fotos
+// o notas de bitácora van en `keptComponents`.
+async function writeComponents(tx, farmId, zoneId, components) {
+  if (components === undefined) return {};
+
+  const { kept } = await replaceZoneComponents(
+    tx,
+    { farmId, zoneId },
+    components
+  );
+  return kept.length > 0 ? { keptComponents: kept } : {};
+}
+
+/**
+ * Aplica las ops ya validadas dentro de la transacción `tx`. Todas o
+ * ninguna: si algún feature cambió, se borró o ya existe, lanza un error
+ * `code = "MAP_CONFLICT"` con `conflicts` para que la transacción se
+ * revierta. Devuelve los features creados/actualizados y los ids borrados.
+ */
+export async function applyMapPatch(tx, farmId, ops) {
+  const results = [];
+  const conflicts = [];
+
+  for (const { op, kind, id, expectedUpdatedAt, fields, components } of ops) {
+    const model = tx[MAP_MODELS[kind]];
+    const ref = { op, kind, id };
+
+    if (op === "create") {
+      if (id) {
+        const existing = await model.findUnique({
+          where: { id },
+          select: { id: true },
+        });
+        if (existing) {
+          conflicts.push({ ...ref, reason: "exists" });
+          continue;
+        }
+      }
+
+      const created = await model.create({
+        data: { ...(id ? { id } : {}), farmId, ...fields },
+        select: { id: true },
+      });
+      const kept = await writeComponents(tx, farmId, created.id, components);
+
+      const row = await model.findUnique({
+        where: { id: created.id },
+        select: MAP_ROW_SELECT[kind],
+      });
+      results.push({
+        ...ref,
+        id: row.id,
+        feature: mapRowForResponse(kind, row),
+        ...kept,
+      });
+      continue;
+    }
+
+    const where = { id, farmId, updatedAt: expectedUpdatedAt };
+
+    if (op === "update") {
+      // Cambiar solo los componentes también mueve updatedAt de la zona.
+      const data =
+        components !== undefined
+          ? { ...fields, updatedAt: new Date() }
+          : fields;
+
+      const up = await model.updateMany({ where, data });
+      if (up.count === 0) {
+        conflicts.push(ref);
+        continue;
+      }
+      const kept = await writeComponents(tx, farmId, id, components);
+
+      const row = await model.findUnique({
+        where: { id },
+        select: MAP_ROW_SELECT[kind],
+      });
+      results.push({ ...ref, feature: mapRowForResponse(kind, row), ...kept });
+      continue;
+    }
+
+    const del = await model.deleteMany({ where });
+    if (del.count === 0) {
+      conflicts.push(ref);
+      continue;
+    }
+    results.push(ref);
+  }
+
+  if (conflicts.length > 0) throw conflictError(conflicts);
+
+  return results;
+}
+
+/**
+ * Completa los conflictos con el estado actual de cada feature (fuera de la
+ * transacción revertida): "modified" trae la versión vigente, "deleted"
+ * significa que ya no existe en la finca.
+ */
+export async function describeMapConflicts(prisma, farmId, conflicts) {
+  return Promise.all(
+    conflicts.map(async (conflict) => {
+      if (conflict.reason === "exists") return { ...conflict, current: null };
+
+      const row = await prisma[MAP_MODELS[conflict.kind]].findFirst({
+        where: { id: conflict.id, farmId },
+        select: MAP_ROW_SELECT[conflict.kind],
+      });
+
+      return row
+        ? {
+            ...conflict,
+            reason: "modified",
+            current: mapRowForResponse(conflict.kind, row),
+          }
+        : { ...conflict, reason: "deleted", current: null };
+    })
+  );
+}
@@ -0,0 +1,300 @@
+// src/services/mapSpatial.js
+//
+// Consultas espaciales en la base sobre la columna PostGIS "geom" de
+// puntos, líneas y zonas (ver migración add_map_postgis_geometry). Las
+// filas sin "geom" (datos viejos sin migrar) no aparecen en estos filtros.
+
+import pkg from "@prisma/client";
+
+import { mapKindForGeometry, normalizeMapFeature } from "./mapGeometry.js";
+
+const { Prisma } = pkg;
+
+const MAP_TABLES = {
+  point: Prisma.raw(`"MapPoint"`),
+  line: Prisma.raw(`"MapLine"`),
+  zone: Prisma.raw(`"MapZone"`),
+};
+
+/* =========================
+   Entrada
+========================= */
+
+/**
+ * "minLng,minLat,maxLng,maxLat" (o un arreglo) -> [minLng, minLat, maxLng,
+ * maxLat], o null si no es una caja válida en grados.
+ */
+export function parseBBox(value) {
+  const parts = Array.isArray(value) ? value : String(value ?? "").split(",");
+  if (parts.length !== 4) return null;
+
+  const bbox = parts.map((part) =>
+    typeof part === "string" && !part.trim() ? NaN : Number(part)
+  );
+  if (!bbox.every(Number.isFinite)) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  if (minLng > maxLng || minLat > maxLat) return null;
+  if (Math.abs(minLat) > 90 || Math.abs(maxLat) > 90) return null;
+  if (Math.abs(minLng) > 180 || Math.abs(maxLng) > 180) return null;
+
+  return bbox;
+}
+
+/**
+ * Geometría GeoJSON (o Feature) para filtrar por intersección, validada con
+ * las mismas reglas que los features del mapa. Devuelve { ok, geometry,
+ * errors }.
+ */
+export function readSpatialGeometry(input) {
+  const type = input?.type === "Feature" ? input.geometry?.type : input?.type;
+  const kind = mapKindForGeometry(type);
+
+  if (!kind) {
+    return {
+      ok: false,
+      geometry: null,
+      errors: ["geometry debe ser un Point, LineString o Polygon GeoJSON."],
+    };
+  }
+
+  const out = normalizeMapFeature(kind, input);
+  return {
+    ok: out.ok,
+    geometry: out.ok ? out.feature.geometry : null,
+    errors: out.errors,
+  };
+}
+
+/* =========================
+   Filtros
+========================= */
+
+function geoJsonSql(geometry) {
+  return Prisma.sql`ST_SetSRID(ST_GeomFromGeoJSON(${JSON.stringify(geometry)}::text), 4326)`;
+}
+
+function pointSql([lng, lat]) {
+  return Prisma.sql`ST_SetSRID(ST_MakePoint(${lng}::float8, ${lat}::float8), 4326)`;
+}
+
+// Condiciones comunes: bbox, geometría libre o una zona de la finca.
+function spatialConditions(farmId, { bbox, geometry, zoneId }) {
+  const conditions = [
+    Prisma.sql`"farmId" = ${farmId}`,
+    Prisma.sql`"geom" IS NOT NULL`,
+  ];
+
+  if (bbox) {
+    const [minLng, minLat, maxLng, maxLat] = bbox;
+    conditions.push(
+      Prisma.sql`ST_Intersects("geom", ST_MakeEnvelope(${minLng}::float8, ${minLat}::float8, ${maxLng}::float8, ${maxLat}::float8, 4326))`
+    );
+  }
+
+  if (geometry) {
+    conditions.push(Prisma.sql`ST_Intersects("geom", ${geoJsonSql(geometry)})`);
+  }
+
+  if (zoneId) {
+    conditions.push(
+      Prisma.sql`"id" <> ${zoneId}`,
+      Prisma.sql`ST_Intersects("geom", (SELECT z."geom" FROM "MapZone" z WHERE z."id" = ${zoneId} AND z."farmId" = ${farmId}))`
+    );
+  }
+
+  return Prisma.join(conditions, " AND ");
+}
+
+/**
+ * Ids de los features de `kind` que cruzan la caja `bbox`, la geometría
+ * `geometry` y/o la zona `zoneId` (sin contarla a ella). Los filtros se
+ * combinan con AND.
+ */
+export async function findMapFeatureIds(prisma, farmId, kind, filters = {}) {
+  const rows = await prisma.$queryRaw`
+    SELECT "id"
+    FROM ${MAP_TABLES[kind]}
+    WHERE ${spatialConditions(farmId, filters)}
+  `;
+
+  return rows.map((row) => row.id);
+}
+
+/* =========================
+   Ubicación
+========================= */
+
+/**
+ * Zonas que contienen `position` ([lng, lat]) con sus medidas guardadas,
+ * de la más pequeña a la más grande.
+ */
+export async function findZonesAt(prisma, farmId, position) {
+  return prisma.$queryRaw`
+    SELECT "id", "name", "areaM2", "perimeterM", "centroidLng", "centroidLat"
+    FROM "MapZone"
+    WHERE "farmId" = ${farmId}
+      AND "geom" IS NOT NULL
+      AND ST_Covers("geom", ${pointSql(position)})
+    ORDER BY "areaM2" ASC NULLS LAST, "id" ASC
+  `;
+}
+
+/**
+ * Features de `kind` a menos de `radiusM` metros de `position`, del más
+ * cercano al más lejano, con `distanceM`.
+ */
+export async function findFeaturesNear(
+  prisma,
+  farmId,
+  kind,
+  position,
+  { radiusM, limit }
+) {
+  const point = Prisma.sql`${pointSql(position)}::geography`;
+
+  const rows = await prisma.$queryRaw`
+    SELECT "id", "name", ST_Distance("geom"::geography, ${point}) AS "distanceM"
+    FROM ${MAP_TABLES[kind]}
+    WHERE "farmId" = ${farmId}
+      AND "geom" IS NOT NULL
+      AND ST_DWithin("geom"::geography, ${point}, ${radiusM}::float8)
+    ORDER BY "distanceM" ASC, "id" ASC
+    LIMIT ${limit}
+  `;
+
+  return rows.map((row) => ({ ...row, distanceM: Number(row.distanceM) }));
+}
+
+/* =========================
+   Solapes entre zonas
+========================= */
+
+function overlapRelation(row) {
+  if (row.firstCovers) return "contains";
+  if (row.secondCovers) return "within";
+  return "overlaps";
+}
+
+/**
+ * Pares de zonas de la finca que comparten área (tocarse por el borde no
+ * cuenta), con el área común en m². `relation` dice si la primera contiene
+ * a la segunda ("contains"), está dentro ("within") o se cruzan
+ * ("overlaps"). Con `zoneIds` solo se revisan pares que incluyan alguna de
+ * esas zonas; las de `ignoreZoneIds` (p. ej. el lindero) no se revisan.
+ */
+export async function findZoneOverlaps(
+  prisma,
+  farmId,
+  { zoneIds = null, ignoreZoneIds = [] } = {}
+) {
+  if (Array.isArray(zoneIds) && zoneIds.length === 0) return [];
+
+  const onlyZones = Array.isArray(zoneIds)
+    ? Prisma.sql`AND (a."id" IN (${Prisma.join(zoneIds)}) OR b."id" IN (${Prisma.join(zoneIds)}))`
+    : Prisma.empty;
+
+  const ignored =
+    ignoreZoneIds.length > 0
+      ? Prisma.sql`AND a."id" NOT IN (${Prisma.join(ignoreZoneIds)}) AND b."id" NOT IN (${Prisma.join(ignoreZoneIds)})`
+      : Prisma.empty;
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      a."id" AS "firstId", a."name" AS "firstName",
+      b."id" AS "secondId", b."name" AS "secondName",
+      ST_Area(ST_Intersection(a."geom", b."geom")::geography) AS "overlapM2",
+      ST_Covers(a."geom", b."geom") AS "firstCovers",
+      ST_Covers(b."geom", a."geom") AS "secondCovers"
+    FROM "MapZone" a
+    JOIN "MapZone" b
+      ON b."farmId" = a."farmId"
+      AND a."id" < b."id"
+      AND a."geom" && b."geom"
+    WHERE a."farmId" = ${farmId}
+      AND ST_Intersects(a."geom", b."geom")
+      AND NOT ST_Touches(a."geom", b."geom")
+      ${onlyZones}
+      ${ignored}
+    ORDER BY "overlapM2" DESC
+  `;
+
+  return rows
+    .map((row) => ({
+      zones: [
+        { id: row.firstId, name: row.firstName },
+        { id: row.secondId, name: row.secondName },
+      ],
+      relation: overlapRelation(row),
+      overlapM2: Math.round(Number(row.overlapM2) * 100) / 100,
+    }))
+    .filter((overlap) => overlap.overlapM2 > 0);
+}
+
+/* =========================
+   Lindero y cruces
+========================= */
+
+/**
+ * Zonas de la finca que se salen de la zona `boundaryZoneId`, con el área
+ * que queda afuera en m².
+ */
+export async function findZonesOutside(prisma, farmId, boundaryZoneId) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      z."id", z."name",
+      ST_Area(ST_Difference(z."geom", b."geom")::geography) AS "outsideM2"
+    FROM "MapZone" z
+    JOIN "MapZone" b
+      ON b."id" = ${boundaryZoneId}
+      AND b."farmId" = z."farmId"
+    WHERE z."farmId" = ${farmId}
+      AND z."id" <> b."id"
+      AND z."geom" IS NOT NULL
+      AND b."geom" IS NOT NULL
+      AND NOT ST_CoveredBy(z."geom", b."geom")
+    ORDER BY "outsideM2" DESC
+  `;
+
+  return rows.map((row) => ({
+    id: row.id,
+    name: row.name,
+    outsideM2: Math.round(Number(row.outsideM2) * 100) / 100,
+  }));
+}
+
+/**
+ * Líneas que entran y salen de una zona (la cruzan en vez de ir por su
+ * borde o quedar dentro), con los metros de línea dentro de la zona.
+ */
+export async function findLinesCrossingZones(
+  prisma,
+  farmId,
+  { ignoreZoneIds = [] } = {}
+) {
+  const ignored =
+    ignoreZoneIds.length > 0
+      ? Prisma.sql`AND z."id" NOT IN (${Prisma.join(ignoreZoneIds)})`
+      : Prisma.empty;
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      l."id" AS "lineId", l."name" AS "lineName",
+      z."id" AS "zoneId", z."name" AS "zoneName",
+      ST_Length(ST_Intersection(l."geom", z."geom")::geography) AS "insideM"
+    FROM "MapLine" l
+    JOIN "MapZone" z
+      ON z."farmId" = l."farmId"
+      AND l."geom" && z."geom"
+    WHERE l."farmId" = ${farmId}
+      AND ST_Crosses(l."geom", z."geom")
+      ${ignored}
+    ORDER BY l."id", z."id"
+  `;
+
+  return rows.map((row) => ({
+    line: { id: row.lineId, name: row.lineName },
+    zone: { id: row.zoneId, name: row.zoneName },
+    insideM: Math.round(Number(row.insideM) * 10) / 10,
+  }));
+}
@@ -0,0 +1,121 @@
+// src/services/mapTopology.js
+//
+// Revisión de topología al guardar el mapa: zonas que se solapan, zonas
+// que se salen del lindero de la finca (Farm.boundaryZoneId) y líneas que
+// atraviesan una zona sin dividirla. Según Farm.mapTopologyMode los
+// problemas se ignoran, se devuelven como avisos o impiden guardar.
+
+import {
+  findLinesCrossingZones,
+  findZoneOverlaps,
+  findZonesOutside,
+} from "./mapSpatial.js";
+
+export const MAP_TOPOLOGY_MODES = ["OFF", "WARN", "BLOCK"];
+
+// Por debajo de esto son astillas de dibujo, no problemas reales.
+const MIN_OVERLAP_M2 = 1;
+const MIN_OUTSIDE_M2 = 1;
+
+function label(feature) {
+  return `"${feature.name || feature.id}"`;
+}
+
+function round(value) {
+  return Math.round(value).toLocaleString("es-CR");
+}
+
+function overlapMessage({ zones: [a, b], relation, overlapM2 }) {
+  if (relation === "overlaps") {
+    return `Las zonas ${label(a)} y ${label(b)} se solapan en ${round(overlapM2)} m².`;
+  }
+
+  const [outer, inner] = relation === "contains" ? [a, b] : [b, a];
+  return `La zona ${label(inner)} está dentro de la zona ${label(outer)}.`;
+}
+
+/**
+ * Problemas de topología del mapa tal como está en `db` (usar la
+ * transacción del guardado para ver lo recién escrito). Cada problema trae
+ * `type`, `key` (para compararlo entre antes y después), los features
+ * involucrados y `message`. Con mapTopologyMode OFF devuelve [].
+ */
+export async function checkMapTopology(db, farm) {
+  if (!farm || farm.mapTopologyMode === "OFF") return [];
+
+  const boundaryId = farm.boundaryZoneId || null;
+  const ignoreZoneIds = boundaryId ? [boundaryId] : [];
+  const issues = [];
+
+  const overlaps = await findZoneOverlaps(db, farm.id, { ignoreZoneIds });
+  for (const overlap of overlaps) {
+    if (overlap.overlapM2 < MIN_OVERLAP_M2) continue;
+    const [a, b] = overlap.zones;
+
+    issues.push({
+      type: "ZONE_OVERLAP",
+      key: `ZONE_OVERLAP:${a.id}:${b.id}`,
+      zones: overlap.zones,
+      relation: overlap.relation,
+      areaM2: overlap.overlapM2,
+      message: overlapMessage(overlap),
+    });
+  }
+
+  if (boundaryId) {
+    const outside = await findZonesOutside(db, farm.id, boundaryId);
+    for (const zone of outside) {
+      if (zone.outsideM2 < MIN_OUTSIDE_M2) continue;
+
+      issues.push({
+        type: "ZONE_OUTSIDE_BOUNDARY",
+        key: `ZONE_OUTSIDE_BOUNDARY:${zone.id}`,
+        zone: { id: zone.id, name: zone.name },
+        areaM2: zone.outsideM2,
+        message: `La zona ${label(zone)} se sale del lindero de la finca en ${round(zone.outsideM2)} m².`,
+      });
+    }
+  }
+
+  const crossings = await findLinesCrossingZones(db, farm.id, {
+    ignoreZoneIds,
+  });
+  for (const crossing of crossings) {
+    issues.push({
+      type: "LINE_CROSSES_ZONE",
+      key: `LINE_CROSSES_ZONE:${crossing.line.id}:${crossing.zone.id}`,
+      line: crossing.line,
+      zone: crossing.zone,
+      lengthM: crossing.insideM,
+      message: `La línea ${label(crossing.line)} atraviesa la zona ${label(crossing.zone)} sin dividirla.`,
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Resultado para la respuesta del guardado. En modo BLOCK, los problemas
+ * que no estaban antes del cambio (`before`) van en `errors`; los que ya
+ * existían siguen como avisos para no trabar cambios que no los tocan.
+ */
+export function mapTopologyResult(farm, before, after) {
+  const mode = farm?.mapTopologyMode || "WARN";
+
+  if (mode !== "BLOCK") return { mode, warnings: after, errors: [] };
+
+  const existing = new Set(before.map((issue) => issue.key));
+  return {
+    mode,
+    warnings: after.filter((issue) => existing.has(issue.key)),
+    errors: after.filter((issue) => !existing.has(issue.key)),
+  };
+}
+
+// Error para abortar la transacción del guardado.
+export function mapTopologyError(topology) {
+  const error = new Error("El mapa tiene problemas de topología.");
+  error.code = "MAP_TOPOLOGY";
+  error.topology = topology;
+  return error;
+}
@@ -0,0 +1,375 @@
+// src/services/mapVersions.js
+//
+// Historial del mapa: cada guardado deja una copia completa de puntos,
+// líneas y zonas (MapVersion) con quién la hizo, para poder comparar
+// versiones y volver a una anterior.
+
+import { MAP_MODELS, mapMetricColumns, readMapFeature } from "./mapGeometry.js";
+import {
+  ZONE_COMPONENT_ORDER,
+  ZONE_COMPONENT_SNAPSHOT_SELECT,
+  readZoneComponentList,
+  replaceZoneComponents,
+} from "./zoneComponents.js";
+
+const SNAPSHOT_COLLECTIONS = [
+  ["points", "point"],
+  ["lines", "line"],
+  ["zones", "zone"],
+];
+
+const SNAPSHOT_SELECT = {
+  point: { id: true, name: true, data: true },
+  line: { id: true, name: true, data: true },
+  zone: {
+    id: true,
+    name: true,
+    data: true,
+    components: {
+      select: ZONE_COMPONENT_SNAPSHOT_SELECT,
+      orderBy: ZONE_COMPONENT_ORDER,
+    },
+  },
+};
+
+const EMPTY_SNAPSHOT = { points: [], lines: [], zones: [] };
+
+export const MAP_VERSION_LIST_SELECT = {
+  id: true,
+  number: true,
+  action: true,
+  summary: true,
+  restoredFromId: true,
+  createdAt: true,
+  createdBy: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+    },
+  },
+};
+
+/* =========================
+   Copias y diferencias
+========================= */
+
+export async function readMapSnapshot(db, farmId) {
+  const snapshot = {};
+
+  for (const [key, kind] of SNAPSHOT_COLLECTIONS) {
+    snapshot[key] = await db[MAP_MODELS[kind]].findMany({
+      where: { farmId },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+      select: SNAPSHOT_SELECT[kind],
+    });
+  }
+
+  return snapshot;
+}
+
+// JSON con claves ordenadas: jsonb no conserva el orden original. Las
+// fechas se comparan como en la copia guardada (ISO).
+function stableStringify(value) {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+function sameJson(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+function changedFields(kind, before, after) {
+  const featureBefore = readMapFeature(kind, before.data);
+  const featureAfter = readMapFeature(kind, after.data);
+  const fields = [];
+
+  if ((before.name ?? null) !== (after.name ?? null)) fields.push("name");
+
+  if (
+    !sameJson(
+      featureBefore?.geometry ?? before.data,
+      featureAfter?.geometry ?? after.data
+    )
+  ) {
+    fields.push("geometry");
+  }
+
+  if (!sameJson(featureBefore?.properties, featureAfter?.properties)) {
+    fields.push("properties");
+  }
+
+  if (kind === "zone" && !sameJson(before.components, after.components)) {
+    fields.push("components");
+  }
+
+  return fields;
+}
+
+/**
+ * Diferencias entre dos copias del mapa, por colección:
+ * { points: { added, removed, changed }, lines: ..., zones: ... }.
+ * `changed` lista los campos que cambiaron (name, geometry, properties,
+ * components).
+ */
+export function diffMapSnapshots(from, to) {
+  const diff = {};
+
+  for (const [key, kind] of SNAPSHOT_COLLECTIONS) {
+    const before = new Map((from?.[key] || []).map((row) => [row.id, row]));
+    const after = new Map((to?.[key] || []).map((row) => [row.id, row]));
+    const result = { added: [], removed: [], changed: [] };
+
+    for (const [id, row] of after) {
+      const prev = before.get(id);
+
+      if (!prev) {
+        result.added.push({ id, name: row.name });
+        continue;
+      }
+
+      const fields = changedFields(kind, prev, row);
+      if (fields.length > 0) {
+        result.changed.push({
+          id,
+          name: row.name,
+          fields,
+          ...(fields.includes("name") ? { previousName: prev.name } : {}),
+        });
+      }
+    }
+
+    for (const [id, row] of before) {
+      if (!after.has(id)) result.removed.push({ id, name: row.name });
+    }
+
+    diff[key] = result;
+  }
+
+  return diff;
+}
+
+function diffCounts(diff) {
+  return Object.fromEntries(
+    Object.entries(diff).map(([key, d]) => [
+      key,
+      {
+        added: d.added.length,
+        removed: d.removed.length,
+        changed: d.changed.length,
+      },
+    ])
+  );
+}
+
+function isEmptyDiff(diff) {
+  return Object.values(diff).every(
+    (d) => d.added.length + d.removed.length + d.changed.length === 0
+  );
+}
+
+function snapshotCounts(snapshot) {
+  return Object.fromEntries(
+    SNAPSHOT_COLLECTIONS.map(([key]) => [key, snapshot[key]?.length || 0])
+  );
+}
+
+/* =========================
+   Registro de versiones
+========================= */
+
+/**
+ * Llamar dentro de la transacción, antes de tocar el mapa. Bloquea la fila
+ * de la finca para numerar versiones sin choques y, si la finca aún no
+ * tiene historial pero sí features, guarda su estado actual como
+ * "baseline" para que el primer guardado también se pueda deshacer.
+ * Devuelve la última versión (o null) para pasarla a recordMapVersion.
+ */
+export async function lockMapHistory(tx, farmId) {
+  await tx.$queryRaw`SELECT "id" FROM "Farm" WHERE "id" = ${farmId} FOR UPDATE`;
+
+  const latest = await tx.mapVersion.findFirst({
+    where: { farmId },
+    orderBy: { number: "desc" },
+    select: { id: true, number: true, snapshot: true },
+  });
+  if (latest) return latest;
+
+  const snapshot = await readMapSnapshot(tx, farmId);
+  const counts = snapshotCounts(snapshot);
+  if (Object.values(counts).every((n) => n === 0)) return null;
+
+  return tx.mapVersion.create({
+    data: {
+      farmId,
+      number: 1,
+      action: "baseline",
+      snapshot,
+      summary: { counts, changes: null },
+    },
+    select: { id: true, number: true, snapshot: true },
+  });
+}
+
+/**
+ * Guarda la copia del mapa después de un cambio. Si nada cambió respecto a
+ * `previous` no crea versión y devuelve null.
+ */
+export async function recordMapVersion(
+  tx,
+  farmId,
+  previous,
+  { userId = null, action, restoredFromId = null }
+) {
+  const snapshot = await readMapSnapshot(tx, farmId);
+  const diff = diffMapSnapshots(previous?.snapshot ?? EMPTY_SNAPSHOT, snapshot);
+
+  if (isEmptyDiff(diff)) return null;
+
+  return tx.mapVersion.create({
+    data: {
+      farmId,
+      number: (previous?.number ?? 0) + 1,
+      action,
+      createdById: userId,
+      snapshot,
+      summary: { counts: snapshotCounts(snapshot), changes: diffCounts(diff) },
+      restoredFromId,
+    },
+    select: MAP_VERSION_LIST_SELECT,
+  });
+}
+
+/* =========================
+   Restauración
+========================= */
+
+// Zonas con tareas, procesos, fotos o notas: no se borran al restaurar.
+async function zonesWithLinks(tx, farmId, zoneIds) {
+  if (zoneIds.length === 0) return [];
+
+  const zones = await tx.mapZone.findMany({
+    where: { farmId, id: { in: zoneIds } },
+    select: {
+      id: true,
+      name: true,
+      _count: {
+        select: {
+          processes: true,
+          componentPhotos: true,
+          bitacoraEntries: true,
+        },
+      },
+    },
+  });
+
+  // Task.zoneId no es relación, se cuenta aparte.
+  const tasks = await tx.task.groupBy({
+    by: ["zoneId"],
+    where: { farmId, zoneId: { in: zoneIds } },
+    _count: { _all: true },
+  });
+
+  const tasksByZone = new Map(tasks.map((t) => [t.zoneId, t._count._all]));
+
+  return zones
+    .map((z) => ({
+      id: z.id,
+      name: z.name,
+      links: {
+        tasks: tasksByZone.get(z.id) || 0,
+        processes: z._count.processes,
+        photos: z._count.componentPhotos,
+        bitacora: z._count.bitacoraEntries,
+      },
+    }))
+    .filter((z) => Object.values(z.links).some((n) => n > 0));
+}
+
+// Las versiones viejas guardaban el JSON libre de components; se lee igual
+// que en el PUT y se descarta lo que no pasa la validación.
+async function restoreComponents(tx, farmId, row) {
+  const { items } = readZoneComponentList(row.components ?? null);
+  await replaceZoneComponents(tx, { farmId, zoneId: row.id }, items);
+}
+
+/**
+ * Deja puntos, líneas y zonas de la finca como en `snapshot`. Los features
+ * que siguen existiendo se actualizan en su lugar y los borrados se
+ * recrean con el mismo id, así tareas, procesos y fotos siguen apuntando a
+ * la misma zona; los componentes de cada zona también conservan su id.
+ * Las zonas que no estaban en la versión pero ya tienen vínculos se
+ * conservan y se devuelven en `kept`; `skipped` son ids que hoy usa otra
+ * finca.
+ */
+export async function restoreMapSnapshot(tx, farmId, snapshot) {
+  const current = await readMapSnapshot(tx, farmId);
+  const kept = [];
+  const skipped = [];
+
+  for (const [key, kind] of SNAPSHOT_COLLECTIONS) {
+    const model = tx[MAP_MODELS[kind]];
+    const target = snapshot?.[key] || [];
+    const targetIds = new Set(target.map((row) => row.id));
+    const currentById = new Map(current[key].map((row) => [row.id, row]));
+
+    const extraIds = current[key]
+      .map((row) => row.id)
+      .filter((id) => !targetIds.has(id));
+
+    if (kind === "zone") {
+      kept.push(...(await zonesWithLinks(tx, farmId, extraIds)));
+    }
+
+    const keptIds = new Set(kept.map((z) => z.id));
+    const removeIds = extraIds.filter((id) => !keptIds.has(id));
+
+    if (removeIds.length > 0) {
+      await model.deleteMany({ where: { farmId, id: { in: removeIds } } });
+    }
+
+    for (const row of target) {
+      const data = {
+        name: row.name,
+        data: row.data,
+        ...mapMetricColumns(kind, readMapFeature(kind, row.data)),
+      };
+
+      const existing = currentById.get(row.id);
+
+      if (existing) {
+        const fields = changedFields(kind, existing, row);
+        if (fields.some((field) => field !== "components")) {
+          await model.update({ where: { id: row.id }, data });
+        }
+        if (fields.includes("components")) {
+          await restoreComponents(tx, farmId, row);
+        }
+        continue;
+      }
+
+      const taken = await model.findUnique({
+        where: { id: row.id },
+        select: { id: true },
+      });
+      if (taken) {
+        skipped.push({ kind, id: row.id, name: row.name });
+        continue;
+      }
+
+      await model.create({ data: { id: row.id, farmId, ...data } });
+      if (kind === "zone") await restoreComponents(tx, farmId, row);
+    }
+  }
+
+  return { kept, skipped };
+}
@@ -0,0 +1,138 @@
+// src/services/openaiService.js
+
+export function extractJsonFromText(text = "") {
+  const s = String(text || "").trim();
+  if (!s) return null;
+
+  if (s.startsWith("{") && s.endsWith("}")) {
+    try {
+      return JSON.parse(s);
+    } catch (_) {}
+  }
+
+  const first = s.indexOf("{");
+  const last = s.lastIndexOf("}");
+  if (first !== -1 && last !== -1 && last > first) {
+    const candidate = s.slice(first, last + 1);
+    try {
+      return JSON.parse(candidate);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+function extractOutputText(data) {
+  return (
+    data?.output_text ||
+    (Array.isArray(data?.output)
+      ? data.output
+          .map((o) => {
+            const c = o?.content;
+            if (!Array.isArray(c)) return "";
+            return c
+              .map((p) => (p?.type === "output_text" ? p?.text : ""))
+              .filter(Boolean)
+              .join("\n");
+          })
+          .filter(Boolean)
+          .join("\n")
+      : "")
+  );
+}
+
+export function hasOpenAIKey() {
+  return !!process.env.OPENAI_API_KEY;
+}
+
+/**
+ * Llama a la Responses API de OpenAI pidiendo una salida JSON con esquema
+ * estricto. Devuelve { ok, status, result } o { ok: false, status, error, details }.
+ */
+export async function callOpenAIJson({
+  model,
+  instructions,
+  content,
+  schemaName,
+  schema,
+}) {
+  const apiKey = process.env.OPENAI_API_KEY;
+
+  if (!apiKey) {
+    return {
+      ok: false,
+      status: 500,
+      error:
+        "Falta OPENAI_API_KEY en el .env del backend (no la pongas en el frontend).",
+    };
+  }
+
+  const body = {
+    model,
+    instructions,
+    input: [
+      {
+        role: "user",
+        content,
+      },
+    ],
+    text: {
+      format: {
+        type: "json_schema",
+        name: schemaName,
+        schema,
+        strict: true,
+      },
+    },
+  };
+
+  let resp;
+  try {
+    resp = await fetch("https://api.openai.com/v1/responses", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify(body),
+    });
+  } catch (e) {
+    return {
+      ok: false,
+      status: 502,
+      error: "No se pudo conectar con OpenAI (network).",
+      details: String(e?.message || e),
+    };
+  }
+
+  if (!resp.ok) {
+    let errText = "";
+    try {
+      errText = await resp.text();
+    } catch (_) {}
+    return {
+      ok: false,
+      status: resp.status,
+      error: "OpenAI respondió con error.",
+      details: errText?.slice(0, 1200) || "",
+    };
+  }
+
+  const data = await resp.json();
+  const outputText = extractOutputText(data);
+  const parsed = extractJsonFromText(outputText);
+
+  if (!parsed) {
+    return {
+      ok: false,
+      status: 500,
+      error:
+        "La IA respondió, pero no devolvió JSON parseable. (Te devuelvo el texto para debug).",
+      details: String(outputText || "").slice(0, 2000),
+    };
+  }
+
+  return { ok: true, status: 200, result: parsed };
+}
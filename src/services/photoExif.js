@@ -0,0 +1,86 @@
+// src/services/photoExif.js
+
+import sharp from "sharp";
+import exifReader from "exif-reader";
+
+function dmsToDecimal(dms, ref) {
+  if (!Array.isArray(dms) || dms.length === 0) return null;
+
+  const [deg = 0, min = 0, sec = 0] = dms.map(Number);
+  if (![deg, min, sec].every(Number.isFinite)) return null;
+
+  const value = deg + min / 60 + sec / 3600;
+  return ref === "S" || ref === "W" ? -value : value;
+}
+
+// "-06:00" -> -360 (minutos)
+function parseOffsetMinutes(offset) {
+  const m = /^([+-])(\d{2}):?(\d{2})$/.exec(String(offset || "").trim());
+  if (!m) return null;
+
+  const minutes = Number(m[2]) * 60 + Number(m[3]);
+  return m[1] === "-" ? -minutes : minutes;
+}
+
+// exif-reader entrega la hora local de la cámara como si fuera UTC; con
+// OffsetTimeOriginal la llevamos a UTC real. Sin offset queda tal cual.
+function captureTime(photo) {
+  const raw = photo?.DateTimeOriginal || photo?.DateTimeDigitized;
+  if (!(raw instanceof Date) || Number.isNaN(raw.getTime())) return null;
+
+  const offset = parseOffsetMinutes(
+    photo?.OffsetTimeOriginal || photo?.OffsetTime
+  );
+
+  return offset === null ? raw : new Date(raw.getTime() - offset * 60000);
+}
+
+/**
+ * Lee del EXIF la ubicación GPS y la hora de captura.
+ * Devuelve { latitude, longitude, altitude, takenAt }, con null en lo que la
+ * foto no traiga o no se pueda leer.
+ */
+export async function extractPhotoExif(buffer) {
+  const empty = {
+    latitude: null,
+    longitude: null,
+    altitude: null,
+    takenAt: null,
+  };
+
+  let exif;
+  try {
+    const metadata = await sharp(buffer).metadata();
+    if (!metadata.exif) return empty;
+    exif = exifReader(metadata.exif);
+  } catch (err) {
+    return empty;
+  }
+
+  const gps = exif?.GPSInfo || {};
+  let latitude = dmsToDecimal(gps.GPSLatitude, gps.GPSLatitudeRef);
+  let longitude = dmsToDecimal(gps.GPSLongitude, gps.GPSLongitudeRef);
+
+  // Algunos teléfonos escriben 0,0 cuando no tenían señal.
+  const valid =
+    latitude !== null &&
+    longitude !== null &&
+    Math.abs(latitude) <= 90 &&
+    Math.abs(longitude) <= 180 &&
+    !(latitude === 0 && longitude === 0);
+
+  if (!valid) {
+    latitude = null;
+    longitude = null;
+  }
+
+  const altitudeValue = Number(gps.GPSAltitude);
+  const altitude =
+    valid && Number.isFinite(altitudeValue)
+      ? gps.GPSAltitudeRef === 1
+        ? -altitudeValue
+        : altitudeValue
+      : null;
+
+  return { latitude, longitude, altitude, takenAt: captureTime(exif?.Photo) };
+}
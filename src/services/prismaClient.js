@@ -0,0 +1,21 @@
+// src/services/prismaClient.js
+
+import pkg from "@prisma/client";
+import { Pool } from "pg";
+import { PrismaPg } from "@prisma/adapter-pg";
+
+const { PrismaClient } = pkg;
+
+export function createPrismaClient() {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("Falta DATABASE_URL en .env");
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+  });
+
+  const adapter = new PrismaPg(pool);
+  return new PrismaClient({ adapter });
+}
@@ -0,0 +1,54 @@
+// src/services/storage/index.js
+
+import { createLocalDriver } from "./localDriver.js";
+import { createS3Driver } from "./s3Driver.js";
+
+export const STORAGE_DRIVERS = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+/**
+ * Un driver expone: name, put(key, body, { contentType }), getStream(key),
+ * exists(key), remove(key), urlFor(key) y signedUrl(key, expiresInSeconds).
+ * Las claves tienen la forma "<carpeta>/<archivo>", p. ej.
+ * "components/component-123.jpg".
+ */
+export function createStorageDriver(name, options) {
+  const factory = STORAGE_DRIVERS[name];
+
+  if (!factory) {
+    throw new Error(
+      `STORAGE_DRIVER inválido: "${name}". Usa: ${Object.keys(STORAGE_DRIVERS).join(", ")}.`
+    );
+  }
+
+  return factory(options);
+}
+
+let activeDriver = null;
+
+// Driver configurado con STORAGE_DRIVER (por defecto "local").
+export function getStorage() {
+  if (!activeDriver) {
+    activeDriver = createStorageDriver(
+      String(process.env.STORAGE_DRIVER || "local")
+        .trim()
+        .toLowerCase()
+    );
+  }
+
+  return activeDriver;
+}
+
+export function storageKey(subdir, filename) {
+  return `${subdir}/${filename}`;
+}
+
+export async function readStreamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
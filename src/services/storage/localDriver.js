@@ -0,0 +1,72 @@
+// src/services/storage/localDriver.js
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { signFileKey } from "./signing.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_UPLOADS_DIR = path.resolve(__dirname, "../../../uploads");
+
+export const LOCAL_PUBLIC_PATH = "/uploads";
+
+/**
+ * Guarda archivos en disco (UPLOADS_DIR o ./uploads). Las URLs son rutas
+ * relativas bajo /uploads; el backend solo las sirve con firma válida
+ * (ver routes/uploads.js).
+ */
+export function createLocalDriver({
+  root = process.env.UPLOADS_DIR || DEFAULT_UPLOADS_DIR,
+} = {}) {
+  const uploadsRoot = path.resolve(root);
+
+  function resolveKey(key) {
+    const filePath = path.resolve(uploadsRoot, key);
+
+    // La clave nunca puede salir de la carpeta de uploads.
+    if (!filePath.startsWith(uploadsRoot + path.sep)) {
+      throw new Error(`Clave de archivo inválida: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  return {
+    name: "local",
+    root: uploadsRoot,
+    publicPath: LOCAL_PUBLIC_PATH,
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      if (!fs.existsSync(filePath)) return null;
+      return fs.createReadStream(filePath);
+    },
+
+    async exists(key) {
+      return fs.existsSync(resolveKey(key));
+    },
+
+    async remove(key) {
+      const filePath = resolveKey(key);
+      if (!fs.existsSync(filePath)) return;
+      await fs.promises.unlink(filePath);
+    },
+
+    urlFor(key) {
+      return `${LOCAL_PUBLIC_PATH}/${key}`;
+    },
+
+    async signedUrl(key, expiresInSeconds) {
+      const { expires, signature } = signFileKey(key, expiresInSeconds);
+      return `${LOCAL_PUBLIC_PATH}/${key}?expires=${expires}&signature=${signature}`;
+    },
+  };
+}
@@ -0,0 +1,140 @@
+// src/services/storage/migrate.js
+
+import { readStreamToBuffer, storageKey } from "./index.js";
+
+const ORIGINAL_FILE = { filename: "filename", url: "url" };
+
+// Tablas con archivos subidos, la carpeta donde viven y las columnas
+// (nombre de archivo + URL) de cada archivo de la fila.
+export const STORED_FILE_SOURCES = [
+  {
+    model: "componentPhoto",
+    subdir: "components",
+    label: "ComponentPhoto",
+    files: [
+      ORIGINAL_FILE,
+      { filename: "thumbFilename", url: "thumbUrl", contentType: "image/webp" },
+      {
+        filename: "mediumFilename",
+        url: "mediumUrl",
+        contentType: "image/webp",
+      },
+    ],
+  },
+  {
+    model: "bitacoraAttachment",
+    subdir: "bitacora",
+    label: "BitacoraAttachment",
+    files: [ORIGINAL_FILE],
+  },
+];
+
+async function migrateFile(
+  prisma,
+  row,
+  file,
+  { model, subdir },
+  options,
+  stats
+) {
+  const { source, target, dryRun, deleteSource, overwrite } = options;
+  const key = storageKey(subdir, row[file.filename]);
+  const url = target.urlFor(key);
+
+  const alreadyThere = !overwrite && (await target.exists(key));
+
+  if (!alreadyThere) {
+    const stream = await source.getStream(key);
+
+    if (!stream) {
+      stats.missing += 1;
+      options.log?.(`  FALTA ${key} (id ${row.id})`);
+      return;
+    }
+
+    if (dryRun) {
+      if (typeof stream.destroy === "function") stream.destroy();
+    } else {
+      const body = await readStreamToBuffer(stream);
+      await target.put(key, body, {
+        contentType: file.contentType || row.mimeType || undefined,
+      });
+    }
+  }
+
+  if (!dryRun && row[file.url] !== url) {
+    await prisma[model].update({
+      where: { id: row.id },
+      data: { [file.url]: url },
+    });
+  }
+
+  if (!dryRun && deleteSource) {
+    await source.remove(key);
+  }
+
+  if (alreadyThere) stats.skipped += 1;
+  else stats.copied += 1;
+}
+
+/**
+ * Copia los archivos de `source` a `target` y reescribe la URL de cada fila
+ * con la que genera `target`. Si el archivo ya existe en destino no se vuelve
+ * a copiar (salvo `overwrite`), así se puede reintentar sin problema.
+ * Devuelve un resumen por tabla.
+ */
+export async function migrateStoredFiles(
+  prisma,
+  {
+    source,
+    target,
+    dryRun = false,
+    deleteSource = false,
+    overwrite = false,
+    log = console.log,
+  }
+) {
+  const options = { source, target, dryRun, deleteSource, overwrite, log };
+  const summary = [];
+
+  for (const item of STORED_FILE_SOURCES) {
+    const select = { id: true, mimeType: true };
+    for (const file of item.files) {
+      select[file.filename] = true;
+      select[file.url] = true;
+    }
+
+    const rows = await prisma[item.model].findMany({
+      select,
+      orderBy: { createdAt: "asc" },
+    });
+
+    const stats = {
+      label: item.label,
+      rows: rows.length,
+      copied: 0,
+      skipped: 0,
+      missing: 0,
+      failed: 0,
+    };
+
+    for (const row of rows) {
+      for (const file of item.files) {
+        if (!row[file.filename]) continue;
+
+        try {
+          await migrateFile(prisma, row, file, item, options, stats);
+        } catch (err) {
+          stats.failed += 1;
+          log(
+            `  ERROR ${row[file.filename]} (id ${row.id}): ${err?.message || err}`
+          );
+        }
+      }
+    }
+
+    summary.push(stats);
+  }
+
+  return summary;
+}
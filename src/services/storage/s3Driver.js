@@ -0,0 +1,125 @@
+// src/services/storage/s3Driver.js
+
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { signedUrlTtlSeconds } from "./signing.js";
+
+function envBool(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  return value === "true" || value === "1";
+}
+
+function isNotFound(err) {
+  return (
+    err?.name === "NotFound" ||
+    err?.name === "NoSuchKey" ||
+    err?.$metadata?.httpStatusCode === 404
+  );
+}
+
+/**
+ * Guarda archivos en un bucket S3 o compatible (MinIO, R2, Spaces...).
+ *
+ * Variables: S3_BUCKET (requerida), S3_REGION, S3_ENDPOINT,
+ * S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE y
+ * S3_PUBLIC_URL (base de la URL que se guarda en la base de datos; por
+ * defecto endpoint/bucket).
+ *
+ * Para probar en local con MinIO: STORAGE_DRIVER=s3,
+ * S3_ENDPOINT=http://localhost:9000, S3_BUCKET=agromind y las credenciales
+ * del usuario de MinIO (path-style queda activo al definir S3_ENDPOINT).
+ */
+export function createS3Driver({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT || undefined,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = envBool(process.env.S3_FORCE_PATH_STYLE, !!endpoint),
+  publicUrl = process.env.S3_PUBLIC_URL,
+} = {}) {
+  if (!bucket) {
+    throw new Error("Falta S3_BUCKET para el almacenamiento S3.");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    ...(accessKeyId && secretAccessKey
+      ? { credentials: { accessKeyId, secretAccessKey } }
+      : {}),
+  });
+
+  const baseUrl = String(
+    publicUrl ||
+      (endpoint
+        ? `${endpoint.replace(/\/+$/, "")}/${bucket}`
+        : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/+$/, "");
+
+  return {
+    name: "s3",
+    bucket,
+    client,
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ...(contentType ? { ContentType: contentType } : {}),
+        })
+      );
+    },
+
+    async getStream(key) {
+      try {
+        const out = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return out.Body || null;
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (err) {
+        if (isNotFound(err)) return false;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    urlFor(key) {
+      return `${baseUrl}/${key
+        .split("/")
+        .map((part) => encodeURIComponent(part))
+        .join("/")}`;
+    },
+
+    // El bucket debe ser privado; las lecturas van con URL prefirmada.
+    async signedUrl(key, expiresInSeconds = signedUrlTtlSeconds()) {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn: expiresInSeconds }
+      );
+    },
+  };
+}
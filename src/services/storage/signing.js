@@ -0,0 +1,48 @@
+// src/services/storage/signing.js
+
+import crypto from "crypto";
+
+const DEFAULT_TTL_SECONDS = 15 * 60;
+
+export function signedUrlTtlSeconds() {
+  const n = Number.parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_SECONDS;
+}
+
+function signingSecret() {
+  const secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error("Falta FILE_URL_SECRET (o JWT_SECRET) para firmar URLs.");
+  }
+
+  return secret;
+}
+
+function computeSignature(key, expires) {
+  return crypto
+    .createHmac("sha256", signingSecret())
+    .update(`${key}:${expires}`)
+    .digest("hex");
+}
+
+// Devuelve { expires, signature } para una clave; `expires` en segundos Unix.
+export function signFileKey(key, expiresInSeconds = signedUrlTtlSeconds()) {
+  const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  return { expires, signature: computeSignature(key, expires) };
+}
+
+export function verifyFileSignature(key, expires, signature) {
+  const exp = Number.parseInt(expires, 10);
+
+  if (!Number.isFinite(exp) || exp < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  if (typeof signature !== "string" || !/^[0-9a-f]{64}$/.test(signature)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(key, exp), "hex");
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, "hex"));
+}
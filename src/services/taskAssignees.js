@@ -0,0 +1,100 @@
+// src/services/taskAssignees.js
+//
+// Responsables de tareas, etapas de proceso y series. `assigneeId` apunta a
+// un FarmMember activo de la misma finca; `owner` sigue siendo texto libre
+// para trabajadores de fuera (peones, contratistas) que no tienen cuenta.
+
+export const ASSIGNEE_SELECT = {
+  id: true,
+  role: true,
+  status: true,
+  user: { select: { id: true, name: true, email: true } },
+};
+
+const DEFAULT_OWNER_MAX = 80;
+
+function cleanOwner(value, max) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  return value.trim().slice(0, max);
+}
+
+export function memberDisplayName(member) {
+  const user = member?.user;
+  if (!user) return null;
+  return (
+    (typeof user.name === "string" && user.name.trim()) || user.email || null
+  );
+}
+
+/**
+ * Lee `assigneeId` y `owner` del body. El assignee tiene que ser un miembro
+ * ACTIVE de `farmId`; null o "" lo quitan. Sin `partial` ambos campos se
+ * escriben (null si no vienen). Devuelve { data } o { error }.
+ */
+export async function parseAssignment(
+  db,
+  farmId,
+  body,
+  { partial = false, ownerMax = DEFAULT_OWNER_MAX } = {}
+) {
+  const data = {};
+
+  if (!partial || body.owner !== undefined) {
+    data.owner = cleanOwner(body.owner, ownerMax);
+  }
+
+  if (!partial || body.assigneeId !== undefined) {
+    const value = body.assigneeId;
+    data.assigneeId = null;
+
+    if (value !== undefined && value !== null && value !== "") {
+      if (typeof value !== "string") return { error: "assigneeId inválido." };
+
+      const member = await db.farmMember.findFirst({
+        where: { id: value.trim(), farmId, status: "ACTIVE" },
+        select: { id: true },
+      });
+      if (!member) {
+        return { error: "assigneeId no es un miembro activo de esta finca." };
+      }
+
+      data.assigneeId = member.id;
+    }
+  }
+
+  return { data };
+}
+
+/**
+ * Antes de borrar un FarmMember. La FK deja assigneeId en null; aquí se
+ * copia su nombre a `owner` donde estaba vacío para no perder quién tenía
+ * el trabajo. Llamar dentro de la misma transacción que el borrado.
+ */
+export async function releaseMemberAssignments(tx, memberId) {
+  const member = await tx.farmMember.findUnique({
+    where: { id: memberId },
+    select: ASSIGNEE_SELECT,
+  });
+
+  const name = memberDisplayName(member);
+  if (!name) return;
+
+  const where = { assigneeId: memberId, owner: null };
+  const data = { owner: name.slice(0, DEFAULT_OWNER_MAX) };
+
+  await tx.task.updateMany({ where, data });
+  await tx.zoneProcessStep.updateMany({ where, data });
+  await tx.taskRecurrence.updateMany({ where, data });
+}
+
+/**
+ * A quién se le manda el recordatorio de una tarea: al miembro asignado si
+ * sigue activo; si no, al creador de la finca. Espera la tarea con
+ * `assignee` (ASSIGNEE_SELECT) y `farm.user`.
+ */
+export function reminderRecipient(task) {
+  const assignee = task?.assignee;
+  if (assignee?.status === "ACTIVE" && assignee.user?.email)
+    return assignee.user;
+  return task?.farm?.user || null;
+}
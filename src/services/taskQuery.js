@@ -0,0 +1,151 @@
+// src/services/taskQuery.js
+//
+// Listado de tareas de una finca con filtros, orden y paginación por
+// cursor. El cursor es el id de la última tarea de la página anterior; se
+// pagina con el cursor nativo de Prisma, así que sirve para cualquier orden.
+// La paginación es opcional: sin limit ni cursor se devuelven todas, como
+// antes.
+
+import { CLOSED_TASK_STATUSES, TASK_STATUSES } from "./taskStatus.js";
+
+export const TASK_SORT_FIELDS = [
+  "due",
+  "start",
+  "createdAt",
+  "updatedAt",
+  "priority",
+  "status",
+  "title",
+];
+
+export const DEFAULT_TASK_PAGE_SIZE = 50;
+export const MAX_TASK_PAGE_SIZE = 200;
+
+function containsText(value) {
+  return { contains: value, mode: "insensitive" };
+}
+
+function dateRange(from, to) {
+  if (!from && !to) return null;
+  return { ...(from ? { gte: from } : {}), ...(to ? { lte: to } : {}) };
+}
+
+/**
+ * Arma el `where` de Prisma. `filters` ya viene validado por la ruta:
+ *   statuses, priorities: listas de valores del enum
+ *   type, zoneId, owner, q: strings
+ *   assignee: { memberId } | { userId } | { none: true }
+ *   startFrom, startTo, dueFrom, dueTo: Date
+ *   overdueBefore: Date; solo tareas abiertas con due anterior
+ * Con `ignoreStatus` no filtra por estado (para los conteos por estado).
+ */
+export function buildTaskWhere(
+  farmId,
+  filters = {},
+  { ignoreStatus = false } = {}
+) {
+  const and = [];
+  const where = { farmId };
+
+  if (!ignoreStatus && filters.statuses?.length) {
+    where.status = { in: filters.statuses };
+  }
+
+  if (filters.priorities?.length) where.priority = { in: filters.priorities };
+  if (filters.type) where.type = { equals: filters.type, mode: "insensitive" };
+  if (filters.zoneId) where.zoneId = filters.zoneId;
+
+  if (filters.assignee?.memberId) where.assigneeId = filters.assignee.memberId;
+  if (filters.assignee?.userId)
+    where.assignee = { userId: filters.assignee.userId };
+  if (filters.assignee?.none) where.assigneeId = null;
+
+  const start = dateRange(filters.startFrom, filters.startTo);
+  if (start) where.start = start;
+
+  const due = dateRange(filters.dueFrom, filters.dueTo);
+  if (due) where.due = due;
+
+  if (filters.overdueBefore) {
+    and.push({
+      due: { lt: filters.overdueBefore },
+      status: { notIn: CLOSED_TASK_STATUSES },
+    });
+  }
+
+  // `owner` busca en el texto libre y en el nombre/correo del miembro asignado.
+  if (filters.owner) {
+    and.push({
+      OR: [
+        { owner: containsText(filters.owner) },
+        { assignee: { user: { name: containsText(filters.owner) } } },
+        { assignee: { user: { email: containsText(filters.owner) } } },
+      ],
+    });
+  }
+
+  if (filters.q) {
+    and.push({
+      OR: [
+        { title: containsText(filters.q) },
+        { zone: containsText(filters.q) },
+        { type: containsText(filters.q) },
+        { owner: containsText(filters.q) },
+      ],
+    });
+  }
+
+  if (and.length) where.AND = and;
+  return where;
+}
+
+export function buildTaskOrderBy(sort = "due", order = "asc") {
+  // Orden por defecto de siempre: vencimiento y, a igual fecha, las más nuevas.
+  if (sort === "due" && order === "asc") {
+    return [{ due: "asc" }, { createdAt: "desc" }, { id: "asc" }];
+  }
+  return [{ [sort]: order }, { id: "asc" }];
+}
+
+/**
+ * Una página de tareas más el total que cumple los filtros y el conteo por
+ * estado (con los demás filtros, sin el de estado). Con `limit` null trae
+ * todas. Devuelve { tasks, total, counts, nextCursor }.
+ */
+export async function listFarmTasks(
+  prisma,
+  farmId,
+  filters,
+  { sort, order, limit = null, cursor = null, select }
+) {
+  const where = buildTaskWhere(farmId, filters);
+
+  const [rows, total, grouped] = await Promise.all([
+    prisma.task.findMany({
+      where,
+      orderBy: buildTaskOrderBy(sort, order),
+      ...(limit ? { take: limit + 1 } : {}),
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      select,
+    }),
+    prisma.task.count({ where }),
+    prisma.task.groupBy({
+      by: ["status"],
+      where: buildTaskWhere(farmId, filters, { ignoreStatus: true }),
+      _count: { _all: true },
+    }),
+  ]);
+
+  const counts = Object.fromEntries(TASK_STATUSES.map((status) => [status, 0]));
+  for (const row of grouped) counts[row.status] = row._count._all;
+
+  const hasMore = limit !== null && rows.length > limit;
+  const tasks = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    tasks,
+    total,
+    counts,
+    nextCursor: hasMore ? tasks[tasks.length - 1].id : null,
+  };
+}
@@ -0,0 +1,554 @@
+// src/services/taskRecurrence.js
+//
+// Tareas repetidas (TaskRecurrence): la regla de calendario de una serie y
+// la creación de sus ocurrencias como filas Task normales. Cada ocurrencia
+// guarda su occurrenceDate, así editarla o saltarla no cambia la serie.
+//
+// La siguiente ocurrencia se crea cuando se completa, salta o borra la
+// abierta, y también en la corrida programada (runTaskRecurrences) que
+// adelanta las que tocan hoy o mañana.
+
+import { ASSIGNEE_SELECT } from "./taskAssignees.js";
+import { CLOSED_TASK_STATUSES } from "./taskStatus.js";
+
+export const RECURRENCE_FREQUENCIES = [
+  "DAILY",
+  "WEEKLY",
+  "EVERY_N_DAYS",
+  "MONTHLY",
+];
+
+// La corrida programada crea las ocurrencias hasta hoy + estos días, para
+// que entren en el recordatorio de "vence mañana".
+export const RECURRENCE_LOOKAHEAD_DAYS = 1;
+
+const MAX_INTERVAL = {
+  DAILY: 1,
+  EVERY_N_DAYS: 365,
+  WEEKLY: 52,
+  MONTHLY: 12,
+};
+
+const MAX_DURATION_DAYS = 365;
+// Tope de ocurrencias por serie en una sola corrida.
+const MAX_OCCURRENCES_PER_RUN = 31;
+
+const MS_DAY = 1000 * 60 * 60 * 24;
+
+export const TASK_RECURRENCE_SELECT = {
+  id: true,
+  farmId: true,
+  frequency: true,
+  interval: true,
+  weekdays: true,
+  monthDay: true,
+  startsOn: true,
+  endsOn: true,
+  title: true,
+  zone: true,
+  zoneId: true,
+  zoneType: true,
+  type: true,
+  priority: true,
+  assigneeId: true,
+  assignee: { select: ASSIGNEE_SELECT },
+  owner: true,
+  durationDays: true,
+  zoneProcessId: true,
+  nextOccurrenceOn: true,
+  lastOccurrenceOn: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const FREQUENCY_ALIASES = {
+  diaria: "DAILY",
+  diario: "DAILY",
+  daily: "DAILY",
+  semanal: "WEEKLY",
+  weekly: "WEEKLY",
+  cada_n_dias: "EVERY_N_DAYS",
+  every_n_days: "EVERY_N_DAYS",
+  mensual: "MONTHLY",
+  monthly: "MONTHLY",
+};
+
+const WEEKDAY_NAMES = [
+  ["domingo", "dom", "sunday", "sun"],
+  ["lunes", "lun", "monday", "mon"],
+  ["martes", "mar", "tuesday", "tue"],
+  ["miercoles", "mie", "wednesday", "wed"],
+  ["jueves", "jue", "thursday", "thu"],
+  ["viernes", "vie", "friday", "fri"],
+  ["sabado", "sab", "saturday", "sat"],
+];
+
+function normText(s) {
+  return String(s || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim();
+}
+
+/* =========================
+   Fechas (días a mediodía UTC, como start/due)
+========================= */
+
+function dayUTC(date) {
+  const d = new Date(date);
+  return new Date(
+    Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 12, 0, 0)
+  );
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * MS_DAY);
+}
+
+function daysBetween(from, to) {
+  return Math.round((dayUTC(to).getTime() - dayUTC(from).getTime()) / MS_DAY);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+export function todayUTC(now = new Date()) {
+  return dayUTC(now);
+}
+
+function parseDay(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : dayUTC(value);
+  }
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? "").trim());
+  if (!m) return null;
+
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], 12, 0, 0));
+  return d.getUTCDate() === +m[3] ? d : null;
+}
+
+/* =========================
+   Regla
+========================= */
+
+export function normalizeFrequency(value) {
+  if (typeof value !== "string") return null;
+
+  const upper = value.trim().toUpperCase();
+  if (RECURRENCE_FREQUENCIES.includes(upper)) return upper;
+
+  return FREQUENCY_ALIASES[normText(value).replace(/\s+/g, "_")] || null;
+}
+
+function parseWeekday(value) {
+  if (Number.isInteger(value) && value >= 0 && value <= 6) return value;
+
+  const key = normText(value);
+  const index = WEEKDAY_NAMES.findIndex((names) => names.includes(key));
+  return index >= 0 ? index : null;
+}
+
+/**
+ * Valida la regla de una serie: { frequency, interval?, weekdays?,
+ * monthDay?, startsOn, endsOn? }. Con `current` (PATCH) las claves que no
+ * vienen se toman de la serie actual. Devuelve { ok, data, errors }.
+ */
+export function parseRecurrenceRule(input, { current = null } = {}) {
+  const body = input && typeof input === "object" ? input : {};
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  const errors = [];
+
+  const frequency = has("frequency")
+    ? normalizeFrequency(body.frequency)
+    : (current?.frequency ?? null);
+  if (!frequency) {
+    errors.push(`frequency debe ser ${RECURRENCE_FREQUENCIES.join(", ")}.`);
+  }
+
+  const startsOn = has("startsOn")
+    ? parseDay(body.startsOn)
+    : (current?.startsOn ?? null);
+  if (!startsOn) errors.push("startsOn debe ser YYYY-MM-DD.");
+
+  let endsOn = current?.endsOn ?? null;
+  if (has("endsOn")) {
+    endsOn = body.endsOn ? parseDay(body.endsOn) : null;
+    if (body.endsOn && !endsOn) errors.push("endsOn debe ser YYYY-MM-DD.");
+  }
+  if (startsOn && endsOn && endsOn < startsOn) {
+    errors.push("endsOn no puede ser anterior a startsOn.");
+  }
+
+  if (errors.length > 0) return { ok: false, data: null, errors };
+
+  const sameFrequency = current?.frequency === frequency;
+
+  const interval = has("interval")
+    ? Number(body.interval)
+    : sameFrequency
+      ? current.interval
+      : 1;
+  if (frequency === "EVERY_N_DAYS" && !has("interval") && !sameFrequency) {
+    errors.push("interval es requerido para EVERY_N_DAYS.");
+  } else if (
+    !Number.isInteger(interval) ||
+    interval < 1 ||
+    interval > MAX_INTERVAL[frequency]
+  ) {
+    errors.push(
+      frequency === "DAILY"
+        ? "interval debe ser 1 para DAILY; usa EVERY_N_DAYS."
+        : `interval debe ser un entero entre 1 y ${MAX_INTERVAL[frequency]}.`
+    );
+  }
+
+  let weekdays = [];
+  if (frequency === "WEEKLY") {
+    const raw = has("weekdays")
+      ? body.weekdays
+      : sameFrequency
+        ? current.weekdays
+        : [startsOn.getUTCDay()];
+    const list = (Array.isArray(raw) ? raw : [raw]).map(parseWeekday);
+
+    if (list.length === 0 || list.some((d) => d === null)) {
+      errors.push("weekdays debe listar días de 0 (domingo) a 6 (sábado).");
+    } else {
+      weekdays = [...new Set(list)].sort((a, b) => a - b);
+    }
+  }
+
+  let monthDay = null;
+  if (frequency === "MONTHLY") {
+    monthDay = has("monthDay")
+      ? Number(body.monthDay)
+      : sameFrequency && current.monthDay
+        ? current.monthDay
+        : startsOn.getUTCDate();
+    if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) {
+      errors.push("monthDay debe ser un día del mes (1 a 31).");
+    }
+  }
+
+  return {
+    ok: errors.length === 0,
+    data: { frequency, interval, weekdays, monthDay, startsOn, endsOn },
+    errors,
+  };
+}
+
+/** durationDays (días entre start y due) o null si no es válido. */
+export function parseDurationDays(value) {
+  if (value === undefined || value === null || value === "") return 0;
+
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 && n <= MAX_DURATION_DAYS ? n : null;
+}
+
+// Semana que empieza el lunes, para contar "cada N semanas".
+function weekIndex(rule, date) {
+  const monday = (d) => addDays(d, -((d.getUTCDay() + 6) % 7));
+  return Math.round(
+    daysBetween(monday(dayUTC(rule.startsOn)), monday(date)) / 7
+  );
+}
+
+function matchesRule(rule, date) {
+  switch (rule.frequency) {
+    case "DAILY":
+    case "EVERY_N_DAYS":
+      return daysBetween(rule.startsOn, date) % rule.interval === 0;
+
+    case "WEEKLY":
+      return (
+        rule.weekdays.includes(date.getUTCDay()) &&
+        weekIndex(rule, date) % rule.interval === 0
+      );
+
+    case "MONTHLY": {
+      const start = dayUTC(rule.startsOn);
+      const months =
+        (date.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+        (date.getUTCMonth() - start.getUTCMonth());
+      const day = Math.min(
+        rule.monthDay,
+        daysInMonth(date.getUTCFullYear(), date.getUTCMonth())
+      );
+      return months % rule.interval === 0 && date.getUTCDate() === day;
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Primera fecha de la regla posterior a `after` (y no antes de startsOn),
+ * o null si la serie ya terminó (endsOn).
+ */
+export function nextOccurrenceDate(rule, after) {
+  const startsOn = dayUTC(rule.startsOn);
+  let date = dayUTC(after) < startsOn ? startsOn : addDays(dayUTC(after), 1);
+  const endsOn = rule.endsOn ? dayUTC(rule.endsOn) : null;
+
+  // Días y "cada N días" se calculan directo; semanas y meses se recorren
+  // (a lo sumo un intervalo completo).
+  if (rule.frequency === "DAILY" || rule.frequency === "EVERY_N_DAYS") {
+    const offset = daysBetween(startsOn, date) % rule.interval;
+    if (offset > 0) date = addDays(date, rule.interval - offset);
+  } else {
+    const maxSteps =
+      rule.frequency === "WEEKLY"
+        ? 7 * (rule.interval + 1)
+        : 31 * (rule.interval + 1);
+    let steps = 0;
+    while (!matchesRule(rule, date)) {
+      if (++steps > maxSteps) return null;
+      date = addDays(date, 1);
+    }
+  }
+
+  return endsOn && date > endsOn ? null : date;
+}
+
+/** Primera fecha de la regla en `date` o después. */
+export function occurrenceOnOrAfter(rule, date) {
+  return nextOccurrenceDate(rule, addDays(dayUTC(date), -1));
+}
+
+/** Las próximas `count` fechas de la regla desde `from` (inclusive). */
+export function previewOccurrences(rule, from, count = 5) {
+  const dates = [];
+  let date = occurrenceOnOrAfter(rule, from);
+
+  while (date && dates.length < count) {
+    dates.push(date);
+    date = nextOccurrenceDate(rule, date);
+  }
+
+  return dates;
+}
+
+/* =========================
+   Ocurrencias
+========================= */
+
+const OCCURRENCE_SELECT = {
+  id: true,
+  title: true,
+  start: true,
+  due: true,
+  status: true,
+  assigneeId: true,
+  occurrenceDate: true,
+};
+
+async function lockRecurrence(tx, recurrenceId) {
+  await tx.$queryRaw`SELECT "id" FROM "TaskRecurrence" WHERE "id" = ${recurrenceId} FOR UPDATE`;
+
+  return tx.taskRecurrence.findUnique({
+    where: { id: recurrenceId },
+    select: TASK_RECURRENCE_SELECT,
+  });
+}
+
+async function createOccurrence(tx, recurrence, date) {
+  const existing = await tx.task.findUnique({
+    where: {
+      recurrenceId_occurrenceDate: {
+        recurrenceId: recurrence.id,
+        occurrenceDate: date,
+      },
+    },
+    select: { id: true },
+  });
+  if (existing) return null;
+
+  return tx.task.create({
+    data: {
+      farmId: recurrence.farmId,
+      title: recurrence.title,
+      zone: recurrence.zone,
+      zoneId: recurrence.zoneId,
+      zoneType: recurrence.zoneType,
+      type: recurrence.type,
+      priority: recurrence.priority,
+      assigneeId: recurrence.assigneeId,
+      owner: recurrence.owner,
+      status: "PENDING",
+      start: date,
+      due: addDays(date, recurrence.durationDays),
+      zoneProcessId: recurrence.zoneProcessId,
+      recurrenceId: recurrence.id,
+      occurrenceDate: date,
+    },
+    select: OCCURRENCE_SELECT,
+  });
+}
+
+/**
+ * Crea las ocurrencias de la serie hasta `until` (inclusive). Las fechas
+ * anteriores a `today` que nunca se crearon se saltan: no se llenan días
+ * pasados. Con `atLeastOne` crea la siguiente aunque caiga después de
+ * `until`. Llamar dentro de una transacción. Devuelve las tareas creadas.
+ */
+async function advanceRecurrence(
+  tx,
+  recurrence,
+  { today, until, atLeastOne = false }
+) {
+  let next = recurrence.nextOccurrenceOn
+    ? dayUTC(recurrence.nextOccurrenceOn)
+    : null;
+  let last = recurrence.lastOccurrenceOn;
+  const created = [];
+
+  if (next && next < today) next = occurrenceOnOrAfter(recurrence, today);
+
+  while (
+    next &&
+    created.length < MAX_OCCURRENCES_PER_RUN &&
+    (next <= until || (atLeastOne && created.length === 0))
+  ) {
+    const task = await createOccurrence(tx, recurrence, next);
+    if (task) created.push(task);
+    last = next;
+    next = nextOccurrenceDate(recurrence, next);
+  }
+
+  const changed =
+    (next?.getTime() ?? null) !==
+      (recurrence.nextOccurrenceOn?.getTime() ?? null) ||
+    (last?.getTime() ?? null) !==
+      (recurrence.lastOccurrenceOn?.getTime() ?? null);
+
+  if (changed) {
+    await tx.taskRecurrence.update({
+      where: { id: recurrence.id },
+      data: { nextOccurrenceOn: next, lastOccurrenceOn: last },
+    });
+  }
+
+  return created;
+}
+
+/**
+ * Para una serie recién creada o con la regla cambiada: calcula la próxima
+ * fecha desde startsOn (o después de la última ocurrencia creada) y crea la
+ * primera ocurrencia abierta si no hay ninguna. Devuelve { recurrence,
+ * created }.
+ */
+export async function scheduleRecurrence(tx, recurrenceId, now = new Date()) {
+  const recurrence = await lockRecurrence(tx, recurrenceId);
+  if (!recurrence) return { recurrence: null, created: [] };
+
+  const from = recurrence.lastOccurrenceOn
+    ? addDays(dayUTC(recurrence.lastOccurrenceOn), 1)
+    : recurrence.startsOn;
+  const next = occurrenceOnOrAfter(recurrence, from);
+
+  await tx.taskRecurrence.update({
+    where: { id: recurrence.id },
+    data: { nextOccurrenceOn: next },
+  });
+
+  const created = await ensureOpenOccurrence(tx, recurrenceId, now);
+  const updated = await tx.taskRecurrence.findUnique({
+    where: { id: recurrenceId },
+    select: TASK_RECURRENCE_SELECT,
+  });
+
+  return { recurrence: updated, created };
+}
+
+/**
+ * Después de completar, saltar o borrar una ocurrencia: si la serie ya no
+ * tiene ninguna abierta, crea la siguiente (la primera desde hoy). Devuelve
+ * las tareas creadas.
+ */
+export async function ensureOpenOccurrence(tx, recurrenceId, now = new Date()) {
+  const today = todayUTC(now);
+  const recurrence = await lockRecurrence(tx, recurrenceId);
+  if (!recurrence) return [];
+
+  const open = await tx.task.count({
+    where: { recurrenceId, status: { notIn: CLOSED_TASK_STATUSES } },
+  });
+
+  return advanceRecurrence(tx, recurrence, {
+    today,
+    until: addDays(today, RECURRENCE_LOOKAHEAD_DAYS),
+    atLeastOne: open === 0,
+  });
+}
+
+/**
+ * Corrida programada (ver /api/admin/run-task-reminders): crea en cada
+ * serie las ocurrencias que caen hasta mañana. Devuelve un resumen.
+ */
+export async function runTaskRecurrences(
+  prisma,
+  { now = new Date(), farmId = null } = {}
+) {
+  const today = todayUTC(now);
+  const until = addDays(today, RECURRENCE_LOOKAHEAD_DAYS);
+
+  const due = await prisma.taskRecurrence.findMany({
+    where: {
+      ...(farmId ? { farmId } : {}),
+      nextOccurrenceOn: { lte: until },
+    },
+    select: { id: true },
+    orderBy: { nextOccurrenceOn: "asc" },
+  });
+
+  let created = 0;
+
+  for (const { id } of due) {
+    created += await prisma.$transaction(async (tx) => {
+      const recurrence = await lockRecurrence(tx, id);
+      if (!recurrence) return 0;
+
+      const tasks = await advanceRecurrence(tx, recurrence, { today, until });
+      return tasks.length;
+    });
+  }
+
+  return { ok: true, scanned: due.length, created };
+}
+
+/* =========================
+   Texto
+========================= */
+
+const WEEKDAY_LABELS = [
+  "domingo",
+  "lunes",
+  "martes",
+  "miércoles",
+  "jueves",
+  "viernes",
+  "sábado",
+];
+
+/** "Cada 2 semanas: lunes, jueves", "Cada mes el día 15"... */
+export function describeRecurrence(rule) {
+  const n = rule.interval;
+
+  switch (rule.frequency) {
+    case "DAILY":
+      return "Todos los días";
+    case "EVERY_N_DAYS":
+      return n === 1 ? "Todos los días" : `Cada ${n} días`;
+    case "WEEKLY":
+      return `${n === 1 ? "Cada semana" : `Cada ${n} semanas`}: ${rule.weekdays
+        .map((d) => WEEKDAY_LABELS[d])
+        .join(", ")}`;
+    case "MONTHLY":
+      return `${n === 1 ? "Cada mes" : `Cada ${n} meses`} el día ${rule.monthDay}`;
+    default:
+      return "";
+  }
+}
@@ -1,5 +1,10 @@
 // src/services/taskReminderService.js
 import { sendEmail } from "./emailService.js";
+import { ASSIGNEE_SELECT, reminderRecipient } from "./taskAssignees.js";
+import {
+  CLOSED_TASK_STATUSES,
+  TASK_PRIORITY_LABELS,
+} from "./taskStatus.js";
 
 function startOfDay(date) {
   const d = new Date(date);
@@ -39,7 +44,7 @@ function buildTasksTableHtml(tasks) {
           <td style="padding:10px;border-bottom:1px solid #e5e7eb;">${task.title}</td>
           <td style="padding:10px;border-bottom:1px solid #e5e7eb;">${task.zone || "—"}</td>
           <td style="padding:10px;border-bottom:1px solid #e5e7eb;">${task.type || "—"}</td>
-          <td style="padding:10px;border-bottom:1px solid #e5e7eb;">${task.priority || "—"}</td>
+          <td style="padding:10px;border-bottom:1px solid #e5e7eb;">${TASK_PRIORITY_LABELS[task.priority] || "—"}</td>
           <td style="padding:10px;border-bottom:1px solid #e5e7eb;">${formatDateCR(task.due)}</td>
         </tr>
       `
@@ -52,7 +57,7 @@ function buildTasksTextLines(tasks) {
     (task) =>
       `- ${task.title} | Zona: ${task.zone || "—"} | Tipo: ${
         task.type || "—"
-      } | Prioridad: ${task.priority || "—"} | Vence: ${formatDateCR(task.due)}`
+      } | Prioridad: ${TASK_PRIORITY_LABELS[task.priority] || "—"} | Vence: ${formatDateCR(task.due)}`
   );
 }
 
@@ -133,12 +138,15 @@ function buildTaskDueTodayEmail({ userName, farmName, tasks }) {
   });
 }
 
+// Un correo por destinatario y finca: el miembro asignado a la tarea o, si
+// no hay, el creador de la finca.
 async function sendGroupedTaskEmails({ tasks, buildEmailPayload }) {
   const groupedByUserAndFarm = new Map();
 
   for (const task of tasks) {
-    const userEmail = task?.farm?.user?.email;
-    const userId = task?.farm?.user?.id;
+    const recipient = reminderRecipient(task);
+    const userEmail = recipient?.email;
+    const userId = recipient?.id;
     const farmId = task?.farm?.id;
 
     if (!userEmail || !userId || !farmId) continue;
@@ -148,7 +156,7 @@ async function sendGroupedTaskEmails({ tasks, buildEmailPayload }) {
     if (!groupedByUserAndFarm.has(key)) {
       groupedByUserAndFarm.set(key, {
         userEmail,
-        userName: task.farm.user.name || "",
+        userName: recipient.name || "",
         farmName: task.farm.name || "Mi finca",
         tasks: [],
       });
@@ -188,7 +196,7 @@ export async function sendDueTodayTaskReminders(prisma) {
         lte: todayEnd,
       },
       status: {
-        not: "Completada",
+        notIn: CLOSED_TASK_STATUSES,
       },
     },
     include: {
@@ -197,6 +205,9 @@ export async function sendDueTodayTaskReminders(prisma) {
           user: true,
         },
       },
+      assignee: {
+        select: ASSIGNEE_SELECT,
+      },
     },
     orderBy: [{ due: "asc" }, { createdAt: "asc" }],
   });
@@ -240,7 +251,7 @@ export async function sendDueTomorrowTaskReminders(prisma) {
         lte: tomorrowEnd,
       },
       status: {
-        not: "Completada",
+        notIn: CLOSED_TASK_STATUSES,
       },
     },
     include: {
@@ -249,6 +260,9 @@ export async function sendDueTomorrowTaskReminders(prisma) {
           user: true,
         },
       },
+      assignee: {
+        select: ASSIGNEE_SELECT,
+      },
     },
     orderBy: [{ due: "asc" }, { createdAt: "asc" }],
   });
@@ -0,0 +1,430 @@
+// src/services/taskSchedule.js
+//
+// Dependencias fin-inicio entre tareas (TaskDependency) y el cronograma que
+// sale de ellas: se empujan hacia adelante las fechas de los sucesores
+// cuando un predecesor se atrasa y se calcula holgura y ruta crítica para
+// el Gantt.
+//
+// Las fechas de una tarea son días (UTC mediodía) y la tarea ocupa de
+// start a due inclusive. Un sucesor puede empezar el día siguiente al due
+// de su predecesor más lagDays. El cálculo nunca adelanta una tarea: solo
+// la mueve hacia adelante y conserva su duración.
+
+import { CLOSED_TASK_STATUSES } from "./taskStatus.js";
+
+const MS_DAY = 1000 * 60 * 60 * 24;
+const MAX_LAG_DAYS = 365;
+
+export const TASK_DEPENDENCY_SELECT = {
+  id: true,
+  predecessorId: true,
+  successorId: true,
+  lagDays: true,
+  createdAt: true,
+};
+
+export const SCHEDULE_TASK_SELECT = {
+  id: true,
+  title: true,
+  status: true,
+  priority: true,
+  start: true,
+  due: true,
+  completedAt: true,
+  zoneProcessId: true,
+  zoneProcessStepId: true,
+  assigneeId: true,
+  owner: true,
+};
+
+function dayUTC(date) {
+  const d = new Date(date);
+  return new Date(
+    Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 12, 0, 0)
+  );
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * MS_DAY);
+}
+
+function daysBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / MS_DAY);
+}
+
+function maxDate(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return a.getTime() >= b.getTime() ? a : b;
+}
+
+function minDate(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return a.getTime() <= b.getTime() ? a : b;
+}
+
+// Vacío = 0. Devuelve null si no es un entero entre 0 y MAX_LAG_DAYS.
+export function parseLagDays(value) {
+  if (value === undefined || value === null || value === "") return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > MAX_LAG_DAYS) return null;
+  return n;
+}
+
+/**
+ * Camino de `fromId` a `toId` siguiendo predecesor -> sucesor, o null si no
+ * hay. Sirve para detectar ciclos: agregar P -> S cierra un ciclo si ya
+ * existe un camino de S a P.
+ */
+export function findDependencyPath(dependencies, fromId, toId) {
+  const next = new Map();
+  for (const dep of dependencies) {
+    if (!next.has(dep.predecessorId)) next.set(dep.predecessorId, []);
+    next.get(dep.predecessorId).push(dep.successorId);
+  }
+
+  const cameFrom = new Map([[fromId, null]]);
+  const queue = [fromId];
+
+  while (queue.length) {
+    const id = queue.shift();
+
+    if (id === toId) {
+      const path = [];
+      for (let at = id; at !== null; at = cameFrom.get(at)) path.unshift(at);
+      return path;
+    }
+
+    for (const succ of next.get(id) || []) {
+      if (cameFrom.has(succ)) continue;
+      cameFrom.set(succ, id);
+      queue.push(succ);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Crea la dependencia `predecessorId` -> `successorId` dentro de una
+ * transacción. Bloquea la finca para que dos altas simultáneas no cierren
+ * un ciclo entre las dos. Devuelve { ok, dependency } o
+ * { ok: false, status, error, cycle? }.
+ */
+export async function addTaskDependency(
+  tx,
+  farmId,
+  { predecessorId, successorId, lagDays = 0 }
+) {
+  if (predecessorId === successorId) {
+    return {
+      ok: false,
+      status: 400,
+      error: "Una tarea no puede depender de sí misma.",
+    };
+  }
+
+  await tx.$queryRaw`SELECT "id" FROM "Farm" WHERE "id" = ${farmId} FOR UPDATE`;
+
+  const tasks = await tx.task.findMany({
+    where: { farmId, id: { in: [predecessorId, successorId] } },
+    select: { id: true },
+  });
+
+  if (!tasks.some((t) => t.id === successorId)) {
+    return { ok: false, status: 404, error: "Tarea no encontrada." };
+  }
+  if (!tasks.some((t) => t.id === predecessorId)) {
+    return {
+      ok: false,
+      status: 400,
+      error: "predecessorId no es una tarea de esta finca.",
+    };
+  }
+
+  const dependencies = await tx.taskDependency.findMany({
+    where: { farmId },
+    select: { predecessorId: true, successorId: true },
+  });
+
+  if (
+    dependencies.some(
+      (d) => d.predecessorId === predecessorId && d.successorId === successorId
+    )
+  ) {
+    return { ok: false, status: 409, error: "La dependencia ya existe." };
+  }
+
+  const path = findDependencyPath(dependencies, successorId, predecessorId);
+  if (path) {
+    return {
+      ok: false,
+      status: 409,
+      error: "La dependencia crearía un ciclo entre tareas.",
+      cycle: [...path, successorId],
+    };
+  }
+
+  const dependency = await tx.taskDependency.create({
+    data: { farmId, predecessorId, successorId, lagDays },
+    select: TASK_DEPENDENCY_SELECT,
+  });
+
+  return { ok: true, dependency };
+}
+
+/* =========================
+   Cronograma
+========================= */
+
+// Día desde el que un predecesor deja libre al sucesor (sin contar lag).
+// Una tarea cancelada no bloquea; una completada cuenta desde que se
+// completó si fue después de su due.
+function releaseDay(node) {
+  if (node.status === "CANCELLED") return null;
+  if (node.status === "DONE" && node.completedAt) {
+    return addDays(maxDate(node.scheduledDue, dayUTC(node.completedAt)), 1);
+  }
+  return addDays(node.scheduledDue, 1);
+}
+
+function toNode(task, inScope) {
+  const start = dayUTC(task.start);
+  const due = dayUTC(task.due);
+
+  return {
+    ...task,
+    start,
+    due,
+    duration: Math.max(daysBetween(start, due), 0),
+    closed: CLOSED_TASK_STATUSES.includes(task.status),
+    inScope,
+    scheduledStart: start,
+    scheduledDue: due,
+  };
+}
+
+/**
+ * Calcula el cronograma de `tasks`. `external` son tareas fuera del alcance
+ * (p. ej. de otro proceso o ya cerradas) que restringen como predecesoras
+ * pero no se mueven ni salen en el resultado. Las tareas cerradas tampoco
+ * se mueven. Devuelve { tasks, links, criticalPath, projectStart,
+ * projectEnd }; cada tarea trae scheduledStart/scheduledDue, shiftDays,
+ * lateStart/lateFinish, slackDays y critical.
+ */
+export function computeSchedule(tasks, dependencies, { external = [] } = {}) {
+  const nodes = new Map();
+  for (const task of external) nodes.set(task.id, toNode(task, false));
+  for (const task of tasks) nodes.set(task.id, toNode(task, true));
+
+  const links = dependencies.filter(
+    (d) => nodes.get(d.successorId)?.inScope && nodes.has(d.predecessorId)
+  );
+
+  const preds = new Map();
+  const succs = new Map();
+  for (const task of tasks) {
+    preds.set(task.id, []);
+    succs.set(task.id, []);
+  }
+  for (const link of links) {
+    preds.get(link.successorId).push(link);
+    if (succs.has(link.predecessorId)) succs.get(link.predecessorId).push(link);
+  }
+
+  // Orden topológico de las tareas del alcance (Kahn). Las dependencias se
+  // validan al crearlas; si igual hubiera un ciclo, esas tareas quedan
+  // fuera del cálculo y salen al final con sus fechas actuales.
+  const pending = new Map(
+    tasks.map((t) => [
+      t.id,
+      preds.get(t.id).filter((l) => succs.has(l.predecessorId)).length,
+    ])
+  );
+  const order = [];
+  const queue = tasks.filter((t) => pending.get(t.id) === 0).map((t) => t.id);
+
+  while (queue.length) {
+    const id = queue.shift();
+    order.push(id);
+    for (const link of succs.get(id)) {
+      pending.set(link.successorId, pending.get(link.successorId) - 1);
+      if (pending.get(link.successorId) === 0) queue.push(link.successorId);
+    }
+  }
+
+  // Ida: cada tarea abierta empieza cuando la liberan sus predecesores.
+  for (const id of order) {
+    const node = nodes.get(id);
+    if (node.closed) continue;
+
+    let earliest = null;
+    for (const link of preds.get(id)) {
+      const release = releaseDay(nodes.get(link.predecessorId));
+      if (release) earliest = maxDate(earliest, addDays(release, link.lagDays));
+    }
+
+    if (earliest && earliest.getTime() > node.scheduledStart.getTime()) {
+      node.scheduledStart = earliest;
+      node.scheduledDue = addDays(earliest, node.duration);
+    }
+  }
+
+  const inScope = order.map((id) => nodes.get(id));
+  const ordered = new Set(order);
+  const inCycle = tasks
+    .filter((t) => !ordered.has(t.id))
+    .map((t) => nodes.get(t.id));
+  let projectStart = null;
+  let projectEnd = null;
+  for (const node of inScope) {
+    projectStart = minDate(projectStart, node.scheduledStart);
+    projectEnd = maxDate(projectEnd, node.scheduledDue);
+  }
+
+  // Vuelta: lo más tarde que puede terminar cada tarea abierta sin atrasar
+  // a sus sucesores abiertos ni el final del cronograma.
+  for (const node of [...inScope].reverse()) {
+    if (node.closed) continue;
+
+    let lateFinish = projectEnd;
+    for (const link of succs.get(node.id)) {
+      const succ = nodes.get(link.successorId);
+      // Los sucesores en un ciclo no tienen fechas calculadas.
+      if (succ.closed || !succ.lateStart) continue;
+      lateFinish = minDate(
+        lateFinish,
+        addDays(succ.lateStart, -1 - link.lagDays)
+      );
+    }
+
+    node.lateFinish = lateFinish;
+    node.lateStart = addDays(lateFinish, -node.duration);
+  }
+
+  const result = [...inScope, ...inCycle].map((node) => {
+    const slackDays = node.lateStart
+      ? daysBetween(node.scheduledStart, node.lateStart)
+      : null;
+
+    return {
+      id: node.id,
+      title: node.title,
+      status: node.status,
+      priority: node.priority,
+      zoneProcessId: node.zoneProcessId,
+      zoneProcessStepId: node.zoneProcessStepId,
+      assigneeId: node.assigneeId,
+      owner: node.owner,
+      start: node.start,
+      due: node.due,
+      durationDays: node.duration + 1,
+      scheduledStart: node.scheduledStart,
+      scheduledDue: node.scheduledDue,
+      shiftDays: daysBetween(node.start, node.scheduledStart),
+      lateStart: node.lateStart ?? null,
+      lateFinish: node.lateFinish ?? null,
+      slackDays,
+      critical: slackDays === 0,
+      predecessors: preds.get(node.id).map((l) => l.predecessorId),
+      successors: succs.get(node.id).map((l) => l.successorId),
+    };
+  });
+
+  const criticalPath = result
+    .filter((t) => t.critical)
+    .sort((a, b) => a.scheduledStart.getTime() - b.scheduledStart.getTime())
+    .map((t) => t.id);
+
+  return {
+    tasks: result,
+    links: links.map((l) => ({ ...l, type: "FS" })),
+    criticalPath,
+    projectStart,
+    projectEnd,
+  };
+}
+
+/**
+ * Carga las tareas de la finca (o de un ZoneProcess) con sus dependencias y
+ * calcula el cronograma. Sin `includeClosed` las tareas cerradas quedan
+ * fuera del resultado, pero siguen contando como predecesoras.
+ */
+export async function loadSchedule(
+  db,
+  farmId,
+  { zoneProcessId = null, includeClosed = false } = {}
+) {
+  const tasks = await db.task.findMany({
+    where: {
+      farmId,
+      ...(zoneProcessId ? { zoneProcessId } : {}),
+      ...(includeClosed ? {} : { status: { notIn: CLOSED_TASK_STATUSES } }),
+    },
+    orderBy: [{ start: "asc" }, { createdAt: "asc" }],
+    select: SCHEDULE_TASK_SELECT,
+  });
+
+  const ids = tasks.map((t) => t.id);
+  const dependencies = await db.taskDependency.findMany({
+    where: {
+      farmId,
+      OR: [{ successorId: { in: ids } }, { predecessorId: { in: ids } }],
+    },
+    select: TASK_DEPENDENCY_SELECT,
+  });
+
+  const inScope = new Set(ids);
+  const externalIds = [
+    ...new Set(
+      dependencies
+        .filter((d) => inScope.has(d.successorId))
+        .map((d) => d.predecessorId)
+        .filter((id) => !inScope.has(id))
+    ),
+  ];
+
+  const external = externalIds.length
+    ? await db.task.findMany({
+        where: { id: { in: externalIds } },
+        select: SCHEDULE_TASK_SELECT,
+      })
+    : [];
+
+  return computeSchedule(tasks, dependencies, { external });
+}
+
+/**
+ * Recalcula y guarda las fechas que hay que empujar. Llamar dentro de una
+ * transacción; bloquea la finca. Devuelve { schedule, moved }.
+ */
+export async function applySchedule(tx, farmId, options = {}) {
+  await tx.$queryRaw`SELECT "id" FROM "Farm" WHERE "id" = ${farmId} FOR UPDATE`;
+
+  const schedule = await loadSchedule(tx, farmId, options);
+  const moved = [];
+
+  for (const task of schedule.tasks) {
+    if (task.shiftDays <= 0) continue;
+
+    await tx.task.update({
+      where: { id: task.id },
+      data: { start: task.scheduledStart, due: task.scheduledDue },
+    });
+
+    moved.push({
+      id: task.id,
+      title: task.title,
+      shiftDays: task.shiftDays,
+      from: { start: task.start, due: task.due },
+      to: { start: task.scheduledStart, due: task.scheduledDue },
+    });
+  }
+
+  // Si algo se movió, se devuelve el cronograma ya con las fechas nuevas.
+  if (moved.length) {
+    return { schedule: await loadSchedule(tx, farmId, options), moved };
+  }
+  return { schedule, moved };
+}
@@ -0,0 +1,150 @@
+// src/services/taskStatus.js
+//
+// Estado y prioridad de las tareas (enums TaskStatus y TaskPriority) y el
+// flujo permitido entre estados:
+//
+//   PENDING -> IN_PROGRESS -> DONE
+//      |            |
+//      +------------+------> CANCELLED
+//
+// Se puede reabrir una tarea completada (vuelve a IN_PROGRESS) o restaurar
+// una cancelada (vuelve a PENDING). Las etapas de proceso (ZoneProcessStep)
+// siguen con estado de texto libre.
+
+export const TASK_STATUSES = ["PENDING", "IN_PROGRESS", "DONE", "CANCELLED"];
+export const TASK_PRIORITIES = ["LOW", "MEDIUM", "HIGH"];
+
+export const CLOSED_TASK_STATUSES = ["DONE", "CANCELLED"];
+export const CLOSED_STEP_STATUSES = ["Completada", "Cancelada"];
+
+export const TASK_STATUS_LABELS = {
+  PENDING: "Pendiente",
+  IN_PROGRESS: "En progreso",
+  DONE: "Completada",
+  CANCELLED: "Cancelada",
+};
+
+export const TASK_PRIORITY_LABELS = {
+  LOW: "Baja",
+  MEDIUM: "Media",
+  HIGH: "Alta",
+};
+
+export const TASK_STATUS_TRANSITIONS = {
+  PENDING: ["IN_PROGRESS", "CANCELLED"],
+  IN_PROGRESS: ["PENDING", "DONE", "CANCELLED"],
+  DONE: ["IN_PROGRESS"],
+  CANCELLED: ["PENDING"],
+};
+
+// Mismos alias que normaliza la migración 20261019150000.
+const STATUS_ALIASES = {
+  pendiente: "PENDING",
+  pending: "PENDING",
+  por_hacer: "PENDING",
+  todo: "PENDING",
+  en_progreso: "IN_PROGRESS",
+  en_proceso: "IN_PROGRESS",
+  en_curso: "IN_PROGRESS",
+  in_progress: "IN_PROGRESS",
+  completada: "DONE",
+  completado: "DONE",
+  terminada: "DONE",
+  terminado: "DONE",
+  hecha: "DONE",
+  hecho: "DONE",
+  done: "DONE",
+  completed: "DONE",
+  cancelada: "CANCELLED",
+  cancelado: "CANCELLED",
+  cancelled: "CANCELLED",
+  canceled: "CANCELLED",
+};
+
+const PRIORITY_ALIASES = {
+  baja: "LOW",
+  low: "LOW",
+  media: "MEDIUM",
+  medium: "MEDIUM",
+  normal: "MEDIUM",
+  alta: "HIGH",
+  high: "HIGH",
+  urgente: "HIGH",
+};
+
+function aliasKey(value) {
+  return String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+}
+
+export function normalizeTaskStatus(value) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  if (TASK_STATUSES.includes(value.trim())) return value.trim();
+  return STATUS_ALIASES[aliasKey(value)] || null;
+}
+
+export function normalizeTaskPriority(value) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  if (TASK_PRIORITIES.includes(value.trim())) return value.trim();
+  return PRIORITY_ALIASES[aliasKey(value)] || null;
+}
+
+// Para valores que vienen en el body: vacío usa el default; un valor que no
+// se reconoce devuelve null.
+export function readTaskStatus(value, fallback = "PENDING") {
+  if (value === undefined || value === null || value === "") return fallback;
+  return normalizeTaskStatus(value);
+}
+
+export function readTaskPriority(value, fallback = "MEDIUM") {
+  if (value === undefined || value === null || value === "") return fallback;
+  return normalizeTaskPriority(value);
+}
+
+export function isTaskClosed(status) {
+  return CLOSED_TASK_STATUSES.includes(status);
+}
+
+export function canTransition(from, to) {
+  return from === to || (TASK_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Campos a escribir cuando una tarea pasa a `to`: al completarla se guarda
+ * cuándo y quién; al salir de DONE se limpian. Devuelve { data } o
+ * { error, allowed } si el cambio no está permitido. Sin cambio de estado,
+ * data va vacío.
+ */
+export function taskStatusChange(from, to, userId, now = new Date()) {
+  if (from === to) return { data: {} };
+
+  if (!canTransition(from, to)) {
+    return {
+      error: `No se puede pasar de ${TASK_STATUS_LABELS[from]} a ${TASK_STATUS_LABELS[to]}.`,
+      allowed: TASK_STATUS_TRANSITIONS[from] || [],
+    };
+  }
+
+  if (to === "DONE") {
+    return {
+      data: { status: to, completedAt: now, completedById: userId || null },
+    };
+  }
+
+  return { data: { status: to, completedAt: null, completedById: null } };
+}
+
+/**
+ * Estado inicial al crear una tarea. Si nace completada (p. ej. trabajo ya
+ * hecho que se registra) también lleva completedAt/completedById.
+ */
+export function initialTaskStatus(status, userId, now = new Date()) {
+  if (status === "DONE") {
+    return { status, completedAt: now, completedById: userId || null };
+  }
+  return { status };
+}
@@ -0,0 +1,131 @@
+// src/services/uploadStorage.js
+
+import multer from "multer";
+import path from "path";
+import { getStorage, storageKey } from "./storage/index.js";
+import { signedUrlTtlSeconds } from "./storage/signing.js";
+
+/**
+ * Guarda un archivo recibido por multer en el driver activo y devuelve la
+ * URL que genera ese driver.
+ */
+export async function saveUploadedFile(subdir, file) {
+  return saveStoredFile(subdir, file.filename, file.buffer, file.mimetype);
+}
+
+export async function saveStoredFile(subdir, filename, body, contentType) {
+  const storage = getStorage();
+  const key = storageKey(subdir, filename);
+
+  await storage.put(key, body, { contentType });
+
+  return storage.urlFor(key);
+}
+
+export async function removeStoredFile(subdir, filename) {
+  if (!filename) return;
+
+  try {
+    await getStorage().remove(storageKey(subdir, filename));
+  } catch (err) {
+    console.warn("UPLOAD_REMOVE_WARN:", err?.message || err);
+  }
+}
+
+export async function signStoredFile(
+  subdir,
+  filename,
+  expiresInSeconds = signedUrlTtlSeconds()
+) {
+  return getStorage().signedUrl(storageKey(subdir, filename), expiresInSeconds);
+}
+
+/**
+ * Reemplaza `url` por un enlace firmado de corta duración y agrega
+ * `urlExpiresAt`. El enlace se arma desde `filename`, así que también
+ * funciona con URLs guardadas antes de las firmas o por otro driver.
+ * Llamar solo después de comprobar que el usuario es miembro de la finca.
+ */
+export async function withSignedUrl(subdir, record) {
+  if (!record?.filename) return record;
+
+  const ttl = signedUrlTtlSeconds();
+  const url = await signStoredFile(subdir, record.filename, ttl);
+
+  return {
+    ...record,
+    url,
+    urlExpiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
+  };
+}
+
+/**
+ * Middleware de multer para un solo archivo. El archivo queda en memoria
+ * (req.file.buffer) con un nombre seguro en req.file.filename; la ruta lo
+ * guarda con saveUploadedFile después de validar permisos.
+ *
+ * `allowedTypes` asocia cada MIME permitido con sus extensiones válidas; la
+ * primera es la de respaldo cuando el nombre original no trae una de ellas.
+ */
+export function createSingleFileUpload({
+  fieldName,
+  filenamePrefix,
+  allowedTypes,
+  maxFileSizeBytes,
+  invalidTypeMessage,
+  tooLargeMessage,
+}) {
+  const allowedExtensions = new Set(Object.values(allowedTypes).flat());
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileSizeBytes,
+      files: 1,
+    },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes[file.mimetype]) {
+        cb(new Error(invalidTypeMessage));
+        return;
+      }
+
+      cb(null, true);
+    },
+  });
+
+  function safeFilename(file) {
+    const extFromName = path.extname(file.originalname || "").toLowerCase();
+    const extFromMime = allowedTypes[file.mimetype]?.[0] || "";
+
+    const ext = allowedExtensions.has(extFromName) ? extFromName : extFromMime;
+
+    return `${filenamePrefix}-${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 10)}${ext}`;
+  }
+
+  return function singleFileUpload(req, res, next) {
+    upload.single(fieldName)(req, res, (err) => {
+      if (!err) {
+        if (req.file) req.file.filename = safeFilename(req.file);
+        return next();
+      }
+
+      if (err instanceof multer.MulterError) {
+        if (err.code === "LIMIT_FILE_SIZE") {
+          return res.status(413).json({
+            error: tooLargeMessage,
+          });
+        }
+
+        return res.status(400).json({
+          error: err.message || "No se pudo procesar el archivo.",
+        });
+      }
+
+      return res.status(400).json({
+        error: err?.message || "Archivo inválido.",
+      });
+    });
+  };
+}
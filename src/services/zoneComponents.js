@@ -0,0 +1,697 @@
+// src/services/zoneComponents.js
+//
+// Componentes de una zona (ZoneComponent): cultivos, grupos de animales,
+// infraestructura y equipo. Antes eran JSON libre en MapZone.components;
+// `readZoneComponentList` todavía entiende esas formas viejas para la
+// migración y para clientes que siguen mandando el JSON con el mapa.
+
+import pkg from "@prisma/client";
+
+const { Prisma } = pkg;
+
+export const ZONE_COMPONENT_TYPES = [
+  "CROP",
+  "ANIMAL_GROUP",
+  "INFRASTRUCTURE",
+  "EQUIPMENT",
+  "OTHER",
+];
+
+export const ZONE_COMPONENT_SELECT = {
+  id: true,
+  zoneId: true,
+  type: true,
+  name: true,
+  quantity: true,
+  unit: true,
+  variety: true,
+  startedAt: true,
+  notes: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// Lo que se guarda en las versiones del mapa (sin fechas del sistema).
+export const ZONE_COMPONENT_SNAPSHOT_SELECT = {
+  id: true,
+  type: true,
+  name: true,
+  quantity: true,
+  unit: true,
+  variety: true,
+  startedAt: true,
+  notes: true,
+};
+
+export const ZONE_COMPONENT_ORDER = [{ createdAt: "asc" }, { id: "asc" }];
+
+const MAX_COMPONENTS_PER_ZONE = 200;
+const MAX_ID_LENGTH = 64;
+
+function normText(s) {
+  return String(s || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim();
+}
+
+/* =========================
+   Tipos
+========================= */
+
+const TYPE_ALIASES = {
+  crop: "CROP",
+  cultivo: "CROP",
+  cultivos: "CROP",
+  animal: "ANIMAL_GROUP",
+  animales: "ANIMAL_GROUP",
+  animal_group: "ANIMAL_GROUP",
+  ganado: "ANIMAL_GROUP",
+  infrastructure: "INFRASTRUCTURE",
+  infraestructura: "INFRASTRUCTURE",
+  equipment: "EQUIPMENT",
+  equipo: "EQUIPMENT",
+  equipos: "EQUIPMENT",
+  other: "OTHER",
+  otro: "OTHER",
+};
+
+// Palabras con las que se clasificaban los componentes del JSON viejo.
+const TYPE_KEYWORDS = [
+  ["CROP", /(cultivo|crop|planta|siembra|hortaliza|frutal|pasto)/],
+  [
+    "ANIMAL_GROUP",
+    /(animal|ganado|livestock|vaca|toro|ternero|cerdo|gallina|pollo|cabra|oveja|caballo|tilapia|colmena)/,
+  ],
+  [
+    "INFRASTRUCTURE",
+    /(infraestructura|instalacion|corral|establo|bodega|galera|galpon|invernadero|pozo|tanque|reservorio|estanque|cerca|porqueriza|gallinero)/,
+  ],
+  ["EQUIPMENT", /(equipo|maquina|tractor|bomba|motor|herramienta|sensor)/],
+];
+
+/** "crop", "Cultivo", "ANIMAL_GROUP"... -> tipo del enum, o null. */
+export function normalizeComponentType(value) {
+  if (typeof value !== "string") return null;
+
+  const upper = value.trim().toUpperCase();
+  if (ZONE_COMPONENT_TYPES.includes(upper)) return upper;
+
+  return TYPE_ALIASES[normText(value).replace(/\s+/g, "_")] || null;
+}
+
+function guessType(...texts) {
+  const hay = normText(texts.filter(Boolean).join(" "));
+  if (!hay) return null;
+
+  for (const [type, pattern] of TYPE_KEYWORDS) {
+    if (pattern.test(hay)) return type;
+  }
+  return null;
+}
+
+/* =========================
+   Validación
+========================= */
+
+function cleanText(value, max) {
+  if (typeof value !== "string") return null;
+  const s = value.trim();
+  return s ? s.slice(0, max) : null;
+}
+
+function cleanComponentId(value) {
+  if (typeof value !== "string") return null;
+  const s = value.trim();
+  return s && s.length <= MAX_ID_LENGTH ? s : null;
+}
+
+function parseDate(value) {
+  if (value instanceof Date)
+    return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value !== "string" || !value.trim()) return null;
+
+  const s = value.trim();
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+  const d = dateOnly
+    ? new Date(Date.UTC(+dateOnly[1], +dateOnly[2] - 1, +dateOnly[3], 12))
+    : new Date(s);
+
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Valida un componente del cliente. Con `partial` solo se revisan las
+ * claves presentes (para PATCH). Devuelve { ok, data, errors } con `data`
+ * listo para Prisma.
+ */
+export function parseZoneComponentInput(input, { partial = false } = {}) {
+  const body = input && typeof input === "object" ? input : {};
+  const has = (key) => Object.prototype.hasOwnProperty.call(body, key);
+  const data = {};
+  const errors = [];
+
+  if (!partial || has("type")) {
+    const type = normalizeComponentType(body.type);
+    if (!type) {
+      errors.push(`type debe ser ${ZONE_COMPONENT_TYPES.join(", ")}.`);
+    } else {
+      data.type = type;
+    }
+  }
+
+  if (!partial || has("name")) {
+    const name = cleanText(body.name, 80);
+    if (!name) errors.push("name es requerido.");
+    else data.name = name;
+  }
+
+  if (has("quantity")) {
+    if (body.quantity === null || body.quantity === "") {
+      data.quantity = null;
+    } else {
+      const n = Number(body.quantity);
+      if (!Number.isFinite(n) || n < 0) {
+        errors.push("quantity debe ser un número mayor o igual a 0.");
+      } else {
+        data.quantity = n;
+      }
+    }
+  }
+
+  if (has("startedAt")) {
+    if (body.startedAt === null || body.startedAt === "") {
+      data.startedAt = null;
+    } else {
+      const d = parseDate(body.startedAt);
+      if (!d) errors.push("startedAt debe ser una fecha (YYYY-MM-DD).");
+      else data.startedAt = d;
+    }
+  }
+
+  for (const [key, max] of [
+    ["unit", 20],
+    ["variety", 80],
+    ["notes", 1000],
+  ]) {
+    if (!has(key)) continue;
+    if (body[key] !== null && typeof body[key] !== "string") {
+      errors.push(`${key} debe ser texto.`);
+      continue;
+    }
+    data[key] = cleanText(body[key], max);
+  }
+
+  if (partial && Object.keys(data).length === 0 && errors.length === 0) {
+    errors.push("No hay cambios para guardar.");
+  }
+
+  return { ok: errors.length === 0, data, errors };
+}
+
+/* =========================
+   JSON viejo
+========================= */
+
+const LEGACY_GROUPS = [
+  ["CROP", ["cultivos", "cultivo", "crops", "crop", "plantas", "planta"]],
+  ["ANIMAL_GROUP", ["animales", "animal", "animals", "animalList", "ganado"]],
+  ["INFRASTRUCTURE", ["infraestructura", "instalaciones"]],
+  ["EQUIPMENT", ["equipos", "equipo", "equipment", "maquinaria"]],
+];
+
+const LEGACY_FIELDS = {
+  name: ["name", "nombre", "label", "tipo"],
+  type: ["type", "tipo", "category", "categoria", "kind"],
+  quantity: ["quantity", "cantidad", "count", "numero", "cabezas"],
+  unit: ["unit", "unidad"],
+  variety: ["variety", "variedad", "raza", "breed"],
+  startedAt: [
+    "startedAt",
+    "plantedAt",
+    "arrivedAt",
+    "fechaSiembra",
+    "fecha_siembra",
+    "fechaLlegada",
+    "fecha_llegada",
+    "fecha",
+    "date",
+  ],
+  notes: ["notes", "notas", "nota", "descripcion", "description"],
+};
+
+function pick(item, keys) {
+  for (const key of keys) {
+    const value = item[key];
+    if (value !== undefined && value !== null && value !== "") return value;
+  }
+  return undefined;
+}
+
+// Un componente suelto del JSON viejo (string u objeto) -> entrada para
+// parseZoneComponentInput. `groupType` viene de la lista donde estaba.
+function legacyItem(item, { groupType = null, fallbackName = null } = {}) {
+  if (typeof item === "string" || typeof item === "number") {
+    const name = String(item).trim();
+    return name
+      ? { type: groupType || guessType(name) || "OTHER", name }
+      : null;
+  }
+
+  if (!item || typeof item !== "object" || Array.isArray(item)) return null;
+
+  const rawType = pick(item, LEGACY_FIELDS.type);
+  const name = String(
+    pick(item, LEGACY_FIELDS.name) ?? fallbackName ?? ""
+  ).trim();
+  if (!name) return null;
+
+  const out = {
+    id: cleanComponentId(item.id) ?? undefined,
+    type:
+      normalizeComponentType(rawType) ||
+      guessType(typeof rawType === "string" ? rawType : "") ||
+      groupType ||
+      guessType(name) ||
+      "OTHER",
+    name,
+  };
+
+  for (const key of ["quantity", "unit", "variety", "startedAt", "notes"]) {
+    const value = pick(item, LEGACY_FIELDS[key]);
+    if (value === undefined) continue;
+    out[key] = key === "quantity" ? Number(value) : String(value);
+  }
+
+  if (
+    out.quantity !== undefined &&
+    (!Number.isFinite(out.quantity) || out.quantity < 0)
+  ) {
+    delete out.quantity;
+  }
+  if (out.startedAt !== undefined && !parseDate(out.startedAt)) {
+    delete out.startedAt;
+  }
+
+  return out;
+}
+
+// Lista del JSON viejo: arreglo, string o mapa { nombre: true | n | texto }.
+function legacyGroup(value, groupType) {
+  if (Array.isArray(value)) {
+    return value.map((item) => legacyItem(item, { groupType }));
+  }
+
+  if (typeof value === "string") return [legacyItem(value, { groupType })];
+
+  if (value && typeof value === "object") {
+    return Object.entries(value).map(([key, v]) => {
+      const type = groupType || guessType(key) || undefined;
+      if (v === true) return legacyItem(key, { groupType: type });
+      if (typeof v === "number" && v > 0) {
+        return { ...legacyItem(key, { groupType: type }), quantity: v };
+      }
+      if (typeof v === "string") return legacyItem(v, { groupType: type });
+      if (v && typeof v === "object" && !Array.isArray(v)) {
+        return legacyItem(v, { groupType: type, fallbackName: key });
+      }
+      if (Array.isArray(v)) return legacyGroup(v, type);
+      return null;
+    });
+  }
+
+  return [];
+}
+
+function legacyCandidates(value) {
+  if (value === null || value === undefined) return [];
+  if (Array.isArray(value) || typeof value !== "object") {
+    return legacyGroup(value, null).flat();
+  }
+
+  const items = [];
+  const used = new Set();
+
+  for (const [type, keys] of LEGACY_GROUPS) {
+    for (const key of keys) {
+      if (value[key] === undefined) continue;
+      used.add(key);
+      items.push(...legacyGroup(value[key], type).flat());
+    }
+  }
+
+  const rest = Object.fromEntries(
+    Object.entries(value).filter(([key]) => !used.has(key))
+  );
+  items.push(...legacyGroup(rest, null).flat());
+
+  return items;
+}
+
+/**
+ * Lee una lista de componentes: la forma nueva ([{ id?, type, name, ... }])
+ * o cualquiera de las formas del JSON viejo ({ cultivos: [...], animales:
+ * { vacas: 3 } }, arreglos con `tipo`/`categoria`...). Devuelve { ok, items,
+ * errors } con items validados y su `id` si traían uno.
+ */
+export function readZoneComponentList(value) {
+  const candidates = legacyCandidates(value).filter(Boolean);
+  const result = { ok: true, items: [], errors: [] };
+
+  if (candidates.length > MAX_COMPONENTS_PER_ZONE) {
+    result.ok = false;
+    result.errors.push({
+      index: null,
+      errors: [`Máximo ${MAX_COMPONENTS_PER_ZONE} componentes por zona.`],
+    });
+    return result;
+  }
+
+  const seenIds = new Set();
+
+  candidates.forEach((candidate, index) => {
+    const out = parseZoneComponentInput(candidate);
+    if (!out.ok) {
+      result.ok = false;
+      result.errors.push({
+        index,
+        name: candidate.name ?? null,
+        errors: out.errors,
+      });
+      return;
+    }
+
+    // Ids repetidos en la misma lista: el segundo pasa a ser nuevo.
+    const id = candidate.id && !seenIds.has(candidate.id) ? candidate.id : null;
+    if (id) seenIds.add(id);
+
+    result.items.push({ id, ...out.data });
+  });
+
+  return result;
+}
+
+/* =========================
+   Escritura
+========================= */
+
+/**
+ * Fotos y notas de bitácora que apuntan a cada componente de `ids`:
+ * Map id -> { photos, bitacoraEntries }. Solo trae los que tienen alguno.
+ */
+export async function countComponentLinks(db, zoneId, ids) {
+  const where = { zoneId, componentId: { in: ids } };
+  const [photos, entries] = await Promise.all([
+    db.componentPhoto.groupBy({
+      by: ["componentId"],
+      where,
+      _count: { _all: true },
+    }),
+    db.bitacoraEntry.groupBy({
+      by: ["componentId"],
+      where,
+      _count: { _all: true },
+    }),
+  ]);
+
+  const links = new Map();
+  const linksFor = (id) => {
+    if (!links.has(id)) links.set(id, { photos: 0, bitacoraEntries: 0 });
+    return links.get(id);
+  };
+
+  for (const row of photos) linksFor(row.componentId).photos = row._count._all;
+  for (const row of entries) {
+    linksFor(row.componentId).bitacoraEntries = row._count._all;
+  }
+
+  return links;
+}
+
+/**
+ * Deja los componentes de la zona como `items` (de readZoneComponentList):
+ * los que traen un id de la zona se actualizan, el resto se crea (con su id
+ * si está libre) y los que faltan se borran, salvo los que tienen fotos o
+ * notas de bitácora, que se devuelven en `kept`.
+ *
+ * El JSON de antes no trae ids: esos items reutilizan el componente de la
+ * zona con el mismo tipo y nombre, para no cambiarle el id en cada
+ * guardado del mapa.
+ */
+export async function replaceZoneComponents(tx, { farmId, zoneId }, items) {
+  const current = await tx.zoneComponent.findMany({
+    where: { zoneId },
+    orderBy: ZONE_COMPONENT_ORDER,
+    select: { id: true, type: true, name: true },
+  });
+  const currentIds = new Set(current.map((c) => c.id));
+  const result = { created: 0, updated: 0, deleted: 0, kept: [] };
+  const keepIds = new Set(
+    items.map((item) => item.id).filter((id) => id && currentIds.has(id))
+  );
+
+  const sameComponent = (item) =>
+    current.find(
+      (c) =>
+        !keepIds.has(c.id) &&
+        c.type === item.type &&
+        normText(c.name) === normText(item.name)
+    );
+
+  for (const { id, ...data } of items) {
+    // Sin id (JSON de antes): se busca por tipo y nombre.
+    const existingId = id ? currentIds.has(id) && id : sameComponent(data)?.id;
+
+    if (existingId) {
+      await tx.zoneComponent.update({ where: { id: existingId }, data });
+      keepIds.add(existingId);
+      result.updated += 1;
+      continue;
+    }
+
+    const taken = id
+      ? await tx.zoneComponent.findUnique({
+          where: { id },
+          select: { id: true },
+        })
+      : null;
+
+    const created = await tx.zoneComponent.create({
+      data: { ...(id && !taken ? { id } : {}), farmId, zoneId, ...data },
+      select: { id: true },
+    });
+    keepIds.add(created.id);
+    result.created += 1;
+  }
+
+  const missing = current.filter((c) => !keepIds.has(c.id));
+  if (missing.length === 0) return result;
+
+  const links = await countComponentLinks(
+    tx,
+    zoneId,
+    missing.map((c) => c.id)
+  );
+
+  for (const c of missing) {
+    if (links.has(c.id)) {
+      result.kept.push({ id: c.id, name: c.name, ...links.get(c.id) });
+    }
+  }
+
+  const deleteIds = missing.map((c) => c.id).filter((id) => !links.has(id));
+
+  if (deleteIds.length > 0) {
+    const { count } = await tx.zoneComponent.deleteMany({
+      where: { zoneId, id: { in: deleteIds } },
+    });
+    result.deleted = count;
+  }
+
+  return result;
+}
+
+/* =========================
+   Lecturas
+========================= */
+
+export async function findZoneComponent(db, zoneId, componentId) {
+  if (!zoneId || !componentId) return null;
+
+  return db.zoneComponent.findFirst({
+    where: { id: String(componentId), zoneId },
+    select: ZONE_COMPONENT_SELECT,
+  });
+}
+
+/**
+ * Nombres de los componentes de una zona agrupados para sugerencias y
+ * reportes: { crops, animals, other } (infraestructura, equipo y otros van
+ * en `other`).
+ */
+export function summarizeZoneComponents(components) {
+  const out = { crops: [], animals: [], other: [] };
+
+  for (const c of Array.isArray(components) ? components : []) {
+    const name = String(c?.name || "").trim();
+    if (!name) continue;
+
+    if (c.type === "CROP") out.crops.push(name);
+    else if (c.type === "ANIMAL_GROUP") out.animals.push(name);
+    else out.other.push(name);
+  }
+
+  return {
+    crops: out.crops.slice(0, 12),
+    animals: out.animals.slice(0, 12),
+    other: out.other.slice(0, 12),
+  };
+}
+
+/* =========================
+   Migración del JSON
+========================= */
+
+/**
+ * Agrega a la zona los items del JSON que aún no tiene. Un item ya está si
+ * la zona tiene su id o un componente del mismo tipo y nombre (p. ej. uno
+ * que se guardó desde el mapa antes de correr la migración). Las fotos y
+ * notas de bitácora que usaban el id del JSON pasan al componente final.
+ * Con `dryRun` solo cuenta. Devuelve { created, relinked }.
+ */
+async function mergeLegacyItems(db, zone, items, { dryRun }) {
+  const current = await db.zoneComponent.findMany({
+    where: { zoneId: zone.id },
+    select: { id: true, type: true, name: true },
+  });
+  const used = new Set(
+    items
+      .map((item) => item.id)
+      .filter((id) => id && current.some((c) => c.id === id))
+  );
+  const out = { created: 0, relinked: 0 };
+
+  for (const { id, ...data } of items) {
+    if (id && used.has(id)) continue;
+
+    const same = current.find(
+      (c) =>
+        !used.has(c.id) &&
+        c.type === data.type &&
+        normText(c.name) === normText(data.name)
+    );
+
+    let targetId = same?.id || null;
+    if (same) used.add(same.id);
+
+    if (!same) {
+      out.created += 1;
+      if (dryRun) continue;
+
+      const taken = id
+        ? await db.zoneComponent.findUnique({
+            where: { id },
+            select: { id: true },
+          })
+        : null;
+
+      const created = await db.zoneComponent.create({
+        data: {
+          ...(id && !taken ? { id } : {}),
+          farmId: zone.farmId,
+          zoneId: zone.id,
+          ...data,
+        },
+        select: { id: true },
+      });
+      targetId = created.id;
+    }
+
+    if (!id || targetId === id || dryRun) continue;
+
+    const where = { zoneId: zone.id, componentId: id };
+    const photos = await db.componentPhoto.updateMany({
+      where,
+      data: { componentId: targetId },
+    });
+    const notes = await db.bitacoraEntry.updateMany({
+      where,
+      data: { componentId: targetId },
+    });
+    out.relinked += photos.count + notes.count;
+  }
+
+  return out;
+}
+
+/**
+ * Pasa MapZone.components (JSON) a ZoneComponent y deja el JSON en null.
+ * Conserva los ids que traía el JSON; si uno ya lo usa otra zona se crea
+ * con id nuevo y se actualizan las fotos y notas de bitácora que lo
+ * usaban. Si la zona ya tiene componentes tipados, el JSON se mezcla con
+ * ellos (ver mergeLegacyItems) y esas zonas se listan en `merged`.
+ */
+export async function migrateLegacyZoneComponents(
+  prisma,
+  { dryRun = false, farmId = null, log = console.log } = {}
+) {
+  const zones = await prisma.mapZone.findMany({
+    where: {
+      ...(farmId ? { farmId } : {}),
+      legacyComponents: { not: Prisma.AnyNull },
+    },
+    select: {
+      id: true,
+      farmId: true,
+      name: true,
+      legacyComponents: true,
+      _count: { select: { components: true } },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const stats = {
+    zones: zones.length,
+    migrated: 0,
+    components: 0,
+    relinked: 0,
+    merged: [],
+    invalid: [],
+  };
+
+  for (const zone of zones) {
+    const list = readZoneComponentList(zone.legacyComponents);
+    if (!list.ok) {
+      stats.invalid.push({ id: zone.id, name: zone.name, errors: list.errors });
+      log(
+        `  ${zone.id}: ${list.errors.map((e) => e.errors.join(" ")).join(" | ")}`
+      );
+      continue;
+    }
+
+    if (zone._count.components > 0) {
+      stats.merged.push({ id: zone.id, name: zone.name });
+      log(`  ${zone.id}: ya tiene componentes tipados, se mezcla con el JSON.`);
+    }
+
+    const merge = (db) => mergeLegacyItems(db, zone, list.items, { dryRun });
+
+    const out = dryRun
+      ? await merge(prisma)
+      : await prisma.$transaction(async (tx) => {
+          const merged = await merge(tx);
+          await tx.mapZone.update({
+            where: { id: zone.id },
+            data: { legacyComponents: Prisma.DbNull },
+          });
+          return merged;
+        });
+
+    stats.migrated += 1;
+    stats.components += out.created;
+    stats.relinked += out.relinked;
+  }
+
+  return stats;
+}